@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJsonAtomic } = require('./dataStore');
+const { httpError } = require('./httpErrors');
+
+// API keys are stored as SHA-256 hashes; the plaintext is only shown once at creation
+const API_KEYS_FILE = dataPath('api-keys.json');
+const KEY_PREFIX = 'lsk_';
+
+const DEFAULT_QUOTAS = {
+    maxConcurrentJobs: parseInt(process.env.DEFAULT_MAX_CONCURRENT_JOBS) || 1,
+    pagesPerDay: parseInt(process.env.DEFAULT_PAGES_PER_DAY) || 200,
+    maxPagesPerRequest: parseInt(process.env.DEFAULT_MAX_PAGES_PER_REQUEST) || 100
+};
+
+let keys = null;
+let loading = null;
+
+async function loadKeys() {
+    if (keys) return keys;
+    if (!loading) {
+        loading = readJson(API_KEYS_FILE, {}).then((stored) => {
+            keys = new Map(Object.entries(stored));
+            return keys;
+        });
+    }
+    return loading;
+}
+
+function saveKeys() {
+    return writeJsonAtomic(API_KEYS_FILE, Object.fromEntries(keys));
+}
+
+function hashKey(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function pagesUsedToday(record) {
+    return record.usage && record.usage.day === today() ? record.usage.pages : 0;
+}
+
+// Only known quota fields, as positive integers
+function sanitizeQuotas(quotas = {}) {
+    const sanitized = {};
+    for (const name of Object.keys(DEFAULT_QUOTAS)) {
+        if (quotas[name] === undefined) continue;
+
+        const value = parseInt(quotas[name]);
+        if (!Number.isInteger(value) || value < 1) {
+            throw httpError(`Quota ${name} must be a positive integer`, 400);
+        }
+        sanitized[name] = value;
+    }
+    return sanitized;
+}
+
+// Public view of a key - never includes the hash
+function describeApiKey(record) {
+    return {
+        id: record.id,
+        name: record.name,
+        keyPrefix: record.keyPrefix,
+        createdAt: record.createdAt,
+        revokedAt: record.revokedAt,
+        quotas: record.quotas,
+        usage: { day: today(), pages: pagesUsedToday(record) }
+    };
+}
+
+async function createApiKey({ name, quotas } = {}) {
+    if (!name) {
+        throw httpError('A name is required for the API key', 400);
+    }
+
+    const store = await loadKeys();
+    const rawKey = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+        id: crypto.randomUUID(),
+        name,
+        hash: hashKey(rawKey),
+        keyPrefix: rawKey.slice(0, KEY_PREFIX.length + 6),
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+        quotas: { ...DEFAULT_QUOTAS, ...sanitizeQuotas(quotas) },
+        usage: { day: today(), pages: 0 }
+    };
+    store.set(record.id, record);
+    await saveKeys();
+
+    return { ...describeApiKey(record), key: rawKey };
+}
+
+async function listApiKeys() {
+    const store = await loadKeys();
+    return Array.from(store.values()).map(describeApiKey);
+}
+
+async function updateApiKey(id, { name, quotas } = {}) {
+    const store = await loadKeys();
+    const record = store.get(id);
+    if (!record) return null;
+
+    if (name) {
+        record.name = name;
+    }
+    record.quotas = { ...record.quotas, ...sanitizeQuotas(quotas) };
+    await saveKeys();
+    return describeApiKey(record);
+}
+
+async function revokeApiKey(id) {
+    const store = await loadKeys();
+    const record = store.get(id);
+    if (!record) return null;
+
+    if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        await saveKeys();
+    }
+    return describeApiKey(record);
+}
+
+// Look up an active key by its plaintext value
+async function authenticate(rawKey) {
+    if (!rawKey) return null;
+
+    const store = await loadKeys();
+    const hash = hashKey(rawKey);
+    for (const record of store.values()) {
+        if (!record.revokedAt && record.hash.length === hash.length &&
+            crypto.timingSafeEqual(Buffer.from(record.hash), Buffer.from(hash))) {
+            return record;
+        }
+    }
+    return null;
+}
+
+// An active key by its ID
+async function getApiKey(id) {
+    const store = await loadKeys();
+    const record = store.get(id);
+    return record && !record.revokedAt ? record : null;
+}
+
+// Decide whether a key may start another scrape of up to maxPages pages, or
+// as many as the key allows per request when maxPages is not given. Returns the
+// page count the run is allowed to use, which may be less than requested when
+// the daily budget is nearly spent. Running jobs still reserve each page they
+// load with reserveKeyPage, so concurrent jobs can't overrun the quota together.
+function checkScrapeQuota(record, maxPages, activeJobs) {
+    const { quotas } = record;
+    if (!maxPages) {
+        maxPages = quotas.maxPagesPerRequest;
+    }
+
+    if (maxPages > quotas.maxPagesPerRequest) {
+        throw httpError(`maxPages ${maxPages} exceeds this key's limit of ${quotas.maxPagesPerRequest} pages per request`, 403);
+    }
+
+    if (activeJobs >= quotas.maxConcurrentJobs) {
+        throw httpError(`This key already has ${activeJobs} running jobs (limit ${quotas.maxConcurrentJobs})`, 429);
+    }
+
+    const remainingPages = quotas.pagesPerDay - pagesUsedToday(record);
+    if (remainingPages <= 0) {
+        throw httpError(`Daily page quota of ${quotas.pagesPerDay} pages is used up, try again tomorrow (UTC)`, 429);
+    }
+
+    return Math.min(maxPages, remainingPages);
+}
+
+// Take one page from a key's daily quota before a scrape loads it. Returns
+// false, and takes nothing, once the quota for today is spent or the key has
+// been revoked.
+async function reserveKeyPage(id) {
+    const store = await loadKeys();
+    const record = store.get(id);
+    if (!record || record.revokedAt) return false;
+
+    const used = pagesUsedToday(record);
+    if (used >= record.quotas.pagesPerDay) {
+        return false;
+    }
+    record.usage = { day: today(), pages: used + 1 };
+    await saveKeys();
+    return true;
+}
+
+// Give back a page taken with reserveKeyPage that was never loaded, e.g. because
+// the LinkedIn session's budget refused it
+async function releaseKeyPage(id) {
+    const store = await loadKeys();
+    const record = store.get(id);
+    if (!record) return;
+
+    const used = pagesUsedToday(record);
+    if (used > 0) {
+        record.usage = { day: today(), pages: used - 1 };
+        await saveKeys();
+    }
+}
+
+module.exports = {
+    createApiKey,
+    listApiKeys,
+    updateApiKey,
+    revokeApiKey,
+    authenticate,
+    getApiKey,
+    checkScrapeQuota,
+    reserveKeyPage,
+    releaseKeyPage
+};
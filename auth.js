@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { authenticate, getApiKey } = require('./apiKeys');
+const { getJob } = require('./jobManager');
+const { parseLastEventId } = require('./sseStream');
+
+// EventSource can't send headers, so the SSE routes also take a short-lived
+// stream token in the URL, issued to an authenticated client beforehand. The
+// API key itself is never accepted in a URL, where it would end up in logs.
+const STREAM_TOKEN_TTL_MS = parseInt(process.env.STREAM_TOKEN_TTL_MS) || 15 * 60 * 1000;
+// An expired token still reconnects to the jobs of its key for this long, the
+// time jobs are kept, so EventSource can follow runs that outlast the TTL
+const STREAM_TOKEN_RECONNECT_MS = parseInt(process.env.JOB_TTL_MS) || 24 * 60 * 60 * 1000;
+const STREAM_TOKEN_PREFIX = 'sst_';
+
+const streamTokens = new Map();
+
+// Read the key from "Authorization: Bearer <key>" or the X-API-Key header
+function readApiKey(req) {
+    const authorization = req.get('Authorization');
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    return req.get('X-API-Key') || null;
+}
+
+// Reject requests without a valid, unrevoked API key. The key record is
+// available to later handlers as req.apiKey.
+async function requireApiKey(req, res, next) {
+    // Already authenticated by a stream token
+    if (req.apiKey) return next();
+
+    try {
+        const rawKey = readApiKey(req);
+        if (!rawKey) {
+            return res.status(401).json({ error: 'API key required. Send it as "Authorization: Bearer <key>" or X-API-Key' });
+        }
+
+        const apiKey = await authenticate(rawKey);
+        if (!apiKey) {
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+
+        req.apiKey = apiKey;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+function pruneStreamTokens(now = Date.now()) {
+    for (const [token, entry] of streamTokens) {
+        if (entry.expiresAt + STREAM_TOKEN_RECONNECT_MS <= now) {
+            streamTokens.delete(token);
+        }
+    }
+}
+
+// A token standing in for the key on the SSE routes until it expires. It stays
+// valid for the whole TTL so EventSource can reconnect with the same URL, and
+// after that for reconnects to a job of its key (see isReconnectToOwnJob).
+function issueStreamToken(apiKeyId) {
+    pruneStreamTokens();
+    const token = STREAM_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const expiresAt = Date.now() + STREAM_TOKEN_TTL_MS;
+    streamTokens.set(token, { apiKeyId, expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+// EventSource sends Last-Event-ID when it reconnects; the job comes from the
+// event ID or, on /api/jobs/:id/events, the URL
+function isReconnectToOwnJob(req, apiKeyId) {
+    const lastEventId = parseLastEventId(req);
+    if (!lastEventId) return false;
+
+    const job = getJob(lastEventId.jobId || (req.params && req.params.id));
+    return !!job && job.apiKeyId === apiKeyId;
+}
+
+// For the SSE routes only: authenticate a ?streamToken= query parameter.
+// Requests without one are left to requireApiKey.
+async function acceptStreamToken(req, res, next) {
+    const token = req.query.streamToken;
+    if (!token) return next();
+
+    try {
+        const entry = streamTokens.get(token);
+        const usable = entry && (entry.expiresAt > Date.now() || isReconnectToOwnJob(req, entry.apiKeyId));
+        const apiKey = usable ? await getApiKey(entry.apiKeyId) : null;
+        if (!apiKey) {
+            return res.status(401).json({ error: 'Invalid or expired stream token' });
+        }
+
+        req.apiKey = apiKey;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Guard the key-management endpoints with the ADMIN_TOKEN from the environment
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(503).json({ error: 'Admin API is not configured (ADMIN_TOKEN is not set)' });
+    }
+
+    const provided = readApiKey(req) || '';
+    const expectedHash = crypto.createHash('sha256').update(adminToken).digest();
+    const providedHash = crypto.createHash('sha256').update(provided).digest();
+    if (!crypto.timingSafeEqual(expectedHash, providedHash)) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+}
+
+module.exports = {
+    requireApiKey,
+    requireAdmin,
+    issueStreamToken,
+    acceptStreamToken
+};
@@ -0,0 +1,242 @@
+const puppeteer = require('puppeteer');
+const logger = require('./logger');
+const { httpError } = require('./httpErrors');
+
+// Warm Chromium processes shared by all jobs. Every job gets its own isolated
+// browser context, so cookies and storage never leak between users.
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE) || 1;
+// Concurrent job contexts (one page each) allowed per browser
+const MAX_CONTEXTS_PER_BROWSER = parseInt(process.env.MAX_CONTEXTS_PER_BROWSER) || 2;
+// Browsers are replaced after serving this many jobs to keep memory in check
+const RECYCLE_AFTER_JOBS = parseInt(process.env.BROWSER_RECYCLE_AFTER_JOBS) || 20;
+
+const LAUNCH_OPTIONS = {
+    headless: "new",
+    args: [
+        "--no-sandbox",
+        "--disable-setuid-sandbox",
+        "--disable-dev-shm-usage",
+        "--disable-accelerated-2d-canvas",
+        "--no-first-run",
+        "--no-zygote",
+        "--disable-gpu",
+        "--disable-features=IsolateOrigins,site-per-process",
+        // Additional flags to help with LinkedIn access
+        "--disable-web-security",
+        "--disable-features=site-per-process",
+        "--disable-site-isolation-trials",
+    ],
+    defaultViewport: { width: 1280, height: 800 },
+    timeout: 60000,
+};
+
+// How long a readiness check waits for a browser to launch
+const READINESS_LAUNCH_TIMEOUT_MS = parseInt(process.env.READINESS_LAUNCH_TIMEOUT_MS) || 10000;
+
+const entries = [];
+const waiters = [];
+const counters = { launched: 0, recycled: 0, crashed: 0, leasesServed: 0 };
+let nextEntryId = 1;
+// Set once closePool has run; no more contexts are handed out after that
+let closed = false;
+
+function wakeWaiters() {
+    while (waiters.length > 0) {
+        waiters.shift()();
+    }
+}
+
+function removeEntry(entry) {
+    const index = entries.indexOf(entry);
+    if (index !== -1) {
+        entries.splice(index, 1);
+    }
+}
+
+function launchEntry() {
+    const entry = {
+        id: nextEntryId++,
+        browser: null,
+        activeContexts: 0,
+        jobsServed: 0,
+        retiring: false,
+        launchedAt: new Date().toISOString()
+    };
+
+    entry.ready = puppeteer.launch(LAUNCH_OPTIONS).then((browser) => {
+        entry.browser = browser;
+        counters.launched++;
+        logger.info(`Browser ${entry.id} launched`);
+
+        // A crashed or killed browser takes its contexts with it; make room for a new one
+        browser.on('disconnected', () => {
+            if (!entries.includes(entry)) return;
+            if (!entry.retiring) {
+                counters.crashed++;
+                logger.error(`Browser ${entry.id} disconnected unexpectedly`);
+            }
+            removeEntry(entry);
+            wakeWaiters();
+        });
+        return browser;
+    }).catch((error) => {
+        removeEntry(entry);
+        wakeWaiters();
+        throw error;
+    });
+
+    entries.push(entry);
+    return entry;
+}
+
+// Least busy browser that can take another context. Browsers that are due for
+// recycling take no new jobs and are closed once their last context is released.
+function pickEntry() {
+    const candidates = entries
+        .filter(entry => !entry.retiring &&
+            entry.jobsServed < RECYCLE_AFTER_JOBS &&
+            entry.activeContexts < MAX_CONTEXTS_PER_BROWSER)
+        .sort((a, b) => a.activeContexts - b.activeContexts);
+    return candidates[0] || null;
+}
+
+async function retireEntry(entry) {
+    entry.retiring = true;
+    removeEntry(entry);
+    counters.recycled++;
+    logger.info(`Recycling browser ${entry.id} after ${entry.jobsServed} jobs`);
+    try {
+        await entry.browser.close();
+    } catch (error) {
+        logger.error(`Error closing browser ${entry.id}`, error);
+    }
+    wakeWaiters();
+}
+
+// Get an isolated browser context for one job. Waits while every browser is
+// at capacity. Call release() on the returned lease when the job is done.
+async function acquireContext() {
+    for (;;) {
+        if (closed) {
+            throw httpError('Browser pool is shut down', 503);
+        }
+
+        let entry = pickEntry();
+        if (!entry && entries.length < POOL_SIZE) {
+            entry = launchEntry();
+        }
+
+        if (entry) {
+            entry.activeContexts++;
+            entry.jobsServed++;
+            try {
+                const browser = await entry.ready;
+                const context = await browser.createBrowserContext();
+                counters.leasesServed++;
+                return createLease(entry, context);
+            } catch (error) {
+                entry.activeContexts--;
+                throw error;
+            }
+        }
+
+        await new Promise(resolve => waiters.push(resolve));
+    }
+}
+
+function createLease(entry, context) {
+    let released = false;
+
+    return {
+        context,
+        browserId: entry.id,
+        async release() {
+            if (released) return;
+            released = true;
+
+            try {
+                await context.close();
+            } catch (error) {
+                // Already gone, e.g. closed on cancel or the browser crashed
+            }
+            entry.activeContexts--;
+
+            if (entries.includes(entry) && entry.jobsServed >= RECYCLE_AFTER_JOBS && entry.activeContexts === 0) {
+                await retireEntry(entry);
+            } else {
+                wakeWaiters();
+            }
+        }
+    };
+}
+
+function getPoolStats() {
+    const activeContexts = entries.reduce((sum, entry) => sum + entry.activeContexts, 0);
+    return {
+        poolSize: POOL_SIZE,
+        maxContextsPerBrowser: MAX_CONTEXTS_PER_BROWSER,
+        recycleAfterJobs: RECYCLE_AFTER_JOBS,
+        capacity: POOL_SIZE * MAX_CONTEXTS_PER_BROWSER,
+        activeContexts,
+        waiting: waiters.length,
+        browsers: entries.map(entry => ({
+            id: entry.id,
+            ready: !!entry.browser,
+            activeContexts: entry.activeContexts,
+            jobsServed: entry.jobsServed,
+            launchedAt: entry.launchedAt
+        })),
+        ...counters
+    };
+}
+
+// Whether a job could get a browser right now: a running browser has room for
+// another context, or one can be launched. A browser launched by the check
+// stays in the pool, warm for the next job.
+async function checkReadiness() {
+    if (closed) return { ready: false, reason: 'Browser pool is shut down' };
+
+    let entry = pickEntry();
+    if (entry && entry.browser) return { ready: true, reason: 'Browser has capacity' };
+    if (!entry && entries.length < POOL_SIZE) {
+        entry = launchEntry();
+    }
+    if (!entry) return { ready: false, reason: 'Every browser is at capacity' };
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No browser after ${READINESS_LAUNCH_TIMEOUT_MS} ms`)), READINESS_LAUNCH_TIMEOUT_MS);
+    });
+    try {
+        await Promise.race([entry.ready, timeout]);
+        return { ready: true, reason: 'Browser launched' };
+    } catch (error) {
+        return { ready: false, reason: `Chromium failed to launch: ${error.message}` };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Close every browser, e.g. on shutdown. Jobs still waiting for a context get
+// an error instead.
+async function closePool() {
+    closed = true;
+    wakeWaiters();
+    const closing = entries.splice(0, entries.length);
+    await Promise.all(closing.map(async (entry) => {
+        entry.retiring = true;
+        try {
+            const browser = await entry.ready;
+            await browser.close();
+        } catch (error) {
+            logger.error(`Error closing browser ${entry.id}`, error);
+        }
+    }));
+}
+
+module.exports = {
+    acquireContext,
+    getPoolStats,
+    checkReadiness,
+    closePool
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const { dataPath, readJson, writeJsonAtomic, removeFile } = require('./dataStore');
+const logger = require('./logger');
+
+// One checkpoint file per job, rewritten after every completed page
+const CHECKPOINT_DIR = dataPath('checkpoints');
+
+function checkpointFile(jobId) {
+    return path.join(CHECKPOINT_DIR, `${jobId}.json`);
+}
+
+async function saveCheckpoint(jobId, checkpoint) {
+    await writeJsonAtomic(checkpointFile(jobId), {
+        ...checkpoint,
+        jobId,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+async function loadCheckpoint(jobId) {
+    return readJson(checkpointFile(jobId), null);
+}
+
+async function deleteCheckpoint(jobId) {
+    await removeFile(checkpointFile(jobId));
+}
+
+// Load every checkpoint on disk, e.g. to recover runs after a container restart
+async function listCheckpoints() {
+    let files;
+    try {
+        files = await fs.promises.readdir(CHECKPOINT_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const checkpoints = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        try {
+            const checkpoint = await readJson(path.join(CHECKPOINT_DIR, file), null);
+            if (checkpoint) checkpoints.push(checkpoint);
+        } catch (error) {
+            logger.error(`Skipping unreadable checkpoint ${file}`, error);
+        }
+    }
+    return checkpoints;
+}
+
+module.exports = {
+    saveCheckpoint,
+    loadCheckpoint,
+    deleteCheckpoint,
+    listCheckpoints
+};
@@ -0,0 +1,297 @@
+// Extractors for LinkedIn company search results and company pages. Like the
+// profile extractors they must stay self-contained so Puppeteer can run them
+// with page.evaluate, and take { root } to run against a jsdom document.
+// They look up elements through the registry lists in options.selectors, and
+// with options.reportMatches return the selector matches next to the result
+// ({ items } for cards, { details } for a page).
+
+// Company cards on a /search/results/companies/ page
+function extractCompanyCards(options) {
+    const doc = options.root || document;
+    const selectors = options.selectors;
+    const companies = [];
+
+    const selectorMatches = {};
+    const recordMatch = (key, selector) => {
+        const counts = selectorMatches[key] = selectorMatches[key] || {};
+        const label = selector || '(none)';
+        counts[label] = (counts[label] || 0) + 1;
+    };
+
+    // First element under parent matched by the key's selectors, tried in order
+    const find = (parent, key, test = () => true) => {
+        for (const selector of selectors[key]) {
+            const element = Array.from(parent.querySelectorAll(selector)).find(test);
+            if (element) {
+                recordMatch(key, selector);
+                return element;
+            }
+        }
+        recordMatch(key, null);
+        return null;
+    };
+
+    // Elements of the first of the key's selectors that matches any
+    const findAll = (parent, key) => {
+        for (const selector of selectors[key]) {
+            const elements = parent.querySelectorAll(selector);
+            if (elements.length > 0) {
+                recordMatch(key, selector);
+                return Array.from(elements);
+            }
+        }
+        recordMatch(key, null);
+        return [];
+    };
+
+    const textOf = (element) => element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+
+    // "35M followers", "1,204 followers", "12.5K followers" -> number
+    const parseCount = (text) => {
+        const match = (text || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KMB])?/i);
+        if (!match) return null;
+        const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || '').toUpperCase()] || 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+    };
+
+    const cards = findAll(doc, 'companyCards.card');
+    const seen = new Set();
+
+    cards.forEach((card) => {
+        try {
+            const link = find(card, 'companyCards.link');
+            if (!link || seen.has(link.href.split('?')[0])) return;
+
+            const companyUrl = link.href.split('?')[0];
+            seen.add(companyUrl);
+
+            const urnElement = card.hasAttribute('data-chameleon-result-urn') ?
+                card :
+                card.querySelector('[data-chameleon-result-urn]');
+            const urn = urnElement ? urnElement.getAttribute('data-chameleon-result-urn') : '';
+            const idMatch = urn.match(/:(\d+)$/);
+
+            // "Software Development • Mountain View, CA"
+            const primary = textOf(find(card, 'companyCards.primarySubtitle'));
+            const [industry, location] = primary.split('•').map(part => part.trim());
+            const secondary = textOf(find(card, 'companyCards.secondarySubtitle'));
+
+            const logo = find(card, 'companyCards.logo');
+            companies.push({
+                companyId: idMatch ? idMatch[1] : null,
+                name: textOf(find(card, 'companyCards.name')) || textOf(link) || null,
+                companyUrl,
+                industry: industry || null,
+                location: location || null,
+                followers: /follower/i.test(secondary) ? parseCount(secondary) : null,
+                logoUrl: logo && logo.src ? logo.src : null
+            });
+        } catch (e) {
+            // Only logged in the page, not over archived HTML in Node
+            if (!options.root) console.error('Error parsing company card:', e);
+        }
+    });
+
+    return options.reportMatches ? { items: companies, selectorMatches } : companies;
+}
+
+// Details from a company's /about/ page
+function extractCompanyPage(options) {
+    const doc = options.root || document;
+    const selectors = options.selectors;
+
+    const selectorMatches = {};
+    const recordMatch = (key, selector) => {
+        const counts = selectorMatches[key] = selectorMatches[key] || {};
+        const label = selector || '(none)';
+        counts[label] = (counts[label] || 0) + 1;
+    };
+
+    // First element under parent matched by the key's selectors, tried in order
+    const find = (parent, key, test = () => true) => {
+        for (const selector of selectors[key]) {
+            const element = Array.from(parent.querySelectorAll(selector)).find(test);
+            if (element) {
+                recordMatch(key, selector);
+                return element;
+            }
+        }
+        recordMatch(key, null);
+        return null;
+    };
+
+    // Elements of the first of the key's selectors that matches any
+    const findAll = (parent, key) => {
+        for (const selector of selectors[key]) {
+            const elements = parent.querySelectorAll(selector);
+            if (elements.length > 0) {
+                recordMatch(key, selector);
+                return Array.from(elements);
+            }
+        }
+        recordMatch(key, null);
+        return [];
+    };
+
+    const textOf = (element) => element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+
+    const parseCount = (text) => {
+        const match = (text || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KMB])?/i);
+        if (!match) return null;
+        const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || '').toUpperCase()] || 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+    };
+
+    // The overview is a <dl> of <dt>label</dt><dd>value</dd> pairs
+    const overview = {};
+    findAll(doc, 'companyPage.overviewLabel').forEach((term) => {
+        const label = textOf(term).toLowerCase();
+        const value = term.nextElementSibling && term.nextElementSibling.tagName === 'DD' ?
+            term.nextElementSibling :
+            null;
+        if (label && value) {
+            overview[label] = value;
+        }
+    });
+
+    const websiteElement = overview.website && overview.website.querySelector('a');
+    const website = websiteElement ? (textOf(websiteElement) || websiteElement.href) : textOf(overview.website);
+
+    // "10,001+ employees" -> "10,001+"
+    const headcount = textOf(overview['company size']).replace(/\s*employees?.*$/i, '');
+
+    const followersText = textOf(find(doc, 'companyPage.followers', element => /^[\d.,]+[KMB]?\s+followers$/i.test(textOf(element))));
+
+    // The numeric ID shows up in "See all employees" links, or failing that
+    // in the page's embedded data
+    let companyId = null;
+    const employeesLink = find(doc, 'companyPage.employeesLink');
+    if (employeesLink) {
+        const match = decodeURIComponent(employeesLink.href).match(/(?:currentCompany=\["?|companyIds=)(\d+)/);
+        companyId = match ? match[1] : null;
+    }
+    if (!companyId) {
+        const match = doc.documentElement.innerHTML.match(/urn:li:(?:fsd_company|company|organization):(\d+)/);
+        companyId = match ? match[1] : null;
+    }
+
+    const canonical = doc.querySelector('link[rel="canonical"]');
+    const companyUrl = ((canonical && canonical.href) || doc.location.href).split('?')[0].replace(/about\/?$/, '');
+
+    const details = {
+        companyId,
+        name: textOf(find(doc, 'companyPage.name')) || null,
+        companyUrl,
+        industry: textOf(overview.industry) || null,
+        headcountRange: headcount || null,
+        headquarters: textOf(overview.headquarters) || null,
+        followers: followersText ? parseCount(followersText) : null,
+        website: website || null
+    };
+    return options.reportMatches ? { details, selectorMatches } : details;
+}
+
+// Member cards on a company's /people/ tab, in the same shape as
+// extractProfileCards so employees flow through the profile pipeline. The tab
+// loads more cards as it is scrolled; this returns every card rendered so far,
+// each with its position on the tab (cardIndex) since new cards are appended.
+function extractCompanyEmployees(options) {
+    const doc = options.root || document;
+    const selectors = options.selectors;
+    const profiles = [];
+
+    const textOf = (element) => element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+
+    const selectorMatches = {};
+    const recordMatch = (key, selector) => {
+        const counts = selectorMatches[key] = selectorMatches[key] || {};
+        const label = selector || '(none)';
+        counts[label] = (counts[label] || 0) + 1;
+    };
+
+    // First element under parent matched by the key's selectors, tried in order
+    const find = (parent, key, test = () => true) => {
+        for (const selector of selectors[key]) {
+            const element = Array.from(parent.querySelectorAll(selector)).find(test);
+            if (element) {
+                recordMatch(key, selector);
+                return element;
+            }
+        }
+        recordMatch(key, null);
+        return null;
+    };
+
+    // Elements of the first of the key's selectors that matches any
+    const findAll = (parent, key) => {
+        for (const selector of selectors[key]) {
+            const elements = parent.querySelectorAll(selector);
+            if (elements.length > 0) {
+                recordMatch(key, selector);
+                return Array.from(elements);
+            }
+        }
+        recordMatch(key, null);
+        return [];
+    };
+
+    findAll(doc, 'companyEmployees.card').forEach((card, cardIndex) => {
+        try {
+            const link = find(card, 'companyEmployees.profileLink');
+            const profileUrl = link ? link.href.split('?')[0] : '';
+            const name = textOf(find(card, 'companyEmployees.name'));
+            const isAnonymous = !profileUrl || /LinkedIn Member/i.test(name);
+
+            // "· 2nd" -> "2nd degree connection", as search cards word it
+            const degreeMatch = textOf(find(card, 'companyEmployees.degree')).match(/(\d)(st|nd|rd|th)/);
+
+            const image = find(card, 'companyEmployees.image');
+            const title = textOf(find(card, 'companyEmployees.title'));
+            if (!name && !title) return;
+
+            profiles.push({
+                name: isAnonymous ? 'LinkedIn Member' : name,
+                title: title || 'No title listed',
+                location: 'No location listed',
+                profileUrl,
+                linkedinId: profileUrl ? profileUrl.split('/in/')[1].split('/')[0] : 'headless',
+                connectionDegree: degreeMatch ? `${degreeMatch[1]}${degreeMatch[2]} degree connection` : '',
+                isAnonymous,
+                profileImage: image && image.src ? {
+                    src: image.src,
+                    alt: image.alt || '',
+                    width: image.width || 100,
+                    height: image.height || 100
+                } : null,
+                resultUrn: '',
+                cardIndex
+            });
+        } catch (e) {
+            if (!options.root) console.error('Error parsing employee card:', e);
+        }
+    });
+
+    return options.reportMatches ? { items: profiles, selectorMatches } : profiles;
+}
+
+// How many members LinkedIn lists for a company's /people/ tab
+// ("2,431 associated members"), or null when the count isn't shown
+function extractEmployeeCount(options) {
+    const doc = (options && options.root) || document;
+    const headings = Array.from(doc.querySelectorAll('h1, h2, h3, span'));
+    for (const heading of headings) {
+        const match = heading.textContent.replace(/\s+/g, ' ').trim()
+            .match(/^([\d,]+)\+? (?:associated members|employees)$/i);
+        if (match) {
+            return parseInt(match[1].replace(/,/g, ''), 10);
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    extractCompanyCards,
+    extractCompanyPage,
+    extractCompanyEmployees,
+    extractEmployeeCount
+};
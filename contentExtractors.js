@@ -0,0 +1,113 @@
+// Extractors for LinkedIn content (post) search results. Like the other
+// extractors they must stay self-contained so Puppeteer can run them with
+// page.evaluate, and take { root } to run against a jsdom document.
+// Elements are looked up through the registry lists in options.selectors, and
+// with options.reportMatches the selector matches are returned next to the
+// posts as { items, selectorMatches }.
+
+// Posts on a /search/results/content/ page. The page loads more posts as it is
+// scrolled, so this returns every post rendered so far.
+function extractPostCards(options) {
+    const doc = options.root || document;
+    const selectors = options.selectors;
+    const posts = [];
+
+    const selectorMatches = {};
+    const recordMatch = (key, selector) => {
+        const counts = selectorMatches[key] = selectorMatches[key] || {};
+        const label = selector || '(none)';
+        counts[label] = (counts[label] || 0) + 1;
+    };
+
+    // First element under parent matched by the key's selectors, tried in order
+    const find = (parent, key) => {
+        for (const selector of selectors[key]) {
+            const element = parent.querySelector(selector);
+            if (element) {
+                recordMatch(key, selector);
+                return element;
+            }
+        }
+        recordMatch(key, null);
+        return null;
+    };
+
+    // Elements of the first of the key's selectors that matches any
+    const findAll = (parent, key) => {
+        for (const selector of selectors[key]) {
+            const elements = parent.querySelectorAll(selector);
+            if (elements.length > 0) {
+                recordMatch(key, selector);
+                return Array.from(elements);
+            }
+        }
+        recordMatch(key, null);
+        return [];
+    };
+
+    const textOf = (element) => element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+
+    // Prefer the aria-hidden copy; the visually-hidden one adds screen reader phrasing
+    const visibleText = (element) => element ?
+        textOf(element.querySelector('span[aria-hidden="true"]') || element) :
+        '';
+
+    // "1,204", "56 comments" or "1.2K" -> number, read as extractCompanyCards does
+    const parseCount = (text) => {
+        const match = (text || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KMB])?/i);
+        if (!match) return 0;
+        const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || '').toUpperCase()] || 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+    };
+
+    const cards = findAll(doc, 'postCards.card');
+    const seen = new Set();
+
+    cards.forEach((card) => {
+        try {
+            const urn = card.getAttribute('data-urn') || card.getAttribute('data-chameleon-result-urn');
+            if (seen.has(urn)) return;
+            seen.add(urn);
+
+            const authorLink = find(card, 'postCards.authorLink');
+            const profileUrl = authorLink ? authorLink.href.split('?')[0] : null;
+
+            // "3d • Edited • Visible to anyone" -> "3d"
+            const subDescription = visibleText(find(card, 'postCards.subDescription'));
+            const postedText = subDescription.split('•')[0].trim();
+
+            // Activity IDs carry their creation time in the upper bits
+            const activityId = urn.split(':').pop();
+            const postedAt = /^\d+$/.test(activityId) ?
+                new Date(Number(BigInt(activityId) >> 22n)).toISOString() :
+                null;
+
+            const textElement = find(card, 'postCards.text');
+            const commentsElement = find(card, 'postCards.comments');
+
+            posts.push({
+                urn,
+                postUrl: `https://www.linkedin.com/feed/update/${urn}/`,
+                author: {
+                    name: visibleText(find(card, 'postCards.authorName')) || null,
+                    profileUrl,
+                    headline: visibleText(find(card, 'postCards.authorHeadline')) || null
+                },
+                text: textElement ? textElement.innerText || textOf(textElement) : null,
+                postedAt,
+                postedText: postedText || null,
+                reactions: parseCount(textOf(find(card, 'postCards.reactions'))),
+                comments: parseCount(textOf(commentsElement))
+            });
+        } catch (e) {
+            // Only logged in the page, not over archived HTML in Node
+            if (!options.root) console.error('Error parsing post:', e);
+        }
+    });
+
+    return options.reportMatches ? { items: posts, selectorMatches } : posts;
+}
+
+module.exports = {
+    extractPostCards
+};
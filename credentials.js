@@ -0,0 +1,37 @@
+const { getSessionCookies } = require('./sessionVault');
+const { httpError } = require('./httpErrors');
+
+// Header for clients that can't send a request body, e.g. fetch-based SSE readers
+const COOKIES_HEADER = 'X-LinkedIn-Cookies';
+
+// Work out which LinkedIn cookies a request should run with. In order of precedence:
+// cookies in the JSON body, the X-LinkedIn-Cookies header, or a stored session of
+// the calling API key referenced by sessionId (body or query string). Raw cookies
+// in the query string are refused because they end up in access logs and browser history.
+async function resolveCredentials(req, { fallbackSessionId = null } = {}) {
+    if (req.query.cookies) {
+        throw httpError(
+            `Cookies are not accepted in the query string. Send them in the request body, ` +
+            `the ${COOKIES_HEADER} header, or store them with POST /api/sessions and pass sessionId`,
+            400
+        );
+    }
+
+    const body = req.body || {};
+    const cookies = body.cookies || req.get(COOKIES_HEADER);
+    if (cookies) {
+        return { cookies, sessionId: null };
+    }
+
+    const sessionId = body.sessionId || req.query.sessionId || fallbackSessionId;
+    if (sessionId) {
+        return { cookies: await getSessionCookies(sessionId, req.apiKey.id), sessionId };
+    }
+
+    throw httpError('LinkedIn cookies or a stored sessionId are required', 400);
+}
+
+module.exports = {
+    COOKIES_HEADER,
+    resolveCredentials
+};
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Root directory for everything the service persists locally
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Pending writes per file, so concurrent saves land in order
+const writeQueues = new Map();
+
+function dataPath(...segments) {
+    return path.join(DATA_DIR, ...segments);
+}
+
+async function readJson(file, fallback) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
+}
+
+// Write through a temp file and rename so a crash never leaves half a file behind
+function writeJsonAtomic(file, data) {
+    const previous = writeQueues.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify(data));
+        await fs.promises.rename(tmpFile, file);
+    });
+
+    writeQueues.set(file, next);
+    next.finally(() => {
+        if (writeQueues.get(file) === next) {
+            writeQueues.delete(file);
+        }
+    }).catch(() => {});
+    return next;
+}
+
+async function removeFile(file) {
+    await (writeQueues.get(file) || Promise.resolve()).catch(() => {});
+    await fs.promises.rm(file, { force: true });
+}
+
+module.exports = {
+    DATA_DIR,
+    dataPath,
+    readJson,
+    writeJsonAtomic,
+    removeFile
+};
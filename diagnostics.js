@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const { dataPath, readJson, writeJsonAtomic } = require('./dataStore');
+const logger = require('./logger');
+
+// Debugging material for a job - screenshots, page HTML, browser console output
+// and the last URL the browser was on - kept in one directory per job, so
+// concurrent runs never overwrite each other's files. A resumed job adds to
+// the bundle of its earlier runs. Bundles outlive the job record itself, so
+// each one remembers the API key it belongs to.
+const DIAGNOSTICS_DIR = dataPath('diagnostics');
+
+// Bundles not written to for this long are pruned, as are the oldest ones
+// beyond DIAGNOSTICS_MAX_BUNDLES
+const DIAGNOSTICS_RETENTION_HOURS = parseInt(process.env.DIAGNOSTICS_RETENTION_HOURS) || 72;
+const DIAGNOSTICS_MAX_BUNDLES = parseInt(process.env.DIAGNOSTICS_MAX_BUNDLES) || 200;
+
+// Browser console lines kept per run; a noisy page shouldn't fill the disk
+const MAX_CONSOLE_LINES = 2000;
+
+const CONSOLE_FILE = 'console.log';
+const MANIFEST_FILE = 'manifest.json';
+
+// Runs currently writing to their bundle, which pruning leaves alone
+const activeBundles = new Set();
+
+function bundleDir(jobId) {
+    return path.join(DIAGNOSTICS_DIR, jobId);
+}
+
+function manifestFile(jobId) {
+    return path.join(bundleDir(jobId), MANIFEST_FILE);
+}
+
+// Collects diagnostics for one run of a job. Attach it to the run's page, then
+// capture() whenever something looks wrong. Capturing never throws: a failed
+// screenshot must not turn into a failed scrape.
+function createRunDiagnostics(jobId, { owner = null } = {}) {
+    let manifest = null;
+    let consoleLines = [];
+    let consoleLinesSeen = 0;
+    let lastUrl = null;
+
+    activeBundles.add(jobId);
+
+    const loadManifest = async () => {
+        if (!manifest) {
+            manifest = await readJson(manifestFile(jobId), null) || {
+                jobId,
+                owner,
+                createdAt: new Date().toISOString(),
+                updatedAt: null,
+                lastUrl: null,
+                artifacts: []
+            };
+            await fs.promises.mkdir(bundleDir(jobId), { recursive: true });
+        }
+        return manifest;
+    };
+
+    const addArtifact = (artifact) => {
+        manifest.artifacts = manifest.artifacts.filter(existing => existing.name !== artifact.name);
+        manifest.artifacts.push({ ...artifact, capturedAt: new Date().toISOString() });
+    };
+
+    const flushConsole = async () => {
+        if (consoleLines.length === 0) return;
+        const lines = consoleLines;
+        consoleLines = [];
+        const file = path.join(bundleDir(jobId), CONSOLE_FILE);
+        await fs.promises.appendFile(file, lines.join('\n') + '\n');
+        const { size } = await fs.promises.stat(file);
+        addArtifact({ name: CONSOLE_FILE, kind: 'console', bytes: size });
+    };
+
+    const saveManifest = async () => {
+        manifest.lastUrl = lastUrl || manifest.lastUrl;
+        manifest.updatedAt = new Date().toISOString();
+        await writeJsonAtomic(manifestFile(jobId), manifest);
+    };
+
+    const logLine = (line) => {
+        consoleLinesSeen++;
+        if (consoleLinesSeen <= MAX_CONSOLE_LINES) {
+            consoleLines.push(`${new Date().toISOString()} ${line}`);
+        } else if (consoleLinesSeen === MAX_CONSOLE_LINES + 1) {
+            consoleLines.push(`${new Date().toISOString()} [further console output dropped]`);
+        }
+    };
+
+    return {
+        jobId,
+
+        // Follow the page's console output and main frame navigations
+        attach(page) {
+            page.on('console', message => logLine(`[${message.type()}] ${message.text()}`));
+            page.on('pageerror', error => logLine(`[pageerror] ${error.message}`));
+            page.on('framenavigated', (frame) => {
+                if (frame === page.mainFrame()) {
+                    lastUrl = frame.url();
+                }
+            });
+        },
+
+        // Save a screenshot of the page, plus its HTML unless html is false,
+        // named after the label and the result page it happened on
+        async capture(page, label, { pageNumber = null, reason = null, html = true } = {}) {
+            try {
+                await loadManifest();
+                const sequence = String(manifest.artifacts.filter(a => a.kind === 'screenshot').length + 1).padStart(3, '0');
+                const baseName = `${sequence}-${label}${pageNumber ? `-page-${pageNumber}` : ''}`;
+                const url = page.url();
+                lastUrl = url || lastUrl;
+
+                const details = { label, page: pageNumber, reason, pageUrl: url };
+                const screenshotFile = `${baseName}.png`;
+                const screenshot = await page.screenshot({ path: path.join(bundleDir(jobId), screenshotFile) });
+                addArtifact({ name: screenshotFile, kind: 'screenshot', ...details, bytes: screenshot.length });
+
+                if (html) {
+                    const htmlFile = `${baseName}.html`;
+                    const content = await page.content();
+                    await fs.promises.writeFile(path.join(bundleDir(jobId), htmlFile), content);
+                    addArtifact({ name: htmlFile, kind: 'html', ...details, bytes: Buffer.byteLength(content) });
+                }
+
+                await flushConsole();
+                await saveManifest();
+            } catch (error) {
+                logger.error(`Failed to capture ${label} diagnostics for job ${jobId}`, error);
+            }
+        },
+
+        // Write out what is left of the console output once the run is over.
+        // Runs that captured nothing leave no bundle behind.
+        async finish() {
+            try {
+                const existing = manifest || await readJson(manifestFile(jobId), null);
+                if (existing) {
+                    await loadManifest();
+                    await flushConsole();
+                    await saveManifest();
+                }
+            } catch (error) {
+                logger.error(`Failed to write diagnostics for job ${jobId}`, error);
+            } finally {
+                activeBundles.delete(jobId);
+            }
+        }
+    };
+}
+
+// A job's bundle manifest, or null when it has none or it belongs to another key
+async function getDiagnostics(jobId, owner) {
+    if (!/^[\w-]+$/.test(jobId)) return null;
+    const manifest = await readJson(manifestFile(jobId), null);
+    return manifest && manifest.owner === owner ? manifest : null;
+}
+
+// Absolute path of one artifact of a job's bundle, or null unless the
+// manifest lists it - which also keeps names like ../x out of the bundle
+async function getArtifactPath(jobId, name, owner) {
+    const manifest = await getDiagnostics(jobId, owner);
+    if (!manifest || !manifest.artifacts.some(artifact => artifact.name === name)) {
+        return null;
+    }
+    return path.join(bundleDir(jobId), path.basename(name));
+}
+
+// Delete bundles past the retention period, then the oldest beyond the
+// bundle limit. Returns the job IDs whose bundles were removed.
+async function pruneDiagnostics({
+    retentionHours = DIAGNOSTICS_RETENTION_HOURS,
+    maxBundles = DIAGNOSTICS_MAX_BUNDLES,
+    now = Date.now()
+} = {}) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(DIAGNOSTICS_DIR, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const bundles = [];
+    for (const entry of entries.filter(e => e.isDirectory() && !activeBundles.has(e.name))) {
+        const manifest = await readJson(manifestFile(entry.name), null).catch(() => null);
+        const updatedAt = manifest && manifest.updatedAt ?
+            Date.parse(manifest.updatedAt) :
+            (await fs.promises.stat(bundleDir(entry.name))).mtimeMs;
+        bundles.push({ jobId: entry.name, updatedAt });
+    }
+
+    // Newest first, so whatever is past the limit is the oldest
+    bundles.sort((a, b) => b.updatedAt - a.updatedAt);
+    const cutoff = now - retentionHours * 60 * 60 * 1000;
+    const expired = bundles.filter((bundle, index) => bundle.updatedAt < cutoff || index >= maxBundles);
+
+    for (const { jobId } of expired) {
+        await fs.promises.rm(bundleDir(jobId), { recursive: true, force: true });
+    }
+    return expired.map(bundle => bundle.jobId);
+}
+
+function schedulePruning() {
+    const prune = () => pruneDiagnostics()
+        .then(removed => removed.length > 0 && logger.info(`Pruned ${removed.length} diagnostics bundles`))
+        .catch(error => logger.error('Failed to prune diagnostics bundles', error));
+
+    prune();
+    setInterval(prune, 60 * 60 * 1000).unref();
+}
+
+module.exports = {
+    DIAGNOSTICS_RETENTION_HOURS,
+    DIAGNOSTICS_MAX_BUNDLES,
+    createRunDiagnostics,
+    getDiagnostics,
+    getArtifactPath,
+    pruneDiagnostics,
+    schedulePruning
+};
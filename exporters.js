@@ -0,0 +1,179 @@
+const ExcelJS = require('exceljs');
+const { httpError } = require('./httpErrors');
+
+// Columns that can be exported per search mode, mapped to how each is read
+// from a result
+const EXPORT_COLUMNS = {
+    people: {
+        sheetName: 'Profiles',
+        columns: {
+            name: profile => profile.name,
+            firstName: profile => profile.firstName,
+            lastName: profile => profile.lastName,
+            credentials: profile => (profile.credentials ? profile.credentials.join(', ') : null),
+            title: profile => profile.title,
+            position: profile => profile.position,
+            company: profile => profile.company,
+            location: profile => profile.location,
+            city: profile => profile.city,
+            region: profile => profile.region,
+            country: profile => profile.country,
+            profileUrl: profile => profile.profileUrl,
+            linkedinId: profile => profile.linkedinId,
+            connectionDegree: profile => profile.connectionDegree,
+            degree: profile => profile.degree,
+            isAnonymous: profile => profile.isAnonymous,
+            imageUrl: profile => (profile.profileImage ? profile.profileImage.src : '')
+        }
+    },
+    companies: {
+        sheetName: 'Companies',
+        columns: {
+            companyId: company => company.companyId,
+            name: company => company.name,
+            companyUrl: company => company.companyUrl,
+            industry: company => company.industry,
+            headcountRange: company => company.headcountRange,
+            headquarters: company => company.headquarters,
+            followers: company => company.followers,
+            website: company => company.website
+        }
+    },
+    jobs: {
+        sheetName: 'Jobs',
+        columns: {
+            jobId: job => job.jobId,
+            title: job => job.title,
+            company: job => job.company,
+            location: job => job.location,
+            workplaceType: job => job.workplaceType,
+            postedAt: job => job.postedAt,
+            applicants: job => job.applicants,
+            jobUrl: job => job.jobUrl,
+            description: job => job.description
+        }
+    },
+    content: {
+        sheetName: 'Posts',
+        columns: {
+            urn: post => post.urn,
+            postUrl: post => post.postUrl,
+            authorName: post => post.author.name,
+            authorProfileUrl: post => post.author.profileUrl,
+            authorHeadline: post => post.author.headline,
+            text: post => post.text,
+            postedAt: post => post.postedAt,
+            reactions: post => post.reactions,
+            comments: post => post.comments
+        }
+    }
+};
+
+// Employees of a company are profiles too
+EXPORT_COLUMNS.employees = { ...EXPORT_COLUMNS.people, sheetName: 'Employees' };
+
+const DEFAULT_COLUMNS = Object.keys(EXPORT_COLUMNS.people.columns);
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', write: writeCsv },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', write: writeNdjson },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: writeXlsx }
+};
+
+// Parse a comma-separated column list for a mode's results, rejecting names we don't know
+function parseColumns(columnsParam, mode = 'people') {
+    const available = Object.keys(EXPORT_COLUMNS[mode].columns);
+    if (!columnsParam) return available;
+
+    const columns = columnsParam.split(',').map(c => c.trim()).filter(Boolean);
+    const unknown = columns.filter(c => !available.includes(c));
+    if (columns.length === 0 || unknown.length > 0) {
+        throw httpError(`Unknown export columns: ${unknown.join(', ') || '(none given)'}. ` +
+            `Available columns: ${available.join(', ')}`, 400);
+    }
+    return columns;
+}
+
+function projectRow(item, columns, mode) {
+    const row = {};
+    for (const column of columns) {
+        const value = EXPORT_COLUMNS[mode].columns[column](item);
+        row[column] = value === undefined ? null : value;
+    }
+    return row;
+}
+
+// Quote a CSV field when it contains a delimiter, quote or line break (RFC 4180).
+// Scraped text that a spreadsheet would run as a formula (=, +, -, @, or a
+// leading tab or carriage return) is prefixed with ' so it opens as plain text.
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function toCsvRow(values) {
+    return values.map(toCsvValue).join(',') + '\r\n';
+}
+
+// Write to the stream, waiting for it to drain when its buffer is full.
+// Also gives up waiting if the client goes away mid-download.
+async function writeChunk(stream, chunk) {
+    if (stream.write(chunk)) return;
+
+    await new Promise((resolve) => {
+        const done = () => {
+            stream.off('drain', done);
+            stream.off('close', done);
+            resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+    });
+}
+
+async function writeCsv(stream, items, columns, mode = 'people') {
+    // The byte order mark makes Excel read the file as UTF-8, so accents and emoji survive
+    await writeChunk(stream, '\uFEFF' + toCsvRow(columns));
+    for (const item of items) {
+        if (stream.destroyed) return;
+        const row = projectRow(item, columns, mode);
+        await writeChunk(stream, toCsvRow(columns.map(c => row[c])));
+    }
+    stream.end();
+}
+
+async function writeNdjson(stream, items, columns, mode = 'people') {
+    for (const item of items) {
+        if (stream.destroyed) return;
+        await writeChunk(stream, JSON.stringify(projectRow(item, columns, mode)) + '\n');
+    }
+    stream.end();
+}
+
+async function writeXlsx(stream, items, columns, mode = 'people') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(EXPORT_COLUMNS[mode].sheetName);
+    sheet.columns = columns.map(column => ({ header: column, key: column, width: 30 }));
+
+    for (const item of items) {
+        sheet.addRow(projectRow(item, columns, mode)).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    DEFAULT_COLUMNS,
+    parseColumns,
+    toCsvValue,
+    toCsvRow
+};
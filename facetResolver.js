@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { dataPath, readJson, writeJsonAtomic } = require('./dataStore');
+const { listFacetNames } = require('./searchBuilder');
+const { httpError } = require('./httpErrors');
+
+// Resolved names are reused for this long before LinkedIn is asked again
+const FACET_CACHE_TTL_MS = parseInt(process.env.FACET_CACHE_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+const FACET_CACHE_FILE = dataPath('facet-cache.json');
+
+// When set, typeahead responses are read from <dir>/<type>-<name>.json instead
+// of LinkedIn, e.g. for offline development and tests
+const FACET_FIXTURES_DIR = process.env.FACET_FIXTURES_DIR || null;
+
+const MAX_ALTERNATIVES = 5;
+
+// LinkedIn typeahead type for each facet and the URN forms its hits come back as
+const FACET_TYPES = {
+    company: { typeaheadType: 'COMPANY', urnPattern: /^urn:li:(?:fs_miniCompany|company|organization):(\d+)$/ },
+    location: { typeaheadType: 'GEO', urnPattern: /^urn:li:(?:fs_geo|geo):(\d+)$/ },
+    school: { typeaheadType: 'SCHOOL', urnPattern: /^urn:li:(?:fs_miniSchool|school):(\d+)$/ },
+    industry: { typeaheadType: 'INDUSTRY', urnPattern: /^urn:li:(?:fs_industry|industry):(\d+)$/ }
+};
+
+let cache = null;
+let loading = null;
+
+async function loadCache() {
+    if (cache) return cache;
+    if (!loading) {
+        loading = readJson(FACET_CACHE_FILE, {}).then((stored) => {
+            cache = new Map(Object.entries(stored));
+            return cache;
+        });
+    }
+    return loading;
+}
+
+function cacheKey(type, name) {
+    return `${type}:${name.trim().toLowerCase()}`;
+}
+
+// File-name friendly form of a name, used for fixture files
+function slugify(name) {
+    return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function typeaheadUrl(type, name) {
+    const url = new URL('https://www.linkedin.com/voyager/api/typeahead/hitsV2');
+    url.searchParams.set('keywords', name);
+    url.searchParams.set('origin', 'OTHER');
+    url.searchParams.set('q', 'type');
+    url.searchParams.set('type', FACET_TYPES[type].typeaheadType);
+    return url.toString();
+}
+
+// Turn a raw typeahead response into { id, name, subtext, urn } matches,
+// skipping hits of other entity types
+function parseTypeaheadResponse(type, response) {
+    const elements = (response && response.elements) || [];
+    const matches = [];
+
+    for (const element of elements) {
+        const urn = element.targetUrn || element.objectUrn || '';
+        const match = urn.match(FACET_TYPES[type].urnPattern);
+        if (!match) continue;
+
+        matches.push({
+            id: match[1],
+            name: (element.text && element.text.text) || '',
+            subtext: (element.subtext && element.subtext.text) || null,
+            urn
+        });
+    }
+    return matches;
+}
+
+// Query LinkedIn's typeahead from an authenticated page. The page has to be on
+// linkedin.com so the request carries the session cookies; the JSESSIONID
+// cookie doubles as the CSRF token.
+function createTypeaheadSource(page) {
+    return async (type, name) => {
+        const cookies = await page.cookies('https://www.linkedin.com');
+        const jsessionId = cookies.find(cookie => cookie.name === 'JSESSIONID');
+        if (!jsessionId) {
+            throw httpError('The JSESSIONID cookie is required to resolve filter names', 400);
+        }
+
+        const result = await page.evaluate(async (url, csrfToken) => {
+            const response = await fetch(url, {
+                credentials: 'include',
+                headers: {
+                    'accept': 'application/json',
+                    'csrf-token': csrfToken,
+                    'x-restli-protocol-version': '2.0.0'
+                }
+            });
+            return { status: response.status, body: response.ok ? await response.json() : null };
+        }, typeaheadUrl(type, name), jsessionId.value.replace(/"/g, ''));
+
+        if (result.status !== 200) {
+            throw httpError(`LinkedIn typeahead answered ${result.status} for ${type} "${name}"`, 502);
+        }
+        return result.body;
+    };
+}
+
+// Serve typeahead responses from <dir>/<type>-<slug>.json
+function createFixtureSource(dir) {
+    return async (type, name) => {
+        const file = path.join(dir, `${type}-${slugify(name)}.json`);
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw httpError(`No typeahead fixture for ${type} "${name}" (${file})`, 502);
+            }
+            throw error;
+        }
+    };
+}
+
+// The source a scrape should use: fixtures when FACET_FIXTURES_DIR is set,
+// otherwise LinkedIn through the scrape's own page
+function createFacetSource(page) {
+    return FACET_FIXTURES_DIR ? createFixtureSource(FACET_FIXTURES_DIR) : createTypeaheadSource(page);
+}
+
+// Resolve one name to its best match: an exact (case-insensitive) name match
+// if there is one, otherwise LinkedIn's top hit. Cached per type and name.
+async function resolveName(type, name, source) {
+    if (!FACET_TYPES[type]) {
+        throw httpError(`Unknown facet type "${type}"`, 400);
+    }
+
+    const store = await loadCache();
+    const key = cacheKey(type, name);
+    const cached = store.get(key);
+
+    let matches;
+    let fromCache = false;
+    if (cached && Date.now() - Date.parse(cached.resolvedAt) < FACET_CACHE_TTL_MS) {
+        matches = cached.matches;
+        fromCache = true;
+    } else {
+        matches = parseTypeaheadResponse(type, await source(type, name));
+        store.set(key, { matches, resolvedAt: new Date().toISOString() });
+        await writeJsonAtomic(FACET_CACHE_FILE, Object.fromEntries(store));
+    }
+
+    if (matches.length === 0) {
+        throw httpError(`No ${type} found on LinkedIn matching "${name}"`, 422);
+    }
+
+    const wanted = name.trim().toLowerCase();
+    const best = matches.find(match => match.name.toLowerCase() === wanted) || matches[0];
+    return {
+        type,
+        query: name,
+        id: best.id,
+        name: best.name,
+        subtext: best.subtext,
+        alternatives: matches.filter(match => match !== best).slice(0, MAX_ALTERNATIVES),
+        cached: fromCache
+    };
+}
+
+// Replace every name in a validated search of the given mode with its LinkedIn
+// ID. Returns the search with IDs only and how each name was resolved.
+async function resolveSearchFacets(search, source, mode = 'people') {
+    const resolved = { ...search };
+    const resolutions = [];
+
+    for (const { field, type, name } of listFacetNames(search, mode)) {
+        const resolution = await resolveName(type, name, source);
+        resolutions.push({ field, ...resolution });
+        resolved[field] = resolved[field].map(value => value === name ? resolution.id : value);
+    }
+    return { search: resolved, resolutions };
+}
+
+module.exports = {
+    FACET_TYPES,
+    parseTypeaheadResponse,
+    createTypeaheadSource,
+    createFixtureSource,
+    createFacetSource,
+    resolveName,
+    resolveSearchFacets
+};
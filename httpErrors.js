@@ -0,0 +1,8 @@
+// An error meant for the client: routes answer with its statusCode and message
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+module.exports = { httpError };
@@ -1,121 +1,618 @@
 const express = require('express');
 const cors = require('cors');
-const { searchLinkedInPeople } = require('./linkedinScraperService');
+const jobManager = require('./jobManager');
+const profileStore = require('./profileStore');
+const { EXPORT_FORMATS, parseColumns } = require('./exporters');
+const { parseLastEventId, streamJobEvents } = require('./sseStream');
+const { resolveCredentials } = require('./credentials');
+const sessionVault = require('./sessionVault');
+const apiKeys = require('./apiKeys');
+const { requireApiKey, requireAdmin, issueStreamToken, acceptStreamToken } = require('./auth');
+const { getPoolStats, checkReadiness, closePool } = require('./browserPool');
+const { getSchedulerStats } = require('./scheduler');
+const { resolveSearch } = require('./searchBuilder');
+const pacingPolicy = require('./pacingPolicy');
+const selectorRegistry = require('./selectorRegistry');
+const diagnostics = require('./diagnostics');
+const pageArchive = require('./pageArchive');
+const { reextractArchive } = require('./reextraction');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { httpError } = require('./httpErrors');
 
 const app = express();
 const port = process.env.PORT || 3001; // Use the PORT environment variable or default to 3001
 
-// Add proper error handling
+// How long running jobs get to finish their current page when the server stops.
+// Keep it under the platform's grace period (10s on Cloud Run by default).
+const SHUTDOWN_DEADLINE_MS = parseInt(process.env.SHUTDOWN_DEADLINE_MS) || 6000;
+
+let server = null;
+let shuttingDown = false;
+
+// Stop admitting scrapes, let running jobs checkpoint and stop, then close the
+// browsers so no Chromium processes outlive the server
+async function shutdown(reason, exitCode = 0) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down', { reason, deadlineMs: SHUTDOWN_DEADLINE_MS });
+
+    // In case something hangs, don't outlive the platform's patience
+    setTimeout(() => {
+        logger.error('Shutdown took too long, exiting');
+        process.exit(exitCode || 1);
+    }, SHUTDOWN_DEADLINE_MS + 5000).unref();
+
+    if (server) {
+        server.close();
+    }
+    try {
+        const stopped = await jobManager.shutdownJobs({ deadlineMs: SHUTDOWN_DEADLINE_MS });
+        logger.info(`Stopped ${stopped} running jobs`);
+    } catch (error) {
+        logger.error('Failed to stop running jobs', error);
+    }
+    try {
+        await closePool();
+    } catch (error) {
+        logger.error('Failed to close browsers', error);
+    }
+    if (server) {
+        // SSE streams of stopped jobs have ended; drop idle keep-alive connections too
+        server.closeAllConnections();
+    }
+
+    logger.info('Shutdown complete');
+    process.exit(exitCode);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// The process can't be trusted after an uncaught exception; stop cleanly and
+// let the platform restart it
 process.on('uncaughtException', (err) => {
-  console.error('Uncaught Exception:', err);
-  // Keep the server running despite the error
+  logger.error('Uncaught Exception', err);
+  shutdown('uncaughtException', 1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  logger.error('Unhandled Rejection', reason instanceof Error ? reason : { reason: String(reason) });
   // Keep the server running despite the error
 });
 
 app.use(cors());
+app.use(express.json());
 
-app.get('/api/linkedin-search', (req, res) => {
-    const searchTerm = req.query.q;
-    const cookiesString = req.query.cookies;
-    const maxPages = parseInt(req.query.maxPages) || 100;
+// Prometheus scrape target, outside /api so it needs no API key
+app.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.registry.contentType);
+        res.send(await metrics.registry.metrics());
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-    if (!cookiesString) {
-        return res.status(400).json({ error: 'LinkedIn cookies are required' });
+// Liveness probe: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness probe: the server takes new scrapes and a browser is available for them
+app.get('/readyz', async (req, res) => {
+    if (shuttingDown) {
+        return res.status(503).json({ status: 'shutting_down' });
     }
-    const decodedCookies = decodeURIComponent(cookiesString);
+    try {
+        const browser = await checkReadiness();
+        res.status(browser.ready ? 200 : 503).json({ status: browser.ready ? 'ready' : 'not_ready', browser: browser.reason });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-    let searchUrl = req.query.searchUrl;
-    const DEFAULT_SEARCH_URL = 'https://www.linkedin.com/search/results/people/';
-    if (searchUrl) {
-        searchUrl = decodeURIComponent(searchUrl);
-    } else if (searchTerm) {
-        searchUrl = `${DEFAULT_SEARCH_URL}?keywords=${encodeURIComponent(searchTerm)}`;
-    } else {
-        return res.status(400).json({ error: 'Either searchUrl or searchTerm is required' });
+// Key management, authenticated with ADMIN_TOKEN rather than an API key
+app.post('/api/admin/keys', requireAdmin, async (req, res) => {
+    try {
+        res.status(201).json(await apiKeys.createApiKey(req.body || {}));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
+});
 
-    // Flag to track if response has been ended
-    let isResponseEnded = false;
+app.get('/api/admin/keys', requireAdmin, async (req, res) => {
+    try {
+        res.json({ keys: await apiKeys.listApiKeys() });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-    // Helper function to safely write to response
-    const safeWrite = (data) => {
-        if (!isResponseEnded && !res.writableEnded) {
-            res.write(data);
+app.patch('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+    try {
+        const apiKey = await apiKeys.updateApiKey(req.params.id, req.body || {});
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
         }
-    };
+        res.json(apiKey);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-    // Helper function to safely end response
-    const safeEnd = () => {
-        if (!isResponseEnded && !res.writableEnded) {
-            isResponseEnded = true;
-            res.end();
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+    try {
+        const apiKey = await apiKeys.revokeApiKey(req.params.id);
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
         }
-    };
+        res.json(apiKey);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// The selector registry in use, and how often each selector matched since it was loaded
+app.get('/api/admin/selectors', requireAdmin, (req, res) => {
+    try {
+        res.json({ ...selectorRegistry.getRegistryInfo(), selectors: selectorRegistry.getSelectors() });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/admin/selectors/stats', requireAdmin, (req, res) => {
+    try {
+        res.json(selectorRegistry.getSelectorStats());
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Re-read the registry file after editing it, without restarting running scrapes
+app.post('/api/admin/selectors/reload', requireAdmin, async (req, res) => {
+    try {
+        res.json(await selectorRegistry.reloadSelectors());
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-    // Set headers for SSE with explicit timeouts
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache, no-transform');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
-    
-    // Set longer timeouts for the request and response
-    req.socket.setTimeout(900000); // 15 minutes
-    
-    // Implement heartbeat to keep connection alive
-    const heartbeatInterval = setInterval(() => {
-        if (!isResponseEnded && !res.writableEnded) {
-        safeWrite(':heartbeat\n\n'); // SSE comment line as heartbeat
-        } else {
-        clearInterval(heartbeatInterval);
+// Jobs restored from checkpoints that predate job ownership belong to no key
+app.get('/api/admin/jobs/unowned', requireAdmin, (req, res) => {
+    res.json({ jobs: jobManager.listUnownedJobs().map(jobManager.summarizeJob) });
+});
+
+app.post('/api/admin/jobs/:id/owner', requireAdmin, async (req, res) => {
+    try {
+        const apiKey = await apiKeys.getApiKey((req.body || {}).apiKeyId);
+        if (!apiKey) {
+            return res.status(400).json({ error: 'apiKeyId must name an active API key' });
+        }
+        const job = await jobManager.assignJobOwner(req.params.id, apiKey.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
         }
-    }, 30000); // Every 30 seconds
-    
-    // Send initial message to establish connection
-    safeWrite('data: {"status":"connected","message":"SSE connection established"}\n\n');
+        res.json(jobManager.summarizeJob(job));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-    const emitter = searchLinkedInPeople(searchUrl, decodedCookies, maxPages);
+// The SSE routes are opened by EventSource, which can't set headers; they
+// also take a stream token from POST /api/stream-tokens in the URL
+app.get(['/api/linkedin-search', '/api/jobs/:id/events'], acceptStreamToken);
 
-    // Store a reference to the emitter for cleanup
-    let scraperEmitter = emitter;
-    let isCancelled = false;
+// Every other /api route needs a valid API key
+app.use('/api', requireApiKey);
 
-    emitter.on('progress', (data) => {
-        console.log('Progress:', data);
-        safeWrite(`data: ${JSON.stringify(data)}\n\n`);
-    });
+// Issue a short-lived token for ?streamToken= on the SSE routes
+app.post('/api/stream-tokens', (req, res) => {
+    res.status(201).json(issueStreamToken(req.apiKey.id));
+});
+
+// Look up a job owned by the calling API key, answering 404 otherwise
+function findOwnJob(req, res, id = req.params.id) {
+    const job = jobManager.getJob(id);
+    if (!job || job.apiKeyId !== req.apiKey.id) {
+        res.status(404).json({ error: 'Job not found' });
+        return null;
+    }
+    return job;
+}
+
+// Apply the caller's quotas to a new scrape. Returns the number of pages it may
+// run, or throws an error carrying the 403/429 status to answer with (503 once
+// the server is shutting down).
+function admitScrape(req, maxPages) {
+    if (shuttingDown) {
+        throw httpError('Server is shutting down, try again shortly', 503);
+    }
+    return apiKeys.checkScrapeQuota(req.apiKey, maxPages, jobManager.countActiveJobs(req.apiKey.id));
+}
+
+// A request's maxPages, or null when it leaves it to the key's limit. Throws a
+// 400 error for anything but a positive integer.
+function parseMaxPages(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const maxPages = Number(value);
+    if (!Number.isInteger(maxPages) || maxPages < 1) {
+        throw httpError('maxPages must be a positive integer', 400);
+    }
+    return maxPages;
+}
+
+// Pages left in the LinkedIn session's daily budget (unlimited for cookies
+// without a session), or throws a 429 error when nothing is left
+async function sessionPagesLeft(cookies) {
+    const sessionKey = pacingPolicy.sessionKeyFor(cookies);
+    return sessionKey ? pacingPolicy.checkSessionBudget(sessionKey, Infinity) : Infinity;
+}
+
+// Validate a scrape request and work out everything createJob needs: what to
+// search for, how fast, the credentials to run with and how many pages the
+// LinkedIn session's daily budget allows. The key's quotas are applied by
+// startScrape. Throws errors carrying the 4xx status to answer with.
+async function prepareScrape(req, params) {
+    const target = resolveSearch(params);
+    if (params.enrich === true && !['people', 'employees'].includes(target.mode)) {
+        throw httpError('enrich is only available for people and employees searches', 400);
+    }
+    if (params.includeDescriptions === true && target.mode !== 'jobs') {
+        throw httpError('includeDescriptions is only available for jobs searches', 400);
+    }
+    const pacing = pacingPolicy.resolvePacing(params.pacing);
+    const requestedPages = parseMaxPages(params.maxPages);
 
-    emitter.on('error', (data) => {
-        console.error('Error:', data);
-        safeWrite(`data: ${JSON.stringify(data)}\n\n`);
-        safeEnd();
+    const credentials = await resolveCredentials(req);
+    return {
+        mode: target.mode,
+        searchUrl: target.searchUrl,
+        search: target.search,
+        cookies: credentials.cookies,
+        sessionId: credentials.sessionId,
+        apiKeyId: req.apiKey.id,
+        requestedPages,
+        sessionPages: await sessionPagesLeft(credentials.cookies),
+        enrich: params.enrich === true,
+        includeDescriptions: params.includeDescriptions === true,
+        pacing,
+        archive: params.archive === true
+    };
+}
+
+// Apply the key's quotas to a prepared scrape and register its job. Nothing is
+// awaited between counting the key's active jobs and createJob adding this one,
+// so parallel requests can't all find the same free slot.
+function startScrape(req, { requestedPages, sessionPages, ...scrape }, options = {}) {
+    const maxPages = Math.min(admitScrape(req, requestedPages), sessionPages);
+    return jobManager.createJob({ ...scrape, ...options, maxPages });
+}
+
+// Start a scrape and stream its events on this response. Shared by the GET
+// (EventSource) and POST (fetch-based SSE) variants of /api/linkedin-search.
+async function handleStreamingSearch(req, res, params) {
+    // A reconnecting EventSource resumes the run it was watching instead of starting a new one
+    const lastEventId = parseLastEventId(req);
+    if (lastEventId && lastEventId.jobId) {
+        const existingJob = findOwnJob(req, res, lastEventId.jobId);
+        if (existingJob) {
+            streamJobEvents(req, res, existingJob, lastEventId.seq);
+        }
+        return;
+    }
+
+    let job;
+    try {
+        // The scrape is cancelled only if no client comes back within the grace period
+        job = startScrape(req, await prepareScrape(req, params), { cancelWhenOrphaned: true });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+    streamJobEvents(req, res, job);
+}
+
+app.get('/api/linkedin-search', (req, res) => {
+    handleStreamingSearch(req, res, {
+        q: req.query.q,
+        searchUrl: req.query.searchUrl ? decodeURIComponent(req.query.searchUrl) : null,
+        search: req.query.search,
+        mode: req.query.mode,
+        maxPages: req.query.maxPages,
+        enrich: req.query.enrich === 'true',
+        includeDescriptions: req.query.includeDescriptions === 'true',
+        pacing: req.query.pacing,
+        archive: req.query.archive === 'true'
     });
+});
+
+app.post('/api/linkedin-search', (req, res) => {
+    handleStreamingSearch(req, res, req.body || {});
+});
+
+// Start a scrape that keeps running independently of any client connection
+app.post('/api/jobs', async (req, res) => {
+    let job;
+    try {
+        job = startScrape(req, await prepareScrape(req, req.body || {}));
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+    res.status(202).json(jobManager.summarizeJob(job));
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = findOwnJob(req, res);
+    if (!job) return;
+
+    res.json(jobManager.summarizeJob(job));
+});
 
-    emitter.on('done', (data) => {
-        console.log('Done:', data);
-        safeWrite(`data: ${JSON.stringify(data)}\n\n`);
-        safeEnd();
+// Watch a job's events. Any number of clients can subscribe to the same job.
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = findOwnJob(req, res);
+    if (!job) return;
+
+    const lastEventId = parseLastEventId(req);
+    const lastSeq = lastEventId && (!lastEventId.jobId || lastEventId.jobId === job.id) ? lastEventId.seq : 0;
+    streamJobEvents(req, res, job, lastSeq);
+});
+
+app.get('/api/jobs/:id/results', (req, res) => {
+    const job = findOwnJob(req, res);
+    if (!job) return;
+    res.json({
+        id: job.id,
+        status: job.status,
+        resultsCount: job.results.length,
+        results: job.results,
+        enrichedCount: job.enriched.length,
+        enriched: job.enriched
     });
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = findOwnJob(req, res);
+    if (!job) return;
+
+    jobManager.cancelJob(job.id);
+    res.json(jobManager.summarizeJob(job));
+});
+
+// Download a finished run as CSV, NDJSON or XLSX, optionally limited to ?columns=name,title,...
+app.get('/api/jobs/:id/export/:format', async (req, res) => {
+    const job = findOwnJob(req, res);
+    if (!job) return;
+
+    const format = EXPORT_FORMATS[req.params.format];
+    if (!format) {
+        return res.status(400).json({ error: `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    if (jobManager.isJobActive(job)) {
+        return res.status(409).json({ error: `Job is ${job.status}, export it once it has finished` });
+    }
+
+    let columns;
+    try {
+        columns = parseColumns(req.query.columns, job.mode);
+    } catch (error) {
+        return res.status(error.statusCode || 400).json({ error: error.message });
+    }
+
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="linkedin-${job.id}.${req.params.format}"`);
+
+    try {
+        await format.write(res, job.results, columns, job.mode);
+    } catch (error) {
+        logger.error(`Export of job ${job.id} failed`, error);
+        res.destroy(error);
+    }
+});
+
+// Screenshots, page HTML and browser console output saved while the job ran
+app.get('/api/jobs/:id/diagnostics', async (req, res) => {
+    try {
+        // Bundles are kept longer than jobs, so they are looked up by job ID and
+        // owning key directly. A job that captured nothing yet has an empty one.
+        const manifest = await diagnostics.getDiagnostics(req.params.id, req.apiKey.id);
+        const job = jobManager.getJob(req.params.id);
+        if (!manifest && !(job && job.apiKeyId === req.apiKey.id)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        const artifacts = manifest ? manifest.artifacts : [];
+        res.json({
+            id: req.params.id,
+            lastUrl: manifest ? manifest.lastUrl : null,
+            updatedAt: manifest ? manifest.updatedAt : null,
+            artifacts: artifacts.map(artifact => ({
+                ...artifact,
+                url: `/api/jobs/${req.params.id}/diagnostics/${encodeURIComponent(artifact.name)}`
+            }))
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/jobs/:id/diagnostics/:name', async (req, res) => {
+    try {
+        const file = await diagnostics.getArtifactPath(req.params.id, req.params.name, req.apiKey.id);
+        if (!file) {
+            return res.status(404).json({ error: 'Artifact not found' });
+        }
+        res.download(file, `${req.params.id}-${req.params.name}`);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Continue a failed, cancelled or interrupted job from its last checkpoint
+app.post('/api/jobs/:id/resume', async (req, res) => {
+    const existingJob = findOwnJob(req, res);
+    if (!existingJob) return;
+
+    try {
+        // Jobs started from a stored session can be resumed without resending credentials
+        const credentials = await resolveCredentials(req, { fallbackSessionId: existingJob.sessionId });
+        const sessionPages = await sessionPagesLeft(credentials.cookies);
+        // Called by resumeJob once it has nothing left to await, as in startScrape
+        const admit = (job) => {
+            const remainingPages = Math.max(1, job.maxPages - job.pagesCompleted);
+            const allowedPages = Math.min(admitScrape(req, remainingPages), sessionPages);
+            return job.maxPages - (remainingPages - allowedPages);
+        };
+        const job = await jobManager.resumeJob(existingJob.id, credentials, { admit });
+        res.status(202).json(jobManager.summarizeJob(job));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Results pages archived by jobs started with archive: true. They outlive the
+// jobs themselves, so they are looked up by job ID and owning key directly.
+app.get('/api/archives', async (req, res) => {
+    try {
+        const archives = await pageArchive.listArchives(req.apiKey.id);
+        res.json({
+            archives: archives.map(({ jobId, mode, searchUrl, createdAt, updatedAt, pages }) =>
+                ({ jobId, mode, searchUrl, createdAt, updatedAt, pagesCount: pages.length }))
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/archives/:id', async (req, res) => {
+    try {
+        const archive = await pageArchive.getArchive(req.params.id, req.apiKey.id);
+        if (!archive) {
+            return res.status(404).json({ error: 'Archive not found' });
+        }
+        res.json(archive);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-    // Handle client disconnect
-    req.on('close', () => {
-        clearInterval(heartbeatInterval);
-        console.log('Client disconnected');
-        
-        // Set the cancelled flag
-        isCancelled = true;
-        
-        // Emit a cancel event to stop the scraping process
-        if (scraperEmitter) {
-            scraperEmitter.emit('cancel');
-            scraperEmitter.removeAllListeners();
-            scraperEmitter = null;
+// Replay an archive through the current extractors. Answers with the diff
+// against the original results; the new results are kept as a result set.
+app.post('/api/archives/:id/reextract', async (req, res) => {
+    try {
+        const archive = await pageArchive.getArchive(req.params.id, req.apiKey.id);
+        if (!archive) {
+            return res.status(404).json({ error: 'Archive not found' });
         }
-        
-        safeEnd();
+
+        const { results, ...reextraction } = await reextractArchive(archive);
+        res.status(201).json({
+            ...reextraction,
+            resultsUrl: `/api/archives/${archive.jobId}/reextractions/${reextraction.id}`
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/archives/:id/reextractions/:reextractionId', async (req, res) => {
+    try {
+        const archive = await pageArchive.getArchive(req.params.id, req.apiKey.id);
+        const reextraction = archive && await pageArchive.getReextraction(archive.jobId, req.params.reextractionId);
+        if (!reextraction) {
+            return res.status(404).json({ error: 'Re-extraction not found' });
+        }
+        res.json(reextraction);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Stored LinkedIn sessions, so searches can pass a sessionId instead of raw cookies
+app.post('/api/sessions', async (req, res) => {
+    try {
+        const session = await sessionVault.storeSession({ ...req.body, ownerId: req.apiKey.id });
+        res.status(201).json(session);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/sessions', async (req, res) => {
+    try {
+        res.json({ sessions: await sessionVault.listSessions(req.apiKey.id) });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// How much of a stored session's daily page budget is left
+app.get('/api/sessions/:id/budget', async (req, res) => {
+    try {
+        const cookies = await sessionVault.getSessionCookies(req.params.id, req.apiKey.id);
+        res.json(await pacingPolicy.describeSessionBudget(pacingPolicy.sessionKeyFor(cookies)));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/sessions/:id', async (req, res) => {
+    try {
+        const deleted = await sessionVault.deleteSession(req.params.id, req.apiKey.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Deduplicated profiles collected across all runs of the calling key
+app.get('/api/profiles', async (req, res) => {
+    try {
+        const result = await profileStore.listProfiles({
+            apiKeyId: req.apiKey.id,
+            limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+            offset: parseInt(req.query.offset) || 0,
+            search: req.query.search
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/profiles/:key', async (req, res) => {
+    try {
+        const record = await profileStore.getProfile(req.params.key, req.apiKey.id);
+        if (!record) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        res.json(record);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Browser pool utilisation: warm browsers, active contexts and lifetime counters
+app.get('/api/pool', (req, res) => {
+    res.json(getPoolStats());
+});
+
+// Admission control: running and queued scrapes
+app.get('/api/queue', (req, res) => {
+    res.json(getSchedulerStats());
+});
+
+// Pacing presets a scrape can pick with the pacing parameter, and the session budget
+app.get('/api/pacing', (req, res) => {
+    res.json({
+        defaultPreset: pacingPolicy.DEFAULT_PACING_PRESET,
+        presets: pacingPolicy.PACING_PRESETS,
+        sessionPagesPerDay: pacingPolicy.SESSION_PAGES_PER_DAY
     });
 });
 
@@ -123,6 +620,18 @@ app.get('/api', (req, res) => {
     res.send('Hi, server is up and running');
 });
 
-app.listen(port, () => {
-    console.log(`Server listening on port ${port}`);
-});
\ No newline at end of file
+// Listen only when run as the server, so tests can mount the app themselves
+if (require.main === module) {
+    server = app.listen(port, () => {
+        logger.info(`Server listening on port ${port}`);
+
+        jobManager.restoreInterruptedJobs()
+            .then(count => count > 0 && logger.info(`Restored ${count} interrupted jobs from checkpoints`))
+            .catch(error => logger.error('Failed to restore interrupted jobs', error));
+
+        diagnostics.schedulePruning();
+        pageArchive.schedulePruning();
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,163 @@
+// Extractors for LinkedIn job search results and job postings. Like the other
+// extractors they must stay self-contained so Puppeteer can run them with
+// page.evaluate, and take { root } to run against a jsdom document.
+// Elements are looked up through the registry lists in options.selectors, and
+// with options.reportMatches the selector matches are returned next to the
+// result ({ items } for cards, { details } for a page).
+
+// Job cards in the results list of a /jobs/search/ page
+function extractJobCards(options) {
+    const doc = options.root || document;
+    const selectors = options.selectors;
+    const jobs = [];
+
+    const selectorMatches = {};
+    const recordMatch = (key, selector) => {
+        const counts = selectorMatches[key] = selectorMatches[key] || {};
+        const label = selector || '(none)';
+        counts[label] = (counts[label] || 0) + 1;
+    };
+
+    // First element under parent matched by the key's selectors, tried in order
+    const find = (parent, key) => {
+        for (const selector of selectors[key]) {
+            const element = parent.querySelector(selector);
+            if (element) {
+                recordMatch(key, selector);
+                return element;
+            }
+        }
+        recordMatch(key, null);
+        return null;
+    };
+
+    // Elements of the first of the key's selectors that matches any
+    const findAll = (parent, key) => {
+        for (const selector of selectors[key]) {
+            const elements = parent.querySelectorAll(selector);
+            if (elements.length > 0) {
+                recordMatch(key, selector);
+                return Array.from(elements);
+            }
+        }
+        recordMatch(key, null);
+        return [];
+    };
+
+    const textOf = (element) => element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+
+    // "Bengaluru, Karnataka, India (Hybrid)" -> location and workplace type
+    const splitWorkplace = (text) => {
+        const match = text.match(/^(.*?)\s*\((On-site|Remote|Hybrid)\)$/i);
+        return match ?
+            { location: match[1] || null, workplaceType: match[2] } :
+            { location: text || null, workplaceType: null };
+    };
+
+    const cards = findAll(doc, 'jobCards.card');
+    const seen = new Set();
+
+    cards.forEach((card) => {
+        try {
+            const jobId = card.getAttribute('data-job-id') || card.getAttribute('data-occludable-job-id');
+            if (!jobId || !/^\d+$/.test(jobId) || seen.has(jobId)) return;
+
+            // Occluded placeholders have no content until scrolled into view
+            const titleLink = find(card, 'jobCards.titleLink');
+            if (!titleLink) return;
+            seen.add(jobId);
+
+            const titleElement = find(titleLink, 'jobCards.titleText') || titleLink;
+            const company = textOf(find(card, 'jobCards.company'));
+            const metadata = textOf(find(card, 'jobCards.metadata'));
+            const { location, workplaceType } = splitWorkplace(metadata);
+
+            const time = card.querySelector('time');
+            const applicantsMatch = card.textContent.replace(/\s+/g, ' ').match(/(?:Over )?(\d[\d,]*)\+? applicants?/i);
+
+            jobs.push({
+                jobId,
+                title: textOf(titleElement) || null,
+                company: company || null,
+                location,
+                workplaceType,
+                postedAt: time ? time.getAttribute('datetime') || null : null,
+                postedText: textOf(time) || null,
+                applicants: applicantsMatch ? parseInt(applicantsMatch[1].replace(/,/g, ''), 10) : null,
+                jobUrl: `https://www.linkedin.com/jobs/view/${jobId}/`,
+                description: null
+            });
+        } catch (e) {
+            // Only logged in the page, not over archived HTML in Node
+            if (!options.root) console.error('Error parsing job card:', e);
+        }
+    });
+
+    return options.reportMatches ? { items: jobs, selectorMatches } : jobs;
+}
+
+// Details from a /jobs/view/<id>/ posting page
+function extractJobPosting(options) {
+    const doc = options.root || document;
+    const selectors = options.selectors;
+
+    const selectorMatches = {};
+    const recordMatch = (key, selector) => {
+        const counts = selectorMatches[key] = selectorMatches[key] || {};
+        const label = selector || '(none)';
+        counts[label] = (counts[label] || 0) + 1;
+    };
+
+    // First element under parent matched by the key's selectors, tried in order
+    const find = (parent, key) => {
+        for (const selector of selectors[key]) {
+            const element = parent.querySelector(selector);
+            if (element) {
+                recordMatch(key, selector);
+                return element;
+            }
+        }
+        recordMatch(key, null);
+        return null;
+    };
+
+    const textOf = (element) => element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+
+    // "Bengaluru, Karnataka, India · 2 days ago · Over 100 applicants"
+    const summary = textOf(find(doc, 'jobPosting.summary'));
+    const parts = summary.split('·').map(part => part.trim()).filter(Boolean);
+    const applicantsPart = parts.find(part => /applicants?/i.test(part));
+    const applicantsMatch = applicantsPart ? applicantsPart.match(/(\d[\d,]*)/) : null;
+
+    const insight = textOf(find(doc, 'jobPosting.insight'));
+    const workplaceMatch = insight.match(/\b(On-site|Remote|Hybrid)\b/i);
+
+    // Keep the paragraph structure of the description, but not the markup
+    const descriptionElement = find(doc, 'jobPosting.description');
+    const description = descriptionElement ?
+        Array.from(descriptionElement.querySelectorAll('p, li'))
+            .map(textOf)
+            .filter(Boolean)
+            .join('\n') || textOf(descriptionElement) :
+        '';
+
+    const canonical = doc.querySelector('link[rel="canonical"]');
+    const idMatch = ((canonical && canonical.href) || doc.location.href).match(/\/jobs\/view\/(?:[^/]*-)?(\d+)/);
+
+    const details = {
+        jobId: idMatch ? idMatch[1] : null,
+        title: textOf(find(doc, 'jobPosting.title')) || null,
+        company: textOf(find(doc, 'jobPosting.company')) || null,
+        location: parts[0] || null,
+        workplaceType: workplaceMatch ? workplaceMatch[1] : null,
+        postedText: parts.find(part => /\bago\b|reposted/i.test(part)) || null,
+        applicants: applicantsMatch ? parseInt(applicantsMatch[1].replace(/,/g, ''), 10) : null,
+        description: description || null
+    };
+    return options.reportMatches ? { details, selectorMatches } : details;
+}
+
+module.exports = {
+    extractJobCards,
+    extractJobPosting
+};
@@ -0,0 +1,543 @@
+const crypto = require('crypto');
+const { runLinkedInSearch } = require('./linkedinScraperService');
+const { upsertProfiles } = require('./profileStore');
+const { reserveKeyPage, releaseKeyPage } = require('./apiKeys');
+const scheduler = require('./scheduler');
+const { saveCheckpoint, loadCheckpoint, deleteCheckpoint, listCheckpoints } = require('./checkpointStore');
+const logger = require('./logger');
+const { httpError } = require('./httpErrors');
+
+// Finished jobs stay inspectable for this long before they are evicted
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// Jobs that are waiting for or holding a browser
+const ACTIVE_STATUSES = ['queued', 'running', 'cancelling'];
+
+// Stopped jobs that still have a checkpoint can be picked up again
+const RESUMABLE_STATUSES = ['failed', 'cancelled', 'interrupted'];
+
+// Scraper events that are buffered per job and replayed to SSE subscribers
+const STREAMED_EVENTS = ['progress', 'profile', 'profile_enriched', 'company', 'job_posting', 'post', 'warning', 'error', 'done'];
+const MAX_BUFFERED_EVENTS = parseInt(process.env.MAX_BUFFERED_EVENTS) || 5000;
+
+// The event each search mode streams its results as
+const ITEM_EVENTS = {
+    people: 'profile',
+    companies: 'company',
+    jobs: 'job_posting',
+    content: 'post',
+    employees: 'profile'
+};
+
+// How long a job started from an SSE request survives without any subscriber
+const ORPHAN_GRACE_MS = parseInt(process.env.ORPHAN_GRACE_MS) || 30000;
+
+// How long a run gets to wind down once it is cancelled for a shutdown
+const SHUTDOWN_CANCEL_GRACE_MS = 2000;
+
+const jobs = new Map();
+
+// Public view of a job - everything except the results and the emitter
+function summarizeJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        queuePosition: job.queuePosition,
+        mode: job.mode,
+        searchUrl: job.searchUrl,
+        search: job.search,
+        maxPages: job.maxPages,
+        sessionId: job.sessionId,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        currentPage: job.currentPage,
+        pagesCompleted: job.pagesCompleted,
+        profilesCount: job.results.length,
+        enrich: job.enrich,
+        enrichedCount: job.enriched.length,
+        includeDescriptions: job.includeDescriptions,
+        pacing: job.pacing,
+        archive: job.archive,
+        coverage: job.coverage,
+        errorsCount: job.errors.length,
+        lastError: job.errors.length > 0 ? job.errors[job.errors.length - 1] : null,
+        warningsCount: job.warnings.length,
+        lastWarning: job.warnings.length > 0 ? job.warnings[job.warnings.length - 1] : null,
+        failure: job.failure
+    };
+}
+
+function newJobRecord(fields) {
+    return {
+        status: 'queued',
+        queuePosition: null,
+        mode: 'people',
+        search: null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        currentPage: null,
+        pagesCompleted: 0,
+        results: [],
+        enrich: false,
+        enriched: [],
+        includeDescriptions: false,
+        // Resolved pacing policy; null runs with the default preset
+        pacing: null,
+        // Keep the HTML of every results page for later re-extraction
+        archive: false,
+        // Items collected against the total LinkedIn lists, for modes that report it
+        coverage: null,
+        // Fatal errors that stopped the search or the run, and failures it carried on past
+        errors: [],
+        warnings: [],
+        // The fatal error that ended the last run, if one did
+        failure: null,
+        sessionId: null,
+        apiKeyId: null,
+        emitter: null,
+        // SSE event buffer, replayed to subscribers that reconnect with Last-Event-ID
+        events: [],
+        lastEventSeq: 0,
+        subscribers: new Set(),
+        cancelWhenOrphaned: false,
+        orphanTimer: null,
+        // Latest checkpoint write, awaited before the process exits
+        pendingCheckpoint: null,
+        // Stopped by a server shutdown, so it ends up interrupted rather than cancelled
+        stoppedForShutdown: false,
+        ...fields
+    };
+}
+
+// A job either has a searchUrl up front or a structured search whose facet
+// names are resolved (and the searchUrl filled in) once its run has a session.
+// enrich visits every collected profile afterwards for its full details and
+// includeDescriptions opens every job posting found for its description.
+// pacing is a policy from pacingPolicy.resolvePacing.
+// archive stores every results page for re-extraction with later extractors.
+// cancelWhenOrphaned cancels the job once its last subscriber has been gone
+// for ORPHAN_GRACE_MS, for clients that expect a scrape to die with its stream
+function createJob({ mode = 'people', searchUrl = null, search = null, cookies, sessionId = null, apiKeyId = null, maxPages, enrich = false, includeDescriptions = false, pacing = null, archive = false, cancelWhenOrphaned = false }) {
+    const job = newJobRecord({
+        id: crypto.randomUUID(),
+        mode,
+        searchUrl,
+        search,
+        maxPages,
+        enrich,
+        includeDescriptions,
+        pacing,
+        archive,
+        // Only the vault reference is kept on the job, never the raw cookies
+        sessionId,
+        apiKeyId,
+        cancelWhenOrphaned
+    });
+    jobs.set(job.id, job);
+
+    enqueueRun(job, cookies);
+    return job;
+}
+
+function isJobActive(job) {
+    return ACTIVE_STATUSES.includes(job.status);
+}
+
+// Hand the run to the scheduler; it starts once a slot is free. Queued
+// subscribers get 'queued' progress events with their position and estimated wait.
+function enqueueRun(job, cookies, resumeFrom = null) {
+    job.status = 'queued';
+    job.finishedAt = null;
+    job.failure = null;
+
+    scheduler.schedule(job.id, {
+        run: () => new Promise(resolve => startRun(job, cookies, resumeFrom, resolve)),
+        onQueueUpdate: ({ position, estimatedWaitMs }) => {
+            job.queuePosition = position;
+            recordEvent(job, 'progress', {
+                status: 'queued',
+                message: `Waiting for a free scraper slot, position ${position} in queue (about ${Math.ceil(estimatedWaitMs / 60000)} min)`,
+                position,
+                estimatedWaitMs
+            });
+        }
+    });
+}
+
+// Close out a job that has stopped for good and let its subscribers go
+function finishJob(job, status) {
+    job.status = status;
+    job.queuePosition = null;
+    job.finishedAt = new Date().toISOString();
+    job.emitter = null;
+
+    if (job.orphanTimer) {
+        clearTimeout(job.orphanTimer);
+        job.orphanTimer = null;
+    }
+    for (const subscriber of job.subscribers) {
+        subscriber.onEnd(job);
+    }
+}
+
+// Append an event to the job's buffer and push it to live subscribers
+function recordEvent(job, event, data) {
+    job.lastEventSeq++;
+    const entry = { id: `${job.id}:${job.lastEventSeq}`, seq: job.lastEventSeq, event, data };
+
+    job.events.push(entry);
+    if (job.events.length > MAX_BUFFERED_EVENTS) {
+        job.events.shift();
+    }
+
+    for (const subscriber of job.subscribers) {
+        subscriber.onEvent(entry);
+    }
+}
+
+// Buffered events after the given sequence number, oldest first
+function eventsSince(job, seq = 0) {
+    return job.events.filter(entry => entry.seq > seq);
+}
+
+// Watch a job's events. Returns an unsubscribe function.
+function subscribe(job, subscriber) {
+    job.subscribers.add(subscriber);
+    if (job.orphanTimer) {
+        clearTimeout(job.orphanTimer);
+        job.orphanTimer = null;
+    }
+
+    return () => {
+        job.subscribers.delete(subscriber);
+        if (job.cancelWhenOrphaned && job.subscribers.size === 0 && isJobActive(job) && !job.orphanTimer) {
+            job.orphanTimer = setTimeout(() => {
+                job.orphanTimer = null;
+                if (job.subscribers.size === 0) {
+                    logger.info(`No subscribers left for job ${job.id}, cancelling`);
+                    cancelJob(job.id);
+                }
+            }, ORPHAN_GRACE_MS);
+        }
+    };
+}
+
+// Run the scraper for a job and keep the job record in sync with its events.
+// onFinished is called once the run has ended and released its browser.
+function startRun(job, cookies, resumeFrom, onFinished) {
+    const emitter = runLinkedInSearch(job.searchUrl, cookies, job.maxPages, {
+        // Diagnostics of every run of the job land in one bundle
+        runId: job.id,
+        mode: job.mode,
+        resumeFrom,
+        search: job.searchUrl ? null : job.search,
+        enrich: job.enrich,
+        includeDescriptions: job.includeDescriptions,
+        pacing: job.pacing,
+        // The archive and diagnostics remember their key so they stay usable after the job is evicted
+        archive: job.archive ? { owner: job.apiKeyId } : null,
+        owner: job.apiKeyId,
+        // Every page the run loads, results or detail page, comes out of the key's daily quota
+        reserveQuotaPage: job.apiKeyId ? () => reserveKeyPage(job.apiKeyId) : null,
+        releaseQuotaPage: job.apiKeyId ? () => releaseKeyPage(job.apiKeyId) : null
+    });
+    job.status = 'running';
+    job.queuePosition = null;
+    job.emitter = emitter;
+
+    emitter.on('progress', (data) => {
+        if (data.page) {
+            job.currentPage = data.page;
+        }
+        if (data.status === 'facets_resolved') {
+            job.searchUrl = data.searchUrl;
+        }
+        if (data.status === 'coverage') {
+            job.coverage = { collected: data.collected, totalAvailable: data.totalAvailable };
+        }
+        if (data.status === 'extracted') {
+            job.pagesCompleted++;
+            // Grow the shared deduplicated profile dataset page by page. The
+            // page's profiles were streamed just before, so they end job.results.
+            if (ITEM_EVENTS[job.mode] === 'profile') {
+                upsertProfiles(job.results.slice(job.results.length - data.count), { searchUrl: job.searchUrl, apiKeyId: job.apiKeyId })
+                    .catch(error => logger.error(`Failed to store profiles for job ${job.id}`, error));
+            }
+        }
+    });
+
+    emitter.on(ITEM_EVENTS[job.mode], (item) => {
+        job.results.push(item);
+    });
+
+    emitter.on('profile_enriched', (record) => {
+        job.enriched.push(record);
+    });
+
+    emitter.on('checkpoint', (checkpoint) => {
+        job.pendingCheckpoint = saveCheckpoint(job.id, {
+            ...checkpoint,
+            createdAt: job.createdAt,
+            enrich: job.enrich,
+            includeDescriptions: job.includeDescriptions,
+            pacing: job.pacing,
+            archive: job.archive,
+            sessionId: job.sessionId,
+            apiKeyId: job.apiKeyId
+        })
+            .catch(error => logger.error(`Failed to save checkpoint for job ${job.id}`, error));
+    });
+
+    emitter.on('error', (data) => {
+        job.errors.push({ ...data, at: new Date().toISOString() });
+        if (data.fatal) {
+            job.failure = { code: data.code, message: data.message, retryable: data.retryable, page: data.page };
+        }
+    });
+
+    emitter.on('warning', (data) => {
+        job.warnings.push({ ...data, at: new Date().toISOString() });
+    });
+
+    emitter.on('done', () => {
+        job.status = 'completed';
+        // A completed run has nothing left to resume
+        deleteCheckpoint(job.id)
+            .catch(error => logger.error(`Failed to delete checkpoint for job ${job.id}`, error));
+    });
+
+    // Registered after the state listeners above so subscribers see an up-to-date job
+    for (const event of STREAMED_EVENTS) {
+        emitter.on(event, data => recordEvent(job, event, data));
+    }
+
+    emitter.on('end', ({ cancelled, interrupted }) => {
+        emitter.removeAllListeners();
+
+        // Only a completed run deletes its checkpoint, so every other ending is resumable
+        if (cancelled) {
+            finishJob(job, job.stoppedForShutdown ? 'interrupted' : 'cancelled');
+        } else if (job.failure) {
+            finishJob(job, 'failed');
+        } else if (interrupted) {
+            // Out of page budget; resume once it renews
+            finishJob(job, 'interrupted');
+        } else if (job.status === 'running') {
+            // The run stopped without reaching 'done', so it failed before or during the search
+            finishJob(job, 'failed');
+        } else {
+            finishJob(job, job.status);
+        }
+        onFinished();
+    });
+}
+
+function checkResumable(job) {
+    if (!RESUMABLE_STATUSES.includes(job.status)) {
+        throw httpError(`Job is ${job.status} and cannot be resumed`, 409);
+    }
+}
+
+// Continue a stopped job from its last checkpoint with the given credentials.
+// admit(job), if given, runs after the last await and before the job is active
+// again; it returns the maxPages the run may use or throws to refuse it.
+// Returns null if the job is unknown.
+async function resumeJob(id, { cookies, sessionId }, { admit } = {}) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    checkResumable(job);
+
+    // The last page's checkpoint may still be on its way to disk
+    await job.pendingCheckpoint;
+    const checkpoint = await loadCheckpoint(id);
+    if (!checkpoint) {
+        throw httpError('No checkpoint recorded for this job, start a new one instead', 409);
+    }
+    // A parallel request may have resumed it in the meantime
+    checkResumable(job);
+    const maxPages = admit ? admit(job) : null;
+
+    job.searchUrl = checkpoint.searchUrl;
+    // A smaller maxPages (e.g. from a nearly spent quota) trims the remaining pages
+    job.maxPages = maxPages ? Math.min(maxPages, checkpoint.maxPages) : checkpoint.maxPages;
+    job.results = [...checkpoint.results];
+    // Enrichment carries on after the profiles it had already visited
+    job.enriched = [...(checkpoint.enriched || [])];
+    job.pagesCompleted = checkpoint.completedPages.length;
+    job.sessionId = sessionId;
+
+    enqueueRun(job, cookies, checkpoint);
+    return job;
+}
+
+// Re-register jobs whose checkpoints outlived the process, e.g. after a container restart.
+// Checkpoints written before jobs recorded their API key restore without an
+// owner. No key can reach those jobs, since the job routes only answer for the
+// caller's own; they stay admin-only until an admin assigns them to a key.
+async function restoreInterruptedJobs() {
+    const checkpoints = await listCheckpoints();
+    for (const checkpoint of checkpoints) {
+        if (jobs.has(checkpoint.jobId)) continue;
+
+        jobs.set(checkpoint.jobId, newJobRecord({
+            id: checkpoint.jobId,
+            status: 'interrupted',
+            searchUrl: checkpoint.searchUrl,
+            maxPages: checkpoint.maxPages,
+            createdAt: checkpoint.createdAt || checkpoint.updatedAt,
+            finishedAt: checkpoint.updatedAt,
+            currentPage: checkpoint.lastCompletedPage,
+            pagesCompleted: checkpoint.completedPages.length,
+            results: checkpoint.results,
+            enriched: checkpoint.enriched || [],
+            mode: checkpoint.mode || 'people',
+            enrich: !!checkpoint.enrich,
+            includeDescriptions: !!checkpoint.includeDescriptions,
+            pacing: checkpoint.pacing || null,
+            archive: !!checkpoint.archive,
+            sessionId: checkpoint.sessionId || null,
+            apiKeyId: checkpoint.apiKeyId || null
+        }));
+    }
+    return checkpoints.length;
+}
+
+// Restored jobs that no API key owns, for the admin to assign
+function listUnownedJobs() {
+    return [...jobs.values()].filter(job => !job.apiKeyId);
+}
+
+// Hand an unowned job to an API key, which can then fetch, export and resume
+// it. The checkpoint records the owner too, so it survives another restart.
+// Returns null for an unknown job.
+async function assignJobOwner(id, apiKeyId) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.apiKeyId) {
+        throw httpError('Job already belongs to an API key', 409);
+    }
+
+    job.apiKeyId = apiKeyId;
+    const checkpoint = await loadCheckpoint(id);
+    if (checkpoint) await saveCheckpoint(id, { ...checkpoint, apiKeyId });
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (job.status === 'queued' && scheduler.unschedule(job.id)) {
+        recordEvent(job, 'progress', { status: 'cancelled', message: 'Removed from the queue before starting' });
+        finishJob(job, 'cancelled');
+    } else if (job.status === 'running' && job.emitter) {
+        job.status = 'cancelling';
+        job.emitter.emit('cancel');
+    }
+    return job;
+}
+
+// Resolves once the emitter fires one of the events or the time is up
+function waitForEvent(emitter, events, ms) {
+    return new Promise((resolve) => {
+        const done = () => {
+            clearTimeout(timer);
+            events.forEach(event => emitter.off(event, done));
+            resolve();
+        };
+        const timer = setTimeout(done, Math.max(0, ms));
+        events.forEach(event => emitter.once(event, done));
+    });
+}
+
+// Let a running job finish (and checkpoint) the page it is on until the
+// deadline, then cancel whatever is left of the run
+async function stopRunForShutdown(job, deadline) {
+    const emitter = job.emitter;
+    if (job.status === 'running') {
+        job.stoppedForShutdown = true;
+        await waitForEvent(emitter, ['checkpoint', 'end'], deadline - Date.now());
+    }
+    if (job.emitter === emitter) {
+        cancelJob(job.id);
+        await waitForEvent(emitter, ['end'], SHUTDOWN_CANCEL_GRACE_MS);
+    }
+    try {
+        await job.pendingCheckpoint;
+    } catch (error) {
+        // Already logged by the checkpoint listener
+    }
+}
+
+// Stop every active job because the server is going away, telling subscribers
+// why. Queued jobs are dropped and running ones stop after their current page.
+// Jobs with a checkpoint come back as 'interrupted' on the next start and can
+// be resumed from there. Resolves with the number of runs that were stopped.
+async function shutdownJobs({ deadlineMs }) {
+    const deadline = Date.now() + deadlineMs;
+    const stopping = [];
+
+    for (const job of jobs.values()) {
+        if (!isJobActive(job)) continue;
+
+        if (job.status === 'queued' && scheduler.unschedule(job.id)) {
+            recordEvent(job, 'progress', {
+                status: 'server_shutting_down',
+                message: 'The server is shutting down; the job was removed from the queue before starting'
+            });
+            finishJob(job, 'interrupted');
+        } else if (job.emitter) {
+            recordEvent(job, 'progress', {
+                status: 'server_shutting_down',
+                message: 'The server is shutting down; the job stops after the current page and can be resumed from its checkpoint once the server is back'
+            });
+            stopping.push(stopRunForShutdown(job, deadline));
+        }
+    }
+
+    await Promise.all(stopping);
+    return stopping.length;
+}
+
+// Jobs of an API key that are queued or running
+function countActiveJobs(apiKeyId) {
+    let count = 0;
+    for (const job of jobs.values()) {
+        if (job.apiKeyId === apiKeyId && isJobActive(job)) count++;
+    }
+    return count;
+}
+
+// Drop finished jobs once they are older than the TTL
+function evictExpiredJobs() {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+            jobs.delete(id);
+            deleteCheckpoint(id)
+                .catch(error => logger.error(`Failed to delete checkpoint for job ${id}`, error));
+        }
+    }
+}
+
+setInterval(evictExpiredJobs, 10 * 60 * 1000).unref();
+
+module.exports = {
+    createJob,
+    getJob,
+    cancelJob,
+    countActiveJobs,
+    isJobActive,
+    resumeJob,
+    restoreInterruptedJobs,
+    listUnownedJobs,
+    assignJobOwner,
+    shutdownJobs,
+    eventsSince,
+    subscribe,
+    summarizeJob
+};
@@ -1,10 +1,32 @@
-const puppeteer = require('puppeteer');
+const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { acquireContext } = require('./browserPool');
+const { extractProfileCards, extractProfileDetails } = require('./profileExtractors');
+const { extractCompanyCards, extractCompanyPage, extractCompanyEmployees, extractEmployeeCount } = require('./companyExtractors');
+const { extractJobCards, extractJobPosting } = require('./jobExtractors');
+const { extractPostCards } = require('./contentExtractors');
+const { normalizeSearchUrl, compileSearch } = require('./searchBuilder');
+const { createFacetSource, resolveSearchFacets } = require('./facetResolver');
+const { resolvePacing, pageDelay, sessionKeyFor, reserveSessionPage } = require('./pacingPolicy');
+const { normalizeProfile } = require('./profileNormalizer');
+const { createRunDiagnostics } = require('./diagnostics');
+const { archivePage } = require('./pageArchive');
+const { NO_MATCH, getSelectors, getRegistryInfo, recordSelectorMatches } = require('./selectorRegistry');
+const { scraperError, isRetryable, errorEvent } = require('./scraperErrors');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 async function delay(time) {
     return new Promise(resolve => setTimeout(resolve, time));
 }
 
+// Report a failure as an 'error' event when it stopped the search or the run,
+// or as a 'warning' event when the run carries on
+function emitFailure(emitter, error, details) {
+    const event = errorEvent(error, details);
+    emitter.emit(event.fatal ? 'error' : 'warning', event);
+}
+
 async function setCookies(page, cookiesString, emitter) {
     try {
         // First clear any existing cookies
@@ -38,18 +60,17 @@ async function setCookies(page, cookiesString, emitter) {
         const hasLiAt = cookies.some(c => c.name === 'li_at');
         
         if (!hasLiAt) {
-            throw new Error('Missing required LinkedIn authentication cookie (li_at)');
+            throw scraperError('MISSING_AUTH_COOKIE', 'Missing required LinkedIn authentication cookie (li_at)');
         }
         
         // Log cookies being set (omit values for security)
-        console.log("Setting cookies:", cookies.map(c => c.name).join(', '));
+        logger.info('Setting cookies', { cookies: cookies.map(c => c.name) });
         
         await page.setCookie(...cookies);
-        console.log("Cookies set successfully");
+        logger.info('Cookies set successfully');
         emitter.emit('progress', { status: 'cookies_set', message: 'Cookies set successfully' });
     } catch (error) {
-        console.error("Error setting cookies:", error);
-        emitter.emit('error', { status: 'error', message: `Failed to set cookies: ${error.message}` });
+        logger.error('Error setting cookies', error);
         throw error;
     }
 }
@@ -66,16 +87,22 @@ async function getCurrentUserInfo(page, emitter) {
         });
         
         // Wait for the navigation menu which contains user info
-        await page.waitForSelector('nav', { timeout: 15000 }).catch(() => {
-            console.log('Nav menu not found, continuing anyway');
+        await page.waitForSelector(getSelectors()['session.navigation'].join(','), { timeout: 15000 }).catch(() => {
+            logger.info('Nav menu not found, continuing anyway');
         });
         
         // Retrieve user information
-        const userInfo = await page.evaluate(() => {
+        const { selectorMatches, ...userInfo } = await page.evaluate((selectors) => {
+            // First element matched by the key's selectors, counting which one matched
+            const selectorMatches = {};
+            const find = (key) => {
+                const selector = selectors[key].find(candidate => document.querySelector(candidate)) || null;
+                selectorMatches[key] = { [selector || '(none)']: 1 };
+                return selector ? document.querySelector(selector) : null;
+            };
+
             // Try to get profile info from the nav menu
-            const profileSection = document.querySelector('nav a[data-control-name="identity_profile_photo"]') || 
-                                   document.querySelector('.global-nav__me-photo') ||
-                                   document.querySelector('[data-control-name="nav.settings_view_profile"]');
+            const profileSection = find('session.navProfileLink');
                                    
             // Try to get the profile URL
             const profileUrl = profileSection ? 
@@ -83,8 +110,7 @@ async function getCurrentUserInfo(page, emitter) {
                 
             // Try to get display name from various possible elements
             let displayName = '';
-            const nameElem = document.querySelector('.global-nav__me-photo') || 
-                            document.querySelector('.feed-identity-module__actor-meta a');
+            const nameElem = find('session.navName');
             
             if (nameElem) {
                 // If it's an image, try to get the alt text which often contains the name
@@ -98,13 +124,14 @@ async function getCurrentUserInfo(page, emitter) {
             return {
                 profileUrl,
                 displayName,
-                loggedIn: !!document.querySelector('.global-nav__me') || 
-                          !document.querySelector('[data-tracking-control-name="guest_homepage-basic_sign-in-link"]')
+                loggedIn: !!find('session.navMe') || !find('session.guestSignIn'),
+                selectorMatches
             };
-        });
+        }, getSelectors());
+        recordSelectorMatches(selectorMatches);
         
         if (!userInfo.loggedIn) {
-            throw new Error('Not logged in to LinkedIn. Please provide valid cookies.');
+            throw scraperError('SESSION_EXPIRED', 'Not logged in to LinkedIn. Please provide valid cookies.');
         }
         
         emitter.emit('progress', { 
@@ -115,11 +142,7 @@ async function getCurrentUserInfo(page, emitter) {
         
         return userInfo;
     } catch (error) {
-        console.error("Error fetching user info:", error);
-        emitter.emit('error', { 
-            status: 'error', 
-            message: `Failed to fetch user info: ${error.message}` 
-        });
+        logger.error('Error fetching user info', error);
         throw error;
     }
 }
@@ -139,25 +162,16 @@ async function validateSession(page, emitter) {
     // Check current URL for redirects to login
     const currentUrl = page.url();
     if (currentUrl.includes('/login') || currentUrl.includes('/checkpoint')) {
-      throw new Error('LinkedIn session expired or invalid. Please provide valid cookies.');
+      throw scraperError('SESSION_EXPIRED', 'LinkedIn session expired or invalid. Please provide valid cookies.');
     }
     
     // Use generic indicators to check login state
-    const isLoggedIn = await page.evaluate(() => {
-      // Generic approach: look for navigation elements that only exist when logged in
-      const hasGlobalNav = !!document.querySelector('header');
-      
-      // Check for feed elements
-      const hasFeed = !!document.querySelector('div[data-test-id="feed-container"]') ||
-                     !!document.querySelector('div[class*="feed-container"]');
-      
-      // Check for profile-related elements (avoid relying on specific class names)
-      const hasProfileElements = !!document.querySelector('a[href*="/in/"]') ||
-                                !!document.querySelector('a[href*="/profile/"]');
+    const loginState = await page.evaluate((selectors) => {
+      // Navigation, feed or profile elements only exist when logged in
+      const loggedInSelector = selectors['session.loggedIn'].find(selector => document.querySelector(selector)) || null;
                                 
       // Check for login-specific elements that indicate we're NOT logged in
-      const hasLoginForm = !!document.querySelector('form[action*="login"]') ||
-                          !!document.querySelector('input[name="session_key"]');
+      const hasLoginForm = selectors['session.loginForm'].some(selector => document.querySelector(selector));
                           
       // Check page content for logged-out indicators
       const pageContent = document.body.textContent;
@@ -165,19 +179,23 @@ async function validateSession(page, emitter) {
                               pageContent.includes('Sign in') &&
                               !pageContent.includes('Feed');
       
-      return (hasGlobalNav || hasFeed || hasProfileElements) && !hasLoginForm && !hasLoggedOutText;
-    });
+      return {
+        loggedInSelector,
+        isLoggedIn: !!loggedInSelector && !hasLoginForm && !hasLoggedOutText
+      };
+    }, getSelectors());
+    recordSelectorMatches({ 'session.loggedIn': { [loginState.loggedInSelector || NO_MATCH]: 1 } });
     
-    if (!isLoggedIn) {
-      throw new Error('Not logged in to LinkedIn. Please provide valid cookies.');
+    if (!loginState.isLoggedIn) {
+      throw scraperError('SESSION_EXPIRED', 'Not logged in to LinkedIn. Please provide valid cookies.');
     }
     
     // Get user info with generic selectors
-    const userInfo = await page.evaluate(() => {
+    const userInfo = await page.evaluate((selectors) => {
       // Find display name using various generic approaches
       const findDisplayName = () => {
         // Try profile images with alt text
-        const profileImages = document.querySelectorAll('img[class*="profile"]');
+        const profileImages = document.querySelectorAll(selectors['session.profileImage'].join(','));
         for (const img of profileImages) {
           if (img.alt && img.alt.length > 3 && !img.alt.includes('LinkedIn')) {
             return img.alt;
@@ -185,7 +203,7 @@ async function validateSession(page, emitter) {
         }
         
         // Try profile links
-        const profileLinks = document.querySelectorAll('a[href*="/in/"]');
+        const profileLinks = document.querySelectorAll(selectors['session.profileLink'].join(','));
         for (const link of profileLinks) {
           if (link.textContent && link.textContent.trim().length > 3 && 
               !link.textContent.includes('LinkedIn')) {
@@ -194,7 +212,7 @@ async function validateSession(page, emitter) {
         }
         
         // Look for common profile container patterns
-        const containers = document.querySelectorAll('div[class*="profile"], div[class*="identity"]');
+        const containers = document.querySelectorAll(selectors['session.identityContainer'].join(','));
         for (const container of containers) {
           if (container.textContent && container.textContent.length > 3) {
             const text = container.textContent.trim().split('\n')[0];
@@ -209,7 +227,7 @@ async function validateSession(page, emitter) {
       
       // Find profile URL
       const findProfileUrl = () => {
-        const profileLinks = document.querySelectorAll('a[href*="/in/"]');
+        const profileLinks = document.querySelectorAll(selectors['session.profileLink'].join(','));
         for (const link of profileLinks) {
           // Ensure it's a profile link, not a company or post
           if (link.href && link.href.includes('/in/') && 
@@ -226,7 +244,7 @@ async function validateSession(page, emitter) {
         profileUrl: findProfileUrl(),
         loggedIn: true
       };
-    });
+    }, getSelectors());
     
     emitter.emit('progress', { 
       status: 'validated', 
@@ -236,60 +254,12 @@ async function validateSession(page, emitter) {
     
     return true;
   } catch (error) {
-    console.error("Session validation error:", error);
-    emitter.emit('error', { status: 'error', message: `Session validation failed: ${error.message}` });
+    logger.error('Session validation error', error);
     throw error;
   }
 }
 
-// Improved helper function for cleaning text content
-function cleanText(text) {
-    if (!text) return '';
-    
-    return text
-        .replace(/\s+/g, ' ')        // Replace multiple spaces, tabs, newlines with a single space
-        .replace(/^\s+|\s+$/g, '')   // Trim whitespace from start and end
-        .replace(/\n/g, ' ')         // Replace any remaining newlines with spaces
-        .replace(/\t/g, ' ')         // Replace any tabs with spaces
-        .replace(/\s{2,}/g, ' ')     // Make sure there are no double spaces left
-        .trim();                     // Final trim to ensure no leading/trailing spaces
-}
-
-// Extract relevant data from title and position
-function parsePositionAndCompany(title) {
-    if (!title) return { position: '', company: '' };
-    
-    const cleanTitle = cleanText(title);
-    
-    // Check for pattern "Position at Company"
-    if (cleanTitle.includes(' at ')) {
-        const parts = cleanTitle.split(' at ');
-        const position = parts[0].trim();
-        const company = parts.slice(1).join(' at ').trim();
-        return { position, company };
-    }
-    
-    // Check for pattern "Position - Company"
-    if (cleanTitle.includes(' - ')) {
-        const parts = cleanTitle.split(' - ');
-        const position = parts[0].trim();
-        const company = parts.slice(1).join(' - ').trim();
-        return { position, company };
-    }
-    
-    // Check for pattern "Position | Company"
-    if (cleanTitle.includes(' | ')) {
-        const parts = cleanTitle.split(' | ');
-        const position = parts[0].trim();
-        const company = parts.slice(1).join(' | ').trim();
-        return { position, company };
-    }
-    
-    // If no pattern found, the whole thing is likely the position
-    return { position: cleanTitle, company: '' };
-}
-
-async function extractProfileData(page, onProfileExtracted, options = {}) {
+async function extractResultItems(page, mode, onProfileExtracted, options = {}) {
   try {
     // Set defaults
     const settings = {
@@ -297,31 +267,28 @@ async function extractProfileData(page, onProfileExtracted, options = {}) {
       currentPage: 1,        // Current page being processed
       resultsPerPage: 10,    // LinkedIn shows 10 results per page
       cancelCheck: null,     // Function to check if operation is cancelled
+      expandItems: null,     // Optional async step that completes the extracted cards
+      isNewItem: null,       // Optional filter for items already collected from an earlier batch
+      scrollPastItems: 0,    // Items an infinite-scroll page must render past before extracting
+      archivePage: null,     // Optional store for the page HTML and the items found on it
       ...options
     };
 
     // Check for cancellation
     if (settings.cancelCheck && settings.cancelCheck()) {
-      console.log('Extraction cancelled before starting');
+      logger.info('Extraction cancelled before starting');
       return { profiles: [], hasNoResults: true };
     }
 
     // Wait for search results to load using generic selectors
-    const containerSelectors = [
-      'ul[role="list"]',
-      'div[class*="search-results"]',
-      'div[class*="results-container"]',
-      'main div > ul',
-      '.scaffold-layout__list',
-      'div[class*="marvel-srp"]'
-    ];
-    
-    await page.waitForSelector(containerSelectors.join(','), { timeout: 15000 })
-      .catch(() => console.log('Search results container not found with standard selectors, continuing anyway'));
+    await waitForResultsContainer(page)
+      .catch(() => logger.info('Search results container not found with standard selectors, continuing anyway'));
             
     // Get total search results info
-    const totalResultsInfo = await getTotalSearchResultsInfo(page);
-    console.log(`Total search results: ${totalResultsInfo.totalResults}`);
+    const totalResultsInfo = mode.countTotal ?
+      await countModeTotal(page, mode) :
+      await getTotalSearchResultsInfo(page);
+    logger.info(`Total search results: ${totalResultsInfo.totalResults}`);
     
     // Calculate total profiles to extract based on available results and max pages
     // FIXED calculation here - use maxPages parameter explicitly
@@ -333,271 +300,55 @@ async function extractProfileData(page, onProfileExtracted, options = {}) {
     
     // Check for cancellation before scrolling
     if (settings.cancelCheck && settings.cancelCheck()) {
-      console.log('Extraction cancelled before scrolling');
+      logger.info('Extraction cancelled before scrolling');
       return { profiles: [], hasNoResults: true };
     }
     
+    // A freshly opened infinite-scroll page shows the batches collected
+    // before (in this run or the one it resumes) again from the top
+    if (settings.scrollPastItems > 0) {
+      await scrollPastItems(page, mode, settings.scrollPastItems, settings.cancelCheck);
+    }
+
     // Scroll to load all results on current page
-    await humanLikeScroll(page);
+    await (mode.scroll || humanLikeScroll)(page);
     
     // Check for cancellation after scrolling
     if (settings.cancelCheck && settings.cancelCheck()) {
-      console.log('Extraction cancelled after scrolling');
+      logger.info('Extraction cancelled after scrolling');
       return { profiles: [], hasNoResults: true };
     }
     
-    // Extract profiles with improved selectors
-    const extractedProfiles = await page.evaluate(() => {
-      const profiles = [];
-      
-      // Generic selectors for result items
-      const resultsSelectors = [
-        'ul[role="list"] > li', // Role-based list items
-        'div[class*="search-results"] > div', // Results container children
-        'div[data-chameleon-result-urn]', // Data attribute selector
-        'div[class*="result-container"]', // Partial class match
-        '.entity-result',
-        'li', // Most generic fallback
-        'div[class*="srp"] li' // Search results page list items
-      ];
-      
-      // Find results using the selectors
-      let results = [];
-      for (const selector of resultsSelectors) {
-        results = document.querySelectorAll(selector);
-        if (results.length > 0) {
-          console.log(`Found ${results.length} results using selector: ${selector}`);
-          break;
-        }
-      }
-      
-      // If no results found with selectors, try the parent container approach
-      if (results.length === 0) {
-        console.log("No results found with direct selectors, trying parent containers");
-        
-        // Look for any list or content container
-        const containers = document.querySelectorAll([
-          'div[class*="search-results"]',
-          'div[class*="results-container"]',
-          'ul[role="list"]',
-          'div[role="list"]',
-          'div[class*="srp"]',
-          'main > div > ul'
-        ].join(','));
-        
-        if (containers.length > 0) {
-          const container = containers[0];
-          // Look for list items or direct children that might be results
-          results = container.querySelectorAll('li') || container.querySelectorAll(':scope > div');
-          console.log(`Found ${results.length} results from container approach`);
-        }
-      }
-      
-      // IMPROVED: Extract profile name more accurately
-      const extractProfileName = (parent) => {
-        // Look for the main profile name with specific selectors
-        const nameSelectors = [
-          // Target exact LinkedIn Member text without additional content
-          'span.t-16 a', 
-          'a[href*="/in/"] span',
-          '.entity-result__title-text a span',
-          '.entity-result__title-text a',
-          'span[class*="title"] a',
-          '.app-aware-link span',
-          '.app-aware-link'
-        ];
-        
-        for (const selector of nameSelectors) {
-          const nameElement = parent.querySelector(selector);
-          if (nameElement && nameElement.textContent.trim()) {
-            // Clean up the name
-            let name = nameElement.textContent.trim();
-            
-            // Remove connection degree info if present
-            name = name.replace(/\s*•\s*\d(?:st|nd|rd|th)\+? degree(?: connection)?/i, '').trim();
-            
-            // Check if this is "LinkedIn Member" and return just that without additional text
-            if (name.includes('LinkedIn Member')) {
-              return 'LinkedIn Member';
-            }
-            
-            // Strip any "View profile" text that might be in the name
-            if (name.includes('View')) {
-              name = name.split('View')[0].trim();
-            }
-            
-            return name;
-          }
-        }
-        
-        // If we couldn't find the name, return a default
-        return 'LinkedIn Member';
-      };
-      
-      // IMPROVED: Extract profile image
-      const extractProfileImage = (parent) => {
-        // Look for image elements
-        const imgSelectors = [
-          'img[class*="presence-entity__image"]',
-          'img[class*="EntityPhoto-circle"]',
-          'img[class*="profile"]',
-          '.presence-entity img',
-          '.ivm-image-view-model img',
-          '.avatar-image'
-        ];
-        
-        for (const selector of imgSelectors) {
-          const imgElement = parent.querySelector(selector);
-          if (imgElement && imgElement.src) {
-            return {
-              src: imgElement.src,
-              alt: imgElement.alt || '',
-              width: imgElement.width || 100,
-              height: imgElement.height || 100
-            };
-          }
-        }
-        
-        return null;
-      };
-      
-        // Get job title more precisely
-        const extractJobTitle = (parent) => {
-            const titleSelectors = [
-            // More generic selectors that are less likely to change
-            'div[class*="subtitle"]',
-            'div[class*="primary-subtitle"]',
-            '.entity-result__primary-subtitle',
-            'div.t-14.t-black.t-normal',
-            'div.t-14.t-normal'
-            ];
-            
-            for (const selector of titleSelectors) {
-            const element = parent.querySelector(selector);
-            if (element && element.textContent.trim()) {
-                const titleText = element.textContent.trim();
-                
-                // Return the full title text
-                return titleText;
-            }
-            }
-            
-            return '';
-        };
+    // The scrolled page as the extractor sees it, for the run's page archive
+    const html = settings.archivePage ? await page.content() : null;
 
-        // Get location more precisely
-        const extractLocation = (parent) => {
-            const locationSelectors = [
-            // Look for the last subtitle-like div that isn't the job title
-            'div.t-14.t-normal:last-of-type',
-            'div[class*="secondary-subtitle"]',
-            '.entity-result__secondary-subtitle',
-            'div[class*="location"]'
-            ];
-            
-            for (const selector of locationSelectors) {
-            const elements = Array.from(parent.querySelectorAll(selector));
-            
-            // If multiple elements exist, take the last one
-            if (elements.length > 1) {
-                const lastElement = elements[elements.length - 1];
-                const locationText = lastElement.textContent.trim();
-                
-                // Ensure we're not returning the same text as the job title
-                const jobTitle = extractJobTitle(parent);
-                if (locationText !== jobTitle) {
-                return locationText;
-                }
-            } else if (elements.length === 1) {
-                const locationText = elements[0].textContent.trim();
-                
-                // Ensure we're not returning the same text as the job title
-                const jobTitle = extractJobTitle(parent);
-                if (locationText !== jobTitle) {
-                return locationText;
-                }
-            }
-            }
-            
-            return '';
-        };
-      
-      // Generic profile URL extraction
-      const extractProfileUrl = (parent) => {
-        // Look for LinkedIn profile links
-        const links = parent.querySelectorAll('a');
-        for (const link of links) {
-          if (link.href && link.href.includes('/in/')) {
-            return link.href.split('?')[0]; // Remove query parameters
-          }
-        }
-        
-        // Look for headless profile indicator
-        if (parent.getAttribute('data-chameleon-result-urn')?.includes('headless')) {
-          return 'https://www.linkedin.com/search/results/people/headless';
-        }
-        
-        return '';
-      };
-      
-      // Extract connection degree
-      const extractConnectionDegree = (parent) => {
-        // Try to find the connection info through the profile text
-        const text = parent.textContent;
-        const degreeMatch = text.match(/(\d)(?:st|nd|rd|th)\+?\s+degree(?:\s+connection)?/i);
-        if (degreeMatch) {
-          return degreeMatch[0].trim();
-        }
-        return '';
-      };
-      
-      // Process each result
-      Array.from(results).forEach((result, index) => {
-        try {
-          // Extract profile information
-          const name = extractProfileName(result);
-          const title = extractJobTitle(result);
-          const location = extractLocation(result);
-          const profileUrl = extractProfileUrl(result);
-          const connectionDegree = extractConnectionDegree(result);
-          const profileImage = extractProfileImage(result);
-          
-          // Determine if this is an anonymous/headless profile
-          const isAnonymous = name === 'LinkedIn Member';
-          
-          // Extract LinkedIn ID from profile URL
-          const linkedinId = profileUrl.includes('/in/') ? 
-            profileUrl.split('/in/')[1]?.split('/')[0] || '' : 
-            'headless';
-          
-          // Only add profiles that have at least one piece of useful data
-          if (title || location || profileUrl) {
-            profiles.push({
-              name: name || 'LinkedIn Member',
-              title: title || 'No title listed',
-              location: location || 'No location listed',
-              profileUrl: profileUrl || '',
-              linkedinId: linkedinId || '',
-              connectionDegree: connectionDegree || '',
-              isAnonymous: isAnonymous,
-              profileImage: profileImage
-            });
-          }
-        } catch (e) {
-          console.error('Error parsing profile:', e);
-        }
-      });
-      
-      return profiles;
-    });
+    // Extract items from the rendered result cards
+    let extractedProfiles = (await evaluateExtractor(page, mode.extractor)).items;
+
+    if (mode.normalize) {
+      extractedProfiles = extractedProfiles.map(mode.normalize);
+    }
+
+    if (settings.isNewItem) {
+      extractedProfiles = extractedProfiles.filter(settings.isNewItem);
+    }
     
-    console.log(`Extracted ${extractedProfiles.length} profiles from page ${settings.currentPage}`);
+    logger.info(`Extracted ${extractedProfiles.length} ${mode.itemLabel} cards from page ${settings.currentPage}`);
+
+    if (settings.archivePage) {
+      await settings.archivePage(html, extractedProfiles);
+    }
+
+    // Some modes visit each result for details before anything is streamed
+    if (settings.expandItems && extractedProfiles.length > 0) {
+      extractedProfiles = await settings.expandItems(extractedProfiles);
+    }
     
     // Stream profiles to client as they're processed
     for (let i = 0; i < extractedProfiles.length; i++) {
       // Check for cancellation before processing each profile
       if (settings.cancelCheck && settings.cancelCheck()) {
-        console.log('Extraction cancelled during profile streaming');
+        logger.info('Extraction cancelled during profile streaming');
         break;
       }
       
@@ -628,14 +379,41 @@ async function extractProfileData(page, onProfileExtracted, options = {}) {
       profiles: extractedProfiles,
       hasNoResults: extractedProfiles.length === 0,
       totalResults: totalResultsInfo.totalResults,
+      displayedTotal: totalResultsInfo.displayedTotal,
       progress: Math.min(100, Math.floor(100 * settings.currentPage * settings.resultsPerPage / totalProfilesToExtract))
     };
   } catch (error) {
-    console.error("Error extracting profile data:", error);
+    logger.error(`Error extracting ${mode.itemLabel} data`, error);
     return { profiles: [], error: error.message, hasNoResults: true };
   }
 }
 
+// Wait for the list of search results and count which of the registry's
+// container selectors found it, or a miss when none did
+async function waitForResultsContainer(page) {
+  const containerSelectors = getSelectors()['search.resultsContainer'];
+  try {
+    await page.waitForSelector(containerSelectors.join(','), { timeout: 15000 });
+  } catch (error) {
+    recordSelectorMatches({ 'search.resultsContainer': { [NO_MATCH]: 1 } });
+    throw error;
+  }
+
+  const matched = await page.evaluate(
+    list => list.find(selector => document.querySelector(selector)) || null,
+    containerSelectors
+  );
+  recordSelectorMatches({ 'search.resultsContainer': { [matched || NO_MATCH]: 1 } });
+}
+
+// Run an extractor in the page against the registry's selectors, counting
+// which selector of each list matched
+async function evaluateExtractor(page, extractor) {
+  const extracted = await page.evaluate(extractor, { selectors: getSelectors(), reportMatches: true });
+  recordSelectorMatches(extracted.selectorMatches);
+  return extracted;
+}
+
 // Helper function to get total search results info
 async function getTotalSearchResultsInfo(page) {
   try {
@@ -722,7 +500,7 @@ async function getTotalSearchResultsInfo(page) {
       };
     });
   } catch (error) {
-    console.error('Error getting total search results:', error);
+    logger.error('Error getting total search results', error);
     return { totalResults: 10, displayedTotal: 10, actuallyAvailable: 10 };
   }
 }
@@ -743,6 +521,16 @@ function calculateTotalProfilesToExtract(totalAvailable, maxPages, resultsPerPag
     );
 }
 
+// Results total from a mode's own counter, in the shape getTotalSearchResultsInfo returns
+async function countModeTotal(page, mode) {
+  const total = await page.evaluate(mode.countTotal).catch(() => null);
+  return {
+    totalResults: total || 10,
+    displayedTotal: total,
+    actuallyAvailable: total || 10
+  };
+}
+
 // More human-like scrolling function with random behavior
 async function humanLikeScroll(page) {
     await page.evaluate(async () => {
@@ -815,6 +603,66 @@ async function humanLikeScroll(page) {
     await new Promise(resolve => setTimeout(resolve, afterScrollDelay));
 }
 
+// Job results sit in their own scrollable pane next to the job details, and
+// cards further down the list are only rendered once scrolled into view
+async function scrollJobList(page) {
+    const matched = await page.evaluate(async (listSelectors) => {
+        const selector = listSelectors.find(candidate => document.querySelector(candidate)) || null;
+        if (!selector) return null;
+        const list = document.querySelector(selector);
+
+        const randomPause = () => 150 + Math.floor(Math.random() * 350);
+        while (list.scrollTop + list.clientHeight < list.scrollHeight) {
+            list.scrollBy(0, 250 + Math.floor(Math.random() * 150));
+            await new Promise(resolve => setTimeout(resolve, randomPause()));
+        }
+        return selector;
+    }, getSelectors()['jobSearch.resultsList']);
+    recordSelectorMatches({ 'jobSearch.resultsList': { [matched || NO_MATCH]: 1 } });
+
+    const afterScrollDelay = 1000 + Math.random() * 2000;
+    await new Promise(resolve => setTimeout(resolve, afterScrollDelay));
+}
+
+// Infinite-scroll results grow further down the same page: scroll to the
+// bottom and press "Show more results" when LinkedIn stops loading on its own
+async function loadMoreResults(page) {
+    await humanLikeScroll(page);
+
+    // The registry's generic fallbacks only count when they read "Show more results"
+    const loadMore = await page.evaluate((buttonSelectors) => {
+        for (const selector of buttonSelectors) {
+            const button = Array.from(document.querySelectorAll(selector))
+                .find(el => selector === buttonSelectors[0] || /show more results/i.test(el.textContent));
+            if (button) {
+                if (!button.disabled) button.click();
+                return { selector, clicked: !button.disabled };
+            }
+        }
+        return { selector: null, clicked: false };
+    }, getSelectors()['search.loadMoreButton']);
+    recordSelectorMatches({ 'search.loadMoreButton': { [loadMore.selector || NO_MATCH]: 1 } });
+
+    if (loadMore.clicked) {
+        await delay(2000 + Math.random() * 2000);
+    }
+}
+
+// Load more batches into an infinite-scroll page until it renders more items
+// than count, or stops growing
+async function scrollPastItems(page, mode, count, isCancelledFn) {
+  let rendered = 0;
+  while (!(isCancelledFn && isCancelledFn())) {
+    const items = await page.evaluate(mode.extractor, { selectors: getSelectors() });
+    if (items.length > count || items.length <= rendered) {
+      logger.info(`Scrolled past ${Math.min(items.length, count)} of ${count} ${mode.itemLabel} results collected earlier`);
+      return;
+    }
+    rendered = items.length;
+    await loadMoreResults(page);
+  }
+}
+
 // Helper function to send profile data to client through emitter
 function sendToClient(emitter, data) {
     // Send the profile data in a 'profile' event
@@ -831,57 +679,300 @@ function sendToClient(emitter, data) {
     });
 }
 
-async function performPeopleSearch(page, searchUrl, maxPages, emitter, isCancelledFn) {
-  let allResults = [];
-  const numPages = maxPages || 100;
-  let consecutiveErrors = 0;
-  const maxConsecutiveErrors = 3;
+// Visit the about page of each company card for headcount, headquarters and
+// website, merging the details into the card. A card whose page can't be read
+// is still returned, with the page-only fields left empty.
+async function visitCompanyPages(page, cards, emitter, isCancelledFn, options = {}) {
+  const companies = [];
 
-  // Fix URL encoding issues with special characters in the URL
-  try {
-    const url = new URL(searchUrl);
-    
-    // Clean up the search URL to avoid encoding issues
-    for (const [key, value] of url.searchParams.entries()) {
-      // Handle array parameters like currentCompany=["1586"]
-      if (value.includes('[') && value.includes(']')) {
-        try {
-          // Parse and re-encode properly
-          const parsedValue = JSON.parse(value.replace(/'/g, '"'));
-          url.searchParams.set(key, JSON.stringify(parsedValue));
-        } catch (e) {
-          console.warn(`Failed to parse parameter ${key}=${value}`, e);
+  for (let index = 0; index < cards.length; index++) {
+    const card = cards[index];
+    let details = {};
+    const visiting = (!isCancelledFn || !isCancelledFn()) && await reservePage(options);
+
+    if (visiting) {
+      try {
+        const aboutUrl = `${card.companyUrl.replace(/\/$/, '')}/about/`;
+        emitter.emit('progress', {
+          status: 'visiting_company',
+          message: `Visiting company ${index + 1}/${cards.length}: ${card.name}`,
+          companyUrl: card.companyUrl
+        });
+
+        await page.goto(aboutUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+        const currentUrl = page.url();
+        if (currentUrl.includes('/login') || currentUrl.includes('/checkpoint')) {
+          throw scraperError('SESSION_EXPIRED', 'LinkedIn session expired. Please provide new cookies.');
         }
+        emitter.emit('progress', {
+          status: 'company_page_loaded',
+          message: `Company page of ${card.name} loaded`,
+          companyUrl: card.companyUrl,
+          url: currentUrl
+        });
+
+        await page.waitForSelector(getSelectors()['companyPage.name'].join(','), { timeout: 15000 })
+          .catch(() => logger.info(`Company heading not found on ${currentUrl}, extracting anyway`));
+        ({ details } = await evaluateExtractor(page, extractCompanyPage));
+      } catch (error) {
+        logger.error(`Failed to read company page ${card.companyUrl}`, error);
+        emitFailure(emitter, error, {
+          fatal: false,
+          message: `Failed to read company page ${card.companyUrl}: ${error.message}`,
+          companyUrl: card.companyUrl
+        });
       }
     }
-    
-    searchUrl = url.toString();
-  } catch (e) {
-    console.warn("Error parsing search URL, using as-is:", e);
+
+    companies.push({
+      companyId: details.companyId || card.companyId,
+      name: details.name || card.name,
+      companyUrl: card.companyUrl,
+      industry: details.industry || card.industry,
+      headcountRange: details.headcountRange || null,
+      headquarters: details.headquarters || card.location,
+      followers: details.followers != null ? details.followers : card.followers,
+      website: details.website || null,
+      logoUrl: card.logoUrl
+    });
+
+    if (visiting && index < cards.length - 1) {
+      await pacingDelay(3000 + Math.random() * 4000, isCancelledFn, options.mode);
+    }
+  }
+  return companies;
+}
+
+// With options.includeDescriptions, open each job posting for its description,
+// filling in applicants and workplace type where the card didn't show them.
+// Without it the cards are returned as they are.
+async function visitJobPostings(page, cards, emitter, isCancelledFn, options = {}) {
+  if (!options.includeDescriptions) {
+    return cards;
+  }
+  const jobs = [];
+
+  for (let index = 0; index < cards.length; index++) {
+    const card = cards[index];
+    let details = {};
+    const visiting = (!isCancelledFn || !isCancelledFn()) && await reservePage(options);
+
+    if (visiting) {
+      try {
+        emitter.emit('progress', {
+          status: 'visiting_job_posting',
+          message: `Opening job posting ${index + 1}/${cards.length}: ${card.title}`,
+          jobUrl: card.jobUrl
+        });
+
+        await page.goto(card.jobUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+        const currentUrl = page.url();
+        if (currentUrl.includes('/login') || currentUrl.includes('/checkpoint')) {
+          throw scraperError('SESSION_EXPIRED', 'LinkedIn session expired. Please provide new cookies.');
+        }
+        emitter.emit('progress', {
+          status: 'job_posting_page_loaded',
+          message: `Job posting ${card.title} loaded`,
+          jobUrl: card.jobUrl,
+          url: currentUrl
+        });
+
+        await page.waitForSelector(getSelectors()['jobPosting.description'].join(','), { timeout: 15000 })
+          .catch(() => logger.info(`Job description not found on ${currentUrl}, extracting anyway`));
+        ({ details } = await evaluateExtractor(page, extractJobPosting));
+      } catch (error) {
+        logger.error(`Failed to read job posting ${card.jobUrl}`, error);
+        emitFailure(emitter, error, {
+          fatal: false,
+          message: `Failed to read job posting ${card.jobUrl}: ${error.message}`,
+          jobUrl: card.jobUrl
+        });
+      }
+    }
+
+    jobs.push({
+      ...card,
+      workplaceType: card.workplaceType || details.workplaceType || null,
+      applicants: card.applicants != null ? card.applicants : (details.applicants != null ? details.applicants : null),
+      description: details.description || null
+    });
+
+    if (visiting && index < cards.length - 1) {
+      await pacingDelay(3000 + Math.random() * 4000, isCancelledFn, options.mode);
+    }
+  }
+  return jobs;
+}
+
+// What each search mode extracts from a results page, the event each
+// extracted item is streamed as and how its result pages are addressed
+const SEARCH_MODES = {
+  people: {
+    name: 'people',
+    itemEvent: 'profile',
+    itemLabel: 'profile',
+    extractor: extractProfileCards,
+    normalize: normalizeProfile,
+    itemName: profile => profile.name || 'LinkedIn Member',
+    pageParam: 'page',
+    resultsPerPage: 10
+  },
+  companies: {
+    name: 'companies',
+    itemEvent: 'company',
+    itemLabel: 'company',
+    extractor: extractCompanyCards,
+    itemName: company => company.name,
+    expandItems: visitCompanyPages,
+    pageParam: 'page',
+    resultsPerPage: 10
+  },
+  jobs: {
+    name: 'jobs',
+    itemEvent: 'job_posting',
+    itemLabel: 'job posting',
+    extractor: extractJobCards,
+    itemName: job => job.title,
+    expandItems: visitJobPostings,
+    scroll: scrollJobList,
+    // Job results are paged by offset (start=25, 50, ...) rather than page number
+    pageParam: 'start',
+    resultsPerPage: 25
+  },
+  content: {
+    name: 'content',
+    itemEvent: 'post',
+    itemLabel: 'post',
+    extractor: extractPostCards,
+    itemName: post => post.author.name,
+    // Posts aren't paged: each further "page" is the next batch scrolled into
+    // view on the same page, and posts seen in earlier batches are skipped
+    infiniteScroll: true,
+    itemKey: post => post.urn,
+    pageParam: 'page',
+    resultsPerPage: 10
+  },
+  employees: {
+    name: 'employees',
+    itemEvent: 'profile',
+    itemLabel: 'employee',
+    extractor: extractCompanyEmployees,
+    normalize: normalizeProfile,
+    itemName: profile => profile.name || 'LinkedIn Member',
+    // The people tab grows as it is scrolled, like content search. Members
+    // without a public profile have no URL to tell them apart by, and several
+    // can share a title, so they are told apart by their place on the tab.
+    infiniteScroll: true,
+    itemKey: profile => profile.profileUrl || `${profile.name}|${profile.title}|${profile.cardIndex}`,
+    // Report how many members LinkedIn lists against how many were collected
+    countTotal: extractEmployeeCount,
+    pageParam: 'page',
+    resultsPerPage: 12
+  }
+};
+
+// Add a results page to the job's page archive. A page that can't be archived
+// is logged and skipped rather than failing the scrape.
+async function archiveResultsPage(archive, page) {
+  try {
+    await archivePage(archive.jobId, { owner: archive.owner, ...page });
+  } catch (error) {
+    logger.error(`Failed to archive page ${page.pageNumber} of job ${archive.jobId}`, error);
+  }
+}
+
+// Save a snapshot of the page to the run's diagnostics bundle, if it keeps one
+async function captureDiagnostics(options, page, label, details) {
+  if (options.diagnostics) {
+    await options.diagnostics.capture(page, label, details);
+  }
+}
+
+function searchPageUrl(mode, searchUrl, pageNumber) {
+  if (pageNumber === 1 || mode.infiniteScroll) return searchUrl;
+  const value = mode.pageParam === 'start' ? (pageNumber - 1) * mode.resultsPerPage : pageNumber;
+  return `${searchUrl}${searchUrl.includes('?') ? '&' : '?'}${mode.pageParam}=${value}`;
+}
+
+// Walk the result pages of a search, streaming every extracted item as the
+// mode's item event ('profile', 'company', 'job_posting', 'post'). Resolves with
+// the results and, when the search stopped before running out of results or
+// pages, why: 'failed' after a fatal error or 'budget_exhausted' when no more
+// pages could be reserved. The last checkpoint comes along, for enrichment to extend.
+async function performSearch(page, searchUrl, maxPages, emitter, isCancelledFn, options = {}) {
+  const mode = SEARCH_MODES[options.mode || 'people'];
+  const pacing = options.pacing || resolvePacing();
+  // When resuming, start from the checkpointed results and skip pages that already succeeded
+  const resumeFrom = options.resumeFrom || null;
+  let allResults = resumeFrom ? [...resumeFrom.results] : [];
+  const completedPages = new Set(resumeFrom ? resumeFrom.completedPages : []);
+  const numPages = maxPages || 100;
+  let consecutiveErrors = 0;
+  const maxConsecutiveErrors = 3;
+  // Whether the browser is still on a loaded results page that more can be scrolled into
+  let onResultsPage = false;
+  let totalAvailable = null;
+  const seenKeys = mode.itemKey ? new Set(allResults.map(mode.itemKey)) : null;
+  let stopReason = null;
+  let lastCheckpoint = resumeFrom;
+
+  // Callers normally pass a canonical URL from searchBuilder already; this is
+  // idempotent and keeps direct callers with hand-written URLs working
+  searchUrl = normalizeSearchUrl(searchUrl, mode.name);
+
+  if (resumeFrom) {
+    emitter.emit('progress', {
+      status: 'resuming',
+      message: `Resuming search with ${completedPages.size} pages and ${allResults.length} profiles already collected`,
+      completedPages: [...completedPages].sort((a, b) => a - b),
+      totalSoFar: allResults.length
+    });
   }
 
   for (let currentPage = 1; currentPage <= numPages; currentPage++) {
+    // Pages recorded in the checkpoint don't need to be fetched again
+    if (completedPages.has(currentPage)) {
+      continue;
+    }
+
     // Check for cancellation before processing each page
     if (isCancelledFn && isCancelledFn()) {
-      console.log(`Scraping cancelled before processing page ${currentPage}`);
+      logger.info(`Scraping cancelled before processing page ${currentPage}`);
+      break;
+    }
+    
+    if (!await reservePage(options)) {
+      stopReason = 'budget_exhausted';
       break;
     }
+    metrics.pagesAttempted.inc({ mode: mode.name });
     
-    const pageUrl = currentPage === 1 ? searchUrl : `${searchUrl}${searchUrl.includes('?') ? '&' : '?'}page=${currentPage}`;
+    const pageUrl = searchPageUrl(mode, searchUrl, currentPage);
+    const scrollForMore = mode.infiniteScroll && onResultsPage;
+    const navigationStarted = Date.now();
     try {
-      console.log(`Navigating to: ${pageUrl}`);
-      emitter.emit('progress', { status: 'navigating', message: `Navigating to page ${currentPage}`, page: currentPage });
+      if (scrollForMore) {
+        emitter.emit('progress', { status: 'loading_more', message: `Loading more results (batch ${currentPage})`, page: currentPage });
+        await loadMoreResults(page);
+      } else {
+        logger.info(`Navigating to: ${pageUrl}`);
+        emitter.emit('progress', { status: 'navigating', message: `Navigating to page ${currentPage}`, page: currentPage });
+      }
       
       // Special handling for problematic pages - LinkedIn often blocks after page 6
-      if (currentPage >= 6) {
-        console.log(`Approaching high-risk page ${currentPage}, adding extra precautions...`);
+      if (scrollForMore) {
+        // The next batch loads into the results page already open
+      } else if (currentPage >= 6 && !mode.infiniteScroll) {
+        logger.info(`Approaching high-risk page ${currentPage}, adding extra precautions...`);
         
         // Take a screenshot for debugging
-        await page.screenshot({ path: `pre-navigation-page-${currentPage}.png` });
+        await captureDiagnostics(options, page, 'pre-navigation', { pageNumber: currentPage, html: false });
         
         // Check for cancellation before high-risk page navigation
         if (isCancelledFn && isCancelledFn()) {
-          console.log(`Scraping cancelled before high-risk page ${currentPage} navigation`);
+          logger.info(`Scraping cancelled before high-risk page ${currentPage} navigation`);
           break;
         }
         
@@ -903,71 +994,74 @@ async function performPeopleSearch(page, searchUrl, maxPages, emitter, isCancell
         
         // Check for cancellation again
         if (isCancelledFn && isCancelledFn()) {
-          console.log(`Scraping cancelled during high-risk page ${currentPage} preparation`);
+          logger.info(`Scraping cancelled during high-risk page ${currentPage} preparation`);
           break;
         }
         
         try {
           // Use a longer timeout for problem pages
-          console.log(`Navigating to page ${currentPage} with extended timeout...`);
+          logger.info(`Navigating to page ${currentPage} with extended timeout...`);
           await page.goto(pageUrl, { 
             waitUntil: 'domcontentloaded',
             timeout: 60000 // 60 second timeout for problem pages
           });
         } catch (navError) {
-          console.log(`Initial navigation attempt for page ${currentPage} failed:`, navError.message);
+          logger.warn(`Initial navigation attempt for page ${currentPage} failed`, navError);
           
           // Take another screenshot to see what happened
-          await page.screenshot({ path: `failed-navigation-page-${currentPage}.png` });
+          await captureDiagnostics(options, page, 'failed-navigation', { pageNumber: currentPage, reason: navError.message });
           
           // Check for cancellation
           if (isCancelledFn && isCancelledFn()) {
-            console.log(`Scraping cancelled after failed navigation to page ${currentPage}`);
+            logger.info(`Scraping cancelled after failed navigation to page ${currentPage}`);
             break;
           }
           
           // Try an alternative navigation approach
-          console.log(`Trying alternative navigation for page ${currentPage}...`);
+          logger.info(`Trying alternative navigation for page ${currentPage}...`);
           try {
             // Try clicking "Next" button instead of direct navigation
-            const hasNextButton = await page.evaluate(() => {
-              const nextButtons = Array.from(document.querySelectorAll('button, a'))
-                .filter(el => el.textContent.includes('Next') || 
+            const nextSelector = await page.evaluate((buttonSelectors) => {
+              for (const selector of buttonSelectors) {
+                const nextButton = Array.from(document.querySelectorAll(selector))
+                  .find(el => el.textContent.includes('Next') || 
                              el.textContent.includes('next') ||
                              el.getAttribute('aria-label')?.includes('Next'));
-                             
-              if (nextButtons.length > 0) {
-                nextButtons[0].click();
-                return true;
+                if (nextButton) {
+                  nextButton.click();
+                  return selector;
+                }
               }
-              return false;
-            });
+              return null;
+            }, getSelectors()['search.nextButton']);
+            recordSelectorMatches({ 'search.nextButton': { [nextSelector || NO_MATCH]: 1 } });
             
-            if (hasNextButton) {
+            if (nextSelector) {
               // Wait for navigation to complete
               await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 30000 })
-                .catch(e => console.log('Navigation timeout after clicking Next, continuing anyway'));
+                .catch(e => logger.info('Navigation timeout after clicking Next, continuing anyway'));
             } else {
               // If no Next button, try direct navigation again with minimal wait
               await page.goto(pageUrl, { waitUntil: 'domcontentloaded', timeout: 30000 })
-                .catch(e => console.log('Retried navigation failed, will check page state anyway'));
+                .catch(e => logger.info('Retried navigation failed, will check page state anyway'));
             }
           } catch (retryError) {
-            console.log(`Alternative navigation also failed:`, retryError.message);
+            logger.warn('Alternative navigation also failed', retryError);
           }
         }
         
         // Verify we're on a search results page regardless of how we got here
-        const isSearchPage = await page.evaluate(() => {
-          return document.body.textContent.includes('results') || 
-                 document.querySelector('div[class*="search-results"]') !== null ||
-                 document.querySelector('ul[role="list"]') !== null;
-        });
+        const searchPage = await page.evaluate(containerSelectors => ({
+          mentionsResults: document.body.textContent.includes('results'),
+          container: containerSelectors.find(selector => document.querySelector(selector)) || null
+        }), getSelectors()['search.resultsContainer']);
+        recordSelectorMatches({ 'search.resultsContainer': { [searchPage.container || NO_MATCH]: 1 } });
+        const isSearchPage = searchPage.mentionsResults || !!searchPage.container;
         
         if (!isSearchPage) {
-          console.error(`Page ${currentPage} does not appear to be a search results page`);
-          await page.screenshot({ path: `not-search-page-${currentPage}.png` });
-          throw new Error(`Failed to navigate to search results page ${currentPage}`);
+          logger.error(`Page ${currentPage} does not appear to be a search results page`);
+          await captureDiagnostics(options, page, 'not-search-page', { pageNumber: currentPage });
+          throw scraperError('NAVIGATION_FAILED', `Failed to navigate to search results page ${currentPage}`);
         }
         
       } else {
@@ -978,9 +1072,13 @@ async function performPeopleSearch(page, searchUrl, maxPages, emitter, isCancell
         });
       }
       
+      if (!scrollForMore) {
+        metrics.navigationDuration.observe({ mode: mode.name }, (Date.now() - navigationStarted) / 1000);
+      }
+
       // Check for cancellation after navigation
       if (isCancelledFn && isCancelledFn()) {
-        console.log(`Scraping cancelled after navigating to page ${currentPage}`);
+        logger.info(`Scraping cancelled after navigating to page ${currentPage}`);
         break;
       }
       
@@ -988,7 +1086,7 @@ async function performPeopleSearch(page, searchUrl, maxPages, emitter, isCancell
       const currentUrl = page.url();
       
       if (currentUrl.includes('/login') || currentUrl.includes('/checkpoint')) {
-        throw new Error('LinkedIn session expired. Please provide new cookies.');
+        throw scraperError('SESSION_EXPIRED', 'LinkedIn session expired. Please provide new cookies.');
       }
       
       // Check for rate limiting or blocks
@@ -1000,28 +1098,21 @@ async function performPeopleSearch(page, searchUrl, maxPages, emitter, isCancell
       });
       
       if (isBlocked) {
-        await page.screenshot({ path: 'rate-limited.png' });
-        throw new Error('LinkedIn has detected unusual activity and blocked access. Try again later with different cookies.');
+        await captureDiagnostics(options, page, 'rate-limited', { pageNumber: currentPage });
+        throw scraperError('SECURITY_CHECK', 'LinkedIn has detected unusual activity and blocked access. Try again later with different cookies.');
       }
       
       emitter.emit('progress', { status: 'page_loaded', message: `Page ${currentPage} loaded successfully`, page: currentPage, url: currentUrl });
+      metrics.pagesLoaded.inc({ mode: mode.name });
+      onResultsPage = true;
       
       // Wait for search results container with various selectors
       try {
         // Wait for search results container with generic selectors
-        const containerSelectors = [
-          'ul[role="list"]',
-          'div[class*="search-results"]',
-          'div[class*="results-container"]',
-          'main div > ul',
-          '.scaffold-layout__list',
-          'div[class*="marvel-srp"]'
-        ];
-        
-        await page.waitForSelector(containerSelectors.join(','), { timeout: 15000 });
-        console.log('Search results container found');
+        await waitForResultsContainer(page);
+        logger.info('Search results container found');
       } catch (selectorError) {
-        console.log('Search results container not found with standard selectors, continuing anyway:', selectorError);
+        logger.warn('Search results container not found with standard selectors, continuing anyway', selectorError);
         
         // Check for common issues
         const pageState = await page.evaluate(() => {
@@ -1033,10 +1124,10 @@ async function performPeopleSearch(page, searchUrl, maxPages, emitter, isCancell
           };
         });
         
-        console.log('Page state check:', pageState);
+        logger.info('Page state check', { pageState });
         
         if (pageState.hasNoResultsMessage) {
-          console.log('Explicit "No results found" message detected');
+          logger.info('Explicit "No results found" message detected');
           emitter.emit('progress', { 
             status: 'no_more_results', 
             message: `No more results found after page ${currentPage-1}`,
@@ -1044,39 +1135,49 @@ async function performPeopleSearch(page, searchUrl, maxPages, emitter, isCancell
           });
           break;
         }
+
+        emitFailure(emitter, scraperError('RESULTS_CONTAINER_MISSING', `Search results container not found on page ${currentPage}, extracting anyway`), {
+          fatal: false,
+          page: currentPage
+        });
       }
       
       // Check for cancellation before waiting
       if (isCancelledFn && isCancelledFn()) {
-        console.log(`Scraping cancelled before waiting for page ${currentPage} content`);
+        logger.info(`Scraping cancelled before waiting for page ${currentPage} content`);
         break;
       }
       
       // Wait longer for JavaScript to load more content
-      await delay(15000);
+      await pacingDelay(pacing.pageSettleMs, isCancelledFn, mode.name);
       
       // Check for cancellation before scrolling
       if (isCancelledFn && isCancelledFn()) {
-        console.log(`Scraping cancelled before scrolling page ${currentPage}`);
+        logger.info(`Scraping cancelled before scrolling page ${currentPage}`);
         break;
       }
       
       // Scroll to ensure all content is loaded
-      await humanLikeScroll(page);
+      await (mode.scroll || humanLikeScroll)(page);
       
       // Check for cancellation after scrolling
       if (isCancelledFn && isCancelledFn()) {
-        console.log(`Scraping cancelled after scrolling page ${currentPage}`);
+        logger.info(`Scraping cancelled after scrolling page ${currentPage}`);
         break;
       }
       
       // Wait a bit more after scrolling
-      await delay(3000);
+      await pacingDelay(pacing.afterScrollMs, isCancelledFn, mode.name);
       
-      emitter.emit('progress', { status: 'extracting', message: `Extracting data from page ${currentPage}`, page: currentPage });
+      emitter.emit('progress', {
+        status: 'extracting',
+        message: `Extracting data from page ${currentPage}`,
+        page: currentPage,
+        selectorsVersion: getRegistryInfo().version
+      });
 
       // Calculate expected total items based on maxPages parameter
-      const expectedTotalProfiles = Math.min(1000, maxPages * 10); // LinkedIn limits to 1000 results max
+      const expectedTotalProfiles = Math.min(1000, maxPages * mode.resultsPerPage); // LinkedIn limits to 1000 results max
       
       // Create a wrapper for the profile extraction callback that fixes the totalProfiles value
       const fixedProfileCallback = (data) => {
@@ -1087,7 +1188,7 @@ async function performPeopleSearch(page, searchUrl, maxPages, emitter, isCancell
         };
         
         // Clean the name to be consistent
-        let cleanName = fixedData.profile.name;
+        let cleanName = mode.itemName(fixedData.profile) || '';
         // Remove any "View profile" text that might be in the name
         if (cleanName.includes("View")) {
           cleanName = cleanName.split("View")[0].trim();
@@ -1096,59 +1197,80 @@ async function performPeopleSearch(page, searchUrl, maxPages, emitter, isCancell
         // Correct the progress percentage (not 100% for all profiles)
         const correctedProgress = Math.min(100, Math.floor(100 * fixedData.profilesScraped / fixedData.totalProfiles));
         
-        // Send profile and progress to client
-        emitter.emit('profile', fixedData.profile);
+        // Send the item and progress to client
+        emitter.emit(mode.itemEvent, fixedData.profile);
         
         // Send progress information with fixed totalProfiles
         emitter.emit('progress', { 
           status: 'extracting_progress', 
-          message: `Extracted profile: ${cleanName} (${fixedData.profilesScraped}/${fixedData.totalProfiles}) - ${correctedProgress}%`,
+          message: `Extracted ${mode.itemLabel}: ${cleanName} (${fixedData.profilesScraped}/${fixedData.totalProfiles}) - ${correctedProgress}%`,
           progress: correctedProgress,
           profilesScraped: fixedData.profilesScraped,
           totalProfiles: fixedData.totalProfiles,
           currentProfile: cleanName,
           // Add profile URL and image to the progress message
           profileUrl: fixedData.profile.profileUrl || "",
-          profileImage: fixedData.profile.profileImage || null
+          profileImage: fixedData.profile.profileImage || null,
+          itemType: mode.itemEvent
         });
         
-        console.log(`Extracted profile: ${cleanName} (${fixedData.profilesScraped}/${fixedData.totalProfiles}) - ${correctedProgress}%`);
+        logger.info(`Extracted ${mode.itemLabel}: ${cleanName} (${fixedData.profilesScraped}/${fixedData.totalProfiles}) - ${correctedProgress}%`);
       };
       
       const profiles = [];
 
-      // Pass the cancellation function to extractProfileData
+      // Pass the cancellation function to extractResultItems
       const extractOptions = {
         maxPages: maxPages ? parseInt(maxPages) : 100,
         currentPage: currentPage,
-        cancelCheck: isCancelledFn
+        resultsPerPage: mode.resultsPerPage,
+        cancelCheck: isCancelledFn,
+        isNewItem: seenKeys ? (item) => !seenKeys.has(mode.itemKey(item)) : null,
+        scrollPastItems: mode.infiniteScroll && !scrollForMore ? seenKeys.size : 0,
+        expandItems: mode.expandItems ? (items) => mode.expandItems(page, items, emitter, isCancelledFn, options) : null,
+        archivePage: options.archive ? (html, items) => archiveResultsPage(options.archive, {
+          mode: mode.name,
+          searchUrl,
+          pageNumber: currentPage,
+          url: page.url(),
+          html,
+          items
+        }) : null
       };
 
-      const result = await extractProfileData(
+      const result = await extractResultItems(
         page, 
+        mode,
         // Use our wrapper callback
         (data) => {
           // Check for cancellation before processing each profile
           if (isCancelledFn && !isCancelledFn()) {
             profiles.push(data.profile);
+            if (seenKeys) seenKeys.add(mode.itemKey(data.profile));
             fixedProfileCallback(data);
           }
         },
         extractOptions
       );
 
+      if (mode.countTotal && result.displayedTotal) {
+        totalAvailable = result.displayedTotal;
+      }
+
       // Check for cancellation after extraction
       if (isCancelledFn && isCancelledFn()) {
-        console.log(`Scraping cancelled after extracting profiles from page ${currentPage}`);
+        logger.info(`Scraping cancelled after extracting profiles from page ${currentPage}`);
         break;
       }
 
       const hasNoResults = result.hasNoResults || profiles.length === 0;
+      metrics.itemsPerPage.observe({ mode: mode.name }, profiles.length);
       
       // If we have no results, we've reached the end
       if (hasNoResults) {
         // Take a screenshot for debugging
-        await page.screenshot({ path: `no-results-page-${currentPage}.png` });
+        await captureDiagnostics(options, page, 'no-results', { pageNumber: currentPage });
+        metrics.scrapeErrors.inc({ mode: mode.name, category: 'no_results' });
         
         // Check for explicit "no results" message
         const hasNoResultsMessage = await page.evaluate(() => {
@@ -1172,157 +1294,340 @@ async function performPeopleSearch(page, searchUrl, maxPages, emitter, isCancell
       
       emitter.emit('progress', { 
         status: 'extracted', 
-        message: `Extracted ${profiles.length} profiles from page ${currentPage}`,
+        message: `Extracted ${profiles.length} ${mode.itemLabel} results from page ${currentPage}`,
         page: currentPage,
         count: profiles.length,
-        totalSoFar: allResults.length,
-        pageResults: profiles
+        totalSoFar: allResults.length
       });
+
+      // Checkpoint after every completed page so the run can be resumed from here
+      completedPages.add(currentPage);
+      lastCheckpoint = {
+        mode: mode.name,
+        searchUrl,
+        maxPages: numPages,
+        lastCompletedPage: currentPage,
+        completedPages: [...completedPages].sort((a, b) => a - b),
+        results: allResults
+      };
+      emitter.emit('checkpoint', lastCheckpoint);
       
       // Reset consecutive errors counter on success
       consecutiveErrors = 0;
       
       // Check for cancellation before waiting for next page
       if (isCancelledFn && isCancelledFn()) {
-        console.log(`Scraping cancelled after completing page ${currentPage}`);
+        logger.info(`Scraping cancelled after completing page ${currentPage}`);
         break;
       }
       
-      // Calculate progressive delay between pages
-      const calculateProgressiveDelay = (pageNum) => {
-        // Base delay for early pages
-        const baseDelay = 5000;
-        
-        // Additional delay per page
-        const additionalDelay = 1000;
-        
-        // Extra delay for high-risk pages (typically pages 7-10)
-        const highRiskPages = [7, 8, 9, 10];
-        const highRiskBonus = highRiskPages.includes(pageNum) ? 5000 : 0;
-        
-        // Add randomness
-        const randomFactor = Math.random() * 3000;
-        
-        // Calculate total delay (increases with page number)
-        return baseDelay + (pageNum * additionalDelay) + highRiskBonus + randomFactor;
-      };
-      
-      const waitTime = calculateProgressiveDelay(currentPage);
-      console.log(`Waiting ${Math.round(waitTime)}ms before next page...`);
-      
-      // Use a cancellable delay
-      const startTime = Date.now();
-      while (Date.now() - startTime < waitTime) {
-        // Check for cancellation every 500ms
-        if (isCancelledFn && isCancelledFn()) {
-          console.log(`Scraping cancelled during delay before page ${currentPage + 1}`);
-          break;
-        }
-        await delay(Math.min(500, waitTime - (Date.now() - startTime)));
-      }
+      // Progressive delay between pages, as the pacing policy sets it
+      const waitTime = pageDelay(pacing, currentPage);
+      logger.info(`Waiting ${Math.round(waitTime)}ms before next page...`);
+      await pacingDelay(waitTime, isCancelledFn, mode.name);
       
       // Final check for cancellation before moving to next page
       if (isCancelledFn && isCancelledFn()) {
-        console.log(`Scraping cancelled after delay before page ${currentPage + 1}`);
+        logger.info(`Scraping cancelled after delay before page ${currentPage + 1}`);
         break;
       }
       
     } catch (error) {
-      console.error(`Search failed on page ${currentPage}:`, error);
-      await page.screenshot({ path: `error-page-${currentPage}.png` });
+      logger.error(`Search failed on page ${currentPage}`, error);
+      metrics.scrapeErrors.inc({ mode: mode.name, category: metrics.errorCategory(error) });
+      // Start over from a fresh results page rather than scrolling a broken one
+      onResultsPage = false;
+      if (!(isCancelledFn && isCancelledFn())) {
+        await captureDiagnostics(options, page, 'error', { pageNumber: currentPage, reason: error.message });
+      }
       
       consecutiveErrors++;
       
       // If we have too many consecutive errors, abort the search
       if (consecutiveErrors >= maxConsecutiveErrors) {
-        emitter.emit('error', { 
-          status: 'error', 
-          message: `Aborting search after ${maxConsecutiveErrors} consecutive errors. Last error: ${error.message}`, 
-          page: currentPage 
+        emitFailure(emitter, error, {
+          fatal: true,
+          message: `Aborting search after ${maxConsecutiveErrors} consecutive errors. Last error: ${error.message}`,
+          page: currentPage
         });
+        stopReason = 'failed';
         break;
       }
       
-      emitter.emit('error', { 
-        status: 'error', 
-        message: `Search failed on page ${currentPage}: ${error.message}`, 
-        page: currentPage 
+      // The search ends when the first page fails or the next pages would fail
+      // the same way (expired session, security check)
+      emitFailure(emitter, error, {
+        fatal: currentPage === 1 || !isRetryable(error),
+        message: `Search failed on page ${currentPage}: ${error.message}`,
+        page: currentPage
       });
-      
-      // Only break if we fail on the first page
-      if (currentPage === 1) {
+      if (currentPage === 1 || !isRetryable(error)) {
+        stopReason = 'failed';
         break;
       }
       
       // Check for cancellation before waiting after error
       if (isCancelledFn && isCancelledFn()) {
-        console.log(`Scraping cancelled after error on page ${currentPage}`);
+        logger.info(`Scraping cancelled after error on page ${currentPage}`);
         break;
       }
       
       // For other pages, wait longer before trying the next page
-      await delay(15000);
+      await pacingDelay(pacing.errorBackoffMs, isCancelledFn, mode.name);
     }
   }
-  
-  // Only emit done if not cancelled
-  if (!isCancelledFn || !isCancelledFn()) {
-    emitter.emit('done', { 
-      status: 'done', 
-      message: 'Scraping completed', 
-      resultsCount: allResults.length,
-      results: allResults 
+
+  if (mode.countTotal) {
+    emitter.emit('progress', {
+      status: 'coverage',
+      message: totalAvailable !== null ?
+        `Collected ${allResults.length} of the ${totalAvailable} ${mode.itemLabel}s LinkedIn lists` :
+        `Collected ${allResults.length} ${mode.itemLabel}s; LinkedIn did not show a total`,
+      collected: allResults.length,
+      totalAvailable
     });
   }
   
-  return allResults;
+  return { results: allResults, stopReason, checkpoint: lastCheckpoint };
+}
+
+// Sleep in short slices so a cancel doesn't have to wait out the whole delay
+async function cancellableDelay(ms, isCancelledFn) {
+  const startTime = Date.now();
+  while (Date.now() - startTime < ms) {
+    if (isCancelledFn && isCancelledFn()) return;
+    await delay(Math.min(500, ms - (Date.now() - startTime)));
+  }
+}
+
+// A wait set by the pacing policy or between detail page visits, counted
+// towards the time runs spend pacing themselves
+async function pacingDelay(ms, isCancelledFn, modeName) {
+  const startTime = Date.now();
+  await cancellableDelay(ms, isCancelledFn);
+  metrics.pacingDelay.inc({ mode: modeName }, (Date.now() - startTime) / 1000);
+}
+
+// Take a page from the session's daily budget before loading it. False means
+// the budget is spent and no more pages should be loaded.
+async function reservePage(options) {
+  return options.reservePage ? options.reservePage() : true;
 }
 
-function searchLinkedInPeople(searchUrl, cookiesString, maxPages) {
+// Visit each collected /in/ profile and extract its full details (about,
+// experience, education, skills, languages). Headless "LinkedIn Member" cards
+// have no profile page and are skipped. Every enriched record is emitted as a
+// 'profile_enriched' event: the search card merged with the page details.
+// Each one is also added to options.checkpoint along with the card's URL (the
+// page's own may differ), so a run resumed from that checkpoint doesn't spend
+// its page budget on the same profiles again.
+// Resolves with the records and a stopReason, as performSearch does.
+async function performProfileEnrichment(page, profiles, emitter, isCancelledFn, options = {}) {
+  const resumeFrom = options.resumeFrom || {};
+  const enriched = [...(resumeFrom.enriched || [])];
+  const enrichedUrls = [...(resumeFrom.enrichedUrls || [])];
+  const resumedCount = enriched.length;
+  const seen = new Set(enrichedUrls);
+  const targets = profiles.filter((profile) => {
+    if (!profile.profileUrl || !profile.profileUrl.includes('/in/') || seen.has(profile.profileUrl)) {
+      return false;
+    }
+    seen.add(profile.profileUrl);
+    return true;
+  });
+  let consecutiveErrors = 0;
+  const maxConsecutiveErrors = 3;
+  let stopReason = null;
+
+  emitter.emit('progress', {
+    status: 'enriching',
+    message: `Enriching ${targets.length} profiles`,
+    total: targets.length
+  });
+
+  for (let index = 0; index < targets.length; index++) {
+    if (isCancelledFn && isCancelledFn()) {
+      logger.info(`Enrichment cancelled before profile ${index + 1}`);
+      break;
+    }
+    if (!await reservePage(options)) {
+      stopReason = 'budget_exhausted';
+      break;
+    }
+
+    const profile = targets[index];
+    try {
+      emitter.emit('progress', {
+        status: 'enriching_profile',
+        message: `Visiting profile ${index + 1}/${targets.length}: ${profile.name}`,
+        profileUrl: profile.profileUrl,
+        enrichedSoFar: enriched.length,
+        total: targets.length
+      });
+
+      await page.goto(profile.profileUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+      if (isCancelledFn && isCancelledFn()) {
+        logger.info(`Enrichment cancelled after navigating to ${profile.profileUrl}`);
+        break;
+      }
+
+      const currentUrl = page.url();
+      if (currentUrl.includes('/login') || currentUrl.includes('/checkpoint')) {
+        throw scraperError('SESSION_EXPIRED', 'LinkedIn session expired. Please provide new cookies.');
+      }
+      emitter.emit('progress', {
+        status: 'profile_page_loaded',
+        message: `Profile page of ${profile.name} loaded`,
+        profileUrl: profile.profileUrl,
+        url: currentUrl
+      });
+
+      await page.waitForSelector(getSelectors()['profilePage.name'].join(','), { timeout: 15000 })
+        .catch(() => logger.info(`Profile heading not found on ${currentUrl}, extracting anyway`));
+
+      // Experience, education etc. only render once scrolled into view
+      await humanLikeScroll(page);
+
+      if (isCancelledFn && isCancelledFn()) {
+        logger.info(`Enrichment cancelled after scrolling ${profile.profileUrl}`);
+        break;
+      }
+
+      const { details } = await evaluateExtractor(page, extractProfileDetails);
+      const record = {
+        ...profile,
+        ...details,
+        name: details.name || profile.name,
+        location: details.location || profile.location,
+        enrichedAt: new Date().toISOString()
+      };
+      enriched.push(record);
+      enrichedUrls.push(profile.profileUrl);
+      if (options.checkpoint) {
+        emitter.emit('checkpoint', { ...options.checkpoint, enriched, enrichedUrls });
+      }
+      emitter.emit('profile_enriched', record);
+      consecutiveErrors = 0;
+    } catch (error) {
+      logger.error(`Enrichment failed for ${profile.profileUrl}`, error);
+      consecutiveErrors++;
+
+      if (consecutiveErrors >= maxConsecutiveErrors) {
+        emitFailure(emitter, error, {
+          fatal: true,
+          message: `Aborting enrichment after ${maxConsecutiveErrors} consecutive errors. Last error: ${error.message}`,
+          profileUrl: profile.profileUrl
+        });
+        stopReason = 'failed';
+        break;
+      }
+
+      // Other profiles would fail the same way on an expired session or security check
+      emitFailure(emitter, error, {
+        fatal: !isRetryable(error),
+        message: `Enrichment failed for ${profile.profileUrl}: ${error.message}`,
+        profileUrl: profile.profileUrl
+      });
+      if (!isRetryable(error)) {
+        stopReason = 'failed';
+        break;
+      }
+    }
+
+    // Profile views are watched more closely than search pages, so go slowly
+    if (index < targets.length - 1) {
+      await pacingDelay(5000 + Math.random() * 5000, isCancelledFn, options.mode);
+    }
+  }
+
+  emitter.emit('progress', {
+    status: 'enriched',
+    message: `Enriched ${enriched.length} of ${resumedCount + targets.length} profiles`,
+    enrichedCount: enriched.length,
+    total: resumedCount + targets.length
+  });
+  return { enriched, stopReason };
+}
+
+// Run a search of options.mode (people by default) in a pooled browser
+// context. Returns an emitter streaming progress, item, error and done events;
+// emit 'cancel' on it to stop the run. 'done' is only emitted when the search
+// ran out of results or pages; the closing 'end' event says whether the run
+// was cancelled or interrupted by a spent page budget instead.
+function runLinkedInSearch(searchUrl, cookiesString, maxPages, options = {}) {
+    const mode = options.mode || 'people';
+    const pacing = options.pacing || resolvePacing();
     const emitter = new EventEmitter();
     let isCancelled = false;
-    let browser = null;
+    let lease = null;
+    let page = null;
+
+    // Screenshots, HTML and console output for when something goes wrong,
+    // kept under the job's ID and its API key (options.owner) so it can be
+    // listed and downloaded later
+    const runId = options.runId || crypto.randomUUID();
+    const diagnostics = createRunDiagnostics(runId, { owner: options.owner });
+
+    // Every LinkedIn page the run loads is taken from its API key's daily quota
+    // (through options.reserveQuotaPage) and its session's daily budget; once
+    // either is spent the run stops loading pages and ends interrupted, to be
+    // resumed from its checkpoint when they renew
+    const sessionKey = sessionKeyFor(cookiesString);
+    let budgetExhausted = false;
+    const stopForBudget = (status, message) => {
+        budgetExhausted = true;
+        emitter.emit('progress', { status, message });
+        return false;
+    };
+    const reserveBudgetPage = async () => {
+        if (budgetExhausted) {
+            return false;
+        }
+        if (options.reserveQuotaPage && !await options.reserveQuotaPage()) {
+            return stopForBudget('quota_exhausted', 'This API key has used its daily page quota, stopping here');
+        }
+        if (sessionKey && !await reserveSessionPage(sessionKey)) {
+            // The key's page goes back, as no page is loaded with it
+            if (options.releaseQuotaPage) {
+                await options.releaseQuotaPage();
+            }
+            return stopForBudget('budget_exhausted', 'This LinkedIn session has used its daily page budget, stopping here');
+        }
+        return true;
+    };
 
     // Listen for cancel event
     emitter.on('cancel', () => {
-        console.log('Received cancel signal, stopping scraper');
+        logger.info('Received cancel signal, stopping scraper');
         isCancelled = true;
         
-        // Close the browser if it exists
-        if (browser) {
-            try {
-                browser.close().catch(err => console.error('Error closing browser on cancel:', err));
-            } catch (e) {
-                console.error('Error in browser close on cancel:', e);
-            }
+        // Close this job's browser context to abort anything in flight
+        if (lease) {
+            lease.context.close().catch(err => logger.error('Error closing browser context on cancel', err));
         }
     });
 
-    // Start async operations immediately
-    (async () => {
+    // Start async operations immediately. Everything the run logs carries its run ID.
+    let started = false;
+    let completed = false;
+    let stopReason = null;
+    logger.withLogContext({ runId, mode }, async () => {
         try {
-            // Launch browser with additional options to avoid detection
-            browser = await puppeteer.launch({
-                headless: "new",
-                args: [
-                    "--no-sandbox",
-                    "--disable-setuid-sandbox",
-                    "--disable-dev-shm-usage",
-                    "--disable-accelerated-2d-canvas",
-                    "--no-first-run",
-                    "--no-zygote",
-                    "--disable-gpu",
-                    "--disable-features=IsolateOrigins,site-per-process",
-                    // Additional flags to help with LinkedIn access
-                    "--disable-web-security",
-                    "--disable-features=site-per-process",
-                    "--disable-site-isolation-trials",
-                ],
-                defaultViewport: { width: 1280, height: 800 },
-                timeout: 60000,
+            // Borrow an isolated context from the shared browser pool
+            lease = await acquireContext().catch((error) => {
+                throw scraperError('BROWSER_LAUNCH_FAILED', `Could not get a browser: ${error.message}`);
             });
             
-            const page = await browser.newPage();
+            if (isCancelled) {
+                logger.info('Scraping cancelled while waiting for a browser');
+                return;
+            }
+            started = true;
+            metrics.runsStarted.inc({ mode });
+            
+            page = await lease.context.newPage();
+            diagnostics.attach(page);
             
             // ADDED: Disable JavaScript timeouts
             const session = await page.target().createCDPSession();
@@ -1331,8 +1636,8 @@ function searchLinkedInPeople(searchUrl, cookiesString, maxPages) {
             
             // Monitor for any navigation errors
             page.on('error', err=> {
-                console.error('Page error:', err);
-                emitter.emit('error', { status: 'error', message: `Browser page error: ${err.message}` });
+                logger.error('Page error', err);
+                emitFailure(emitter, err, { fatal: false, message: `Browser page error: ${err.message}` });
             });
             
             // Set a realistic user agent
@@ -1369,7 +1674,7 @@ function searchLinkedInPeople(searchUrl, cookiesString, maxPages) {
             
             // Check if cancelled after setting cookies
             if (isCancelled) {
-                console.log('Scraping cancelled after setting cookies');
+                logger.info('Scraping cancelled after setting cookies');
                 return;
             }
             
@@ -1378,28 +1683,91 @@ function searchLinkedInPeople(searchUrl, cookiesString, maxPages) {
             
             // Check if cancelled after validating session
             if (isCancelled) {
-                console.log('Scraping cancelled after validating session');
+                logger.info('Scraping cancelled after validating session');
                 return;
             }
+
+            // A structured search that names companies, places etc. is resolved
+            // to LinkedIn IDs through this session's typeahead
+            if (options.search) {
+                emitter.emit('progress', { status: 'resolving_facets', message: 'Looking up filter names on LinkedIn' });
+                const { search, resolutions } = await resolveSearchFacets(options.search, createFacetSource(page), mode);
+                searchUrl = compileSearch(search, mode);
+                emitter.emit('progress', {
+                    status: 'facets_resolved',
+                    message: `Resolved ${resolutions.map(r => `${r.query} -> ${r.name} (${r.id})`).join(', ')}`,
+                    searchUrl,
+                    resolutions
+                });
+            }
             
             // Now perform the search with valid session and cancellation check
-            await performPeopleSearch(page, searchUrl, maxPages, emitter, () => isCancelled);
+            const search = await performSearch(page, searchUrl, maxPages, emitter, () => isCancelled, {
+                mode,
+                resumeFrom: options.resumeFrom,
+                includeDescriptions: options.includeDescriptions,
+                pacing,
+                reservePage: reserveBudgetPage,
+                diagnostics,
+                // Opt-in archive of every results page, kept under the run's ID
+                archive: options.archive ? { jobId: runId, owner: options.archive.owner } : null
+            });
+            const results = search.results;
+            stopReason = search.stopReason;
+
+            // Only profiles have detail pages to enrich from
+            const enrichment = options.enrich && !isCancelled && !stopReason && SEARCH_MODES[mode].itemEvent === 'profile' ?
+                await performProfileEnrichment(page, results, emitter, () => isCancelled, {
+                    mode,
+                    reservePage: reserveBudgetPage,
+                    checkpoint: search.checkpoint,
+                    resumeFrom: options.resumeFrom
+                }) :
+                null;
+            if (enrichment) {
+                stopReason = enrichment.stopReason;
+            }
+
+            // A run that stopped early ends without 'done', so its checkpoint is
+            // kept for resuming
+            if (!isCancelled && !stopReason) {
+                completed = true;
+                emitter.emit('done', {
+                    status: 'done',
+                    message: 'Scraping completed',
+                    resultsCount: results.length,
+                    results: results,
+                    ...(enrichment ? { enrichedCount: enrichment.enriched.length } : {})
+                });
+            }
         } catch (error) {
-            console.error("Error in searchLinkedInPeople:", error);
-            emitter.emit('error', { status: 'error', message: `Error in searchLinkedInPeople: ${error.message}` });
+            logger.error('Error in runLinkedInSearch', error);
+            metrics.scrapeErrors.inc({ mode, category: metrics.errorCategory(error) });
+            if (page && !isCancelled) {
+                await diagnostics.capture(page, 'run-failed', { reason: error.message });
+            }
+            emitFailure(emitter, error, { fatal: true });
         } finally {
-            if (browser) {
-                try {
-                    await browser.close();
-                    console.log("Browser closed successfully");
-                } catch (e) {
-                    console.error("Error closing browser:", e);
-                }
+            await diagnostics.finish();
+            const interrupted = !isCancelled && stopReason === 'budget_exhausted';
+            if (started) {
+                const outcome = isCancelled ? 'cancelled' : completed ? 'completed' : interrupted ? 'interrupted' : 'failed';
+                metrics.runsFinished.inc({ mode, outcome });
+            }
+            if (lease) {
+                await lease.release();
+                logger.info('Browser context released');
             }
+            // Signal that the run is over, whether it finished, failed or was cancelled
+            emitter.emit('end', { cancelled: isCancelled, interrupted });
         }
-    })();
+    });
 
     return emitter;
 }
 
-module.exports = { searchLinkedInPeople };
\ No newline at end of file
+function searchLinkedInPeople(searchUrl, cookiesString, maxPages, options = {}) {
+    return runLinkedInSearch(searchUrl, cookiesString, maxPages, { ...options, mode: 'people' });
+}
+
+module.exports = { SEARCH_MODES, runLinkedInSearch, searchLinkedInPeople };
\ No newline at end of file
@@ -0,0 +1,52 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line, with whatever context the
+// current run set (its run ID, mode...) attached to every line logged while
+// it runs, however deep in the call stack.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+const logContext = new AsyncLocalStorage();
+
+// Run fn with fields added to every log line written from inside it
+function withLogContext(fields, fn) {
+    return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+function errorFields(error) {
+    return { error: error.message, errorName: error.name, stack: error.stack };
+}
+
+// The second argument of a log call is either an error or an object of fields,
+// which may hold an error under "error"
+function detailFields(details) {
+    if (details === undefined || details === null) return {};
+    if (details instanceof Error) return errorFields(details);
+    if (typeof details !== 'object') return { detail: details };
+
+    const { error, ...fields } = details;
+    if (error instanceof Error) return { ...fields, ...errorFields(error) };
+    return error === undefined ? fields : { ...fields, error };
+}
+
+function write(level, message, details) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...logContext.getStore(),
+        ...detailFields(details)
+    };
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + '\n');
+}
+
+module.exports = {
+    withLogContext,
+    debug: (message, details) => write('debug', message, details),
+    info: (message, details) => write('info', message, details),
+    warn: (message, details) => write('warn', message, details),
+    error: (message, details) => write('error', message, details)
+};
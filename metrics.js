@@ -0,0 +1,114 @@
+const client = require('prom-client');
+const { getPoolStats } = require('./browserPool');
+
+// Prometheus metrics for scraper health, served on /metrics. Counters are
+// labelled by search mode so a broken extractor for one mode stands out.
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const runsStarted = new client.Counter({
+    name: 'scraper_runs_started_total',
+    help: 'Scrape runs that got a browser and started',
+    labelNames: ['mode'],
+    registers: [registry]
+});
+
+const runsFinished = new client.Counter({
+    name: 'scraper_runs_finished_total',
+    help: 'Scrape runs that ended, by how they ended (completed, cancelled, interrupted, failed)',
+    labelNames: ['mode', 'outcome'],
+    registers: [registry]
+});
+
+const pagesAttempted = new client.Counter({
+    name: 'scraper_pages_attempted_total',
+    help: 'Search results pages the scraper tried to load',
+    labelNames: ['mode'],
+    registers: [registry]
+});
+
+const pagesLoaded = new client.Counter({
+    name: 'scraper_pages_loaded_total',
+    help: 'Search results pages that loaded and were not blocked',
+    labelNames: ['mode'],
+    registers: [registry]
+});
+
+const itemsPerPage = new client.Histogram({
+    name: 'scraper_items_per_page',
+    help: 'Items (profiles, companies, jobs, posts) extracted from each results page',
+    labelNames: ['mode'],
+    buckets: [0, 1, 2, 5, 8, 10, 12, 15, 25, 50],
+    registers: [registry]
+});
+
+const navigationDuration = new client.Histogram({
+    name: 'scraper_navigation_duration_seconds',
+    help: 'Time taken to navigate to a results page',
+    labelNames: ['mode'],
+    buckets: [0.5, 1, 2, 5, 10, 20, 30, 60],
+    registers: [registry]
+});
+
+const pacingDelay = new client.Counter({
+    name: 'scraper_pacing_delay_seconds_total',
+    help: 'Time spent waiting in pacing delays',
+    labelNames: ['mode'],
+    registers: [registry]
+});
+
+const scrapeErrors = new client.Counter({
+    name: 'scraper_errors_total',
+    help: 'Scrape errors by category (session_expired, blocked, navigation_timeout, no_results, other)',
+    labelNames: ['mode', 'category'],
+    registers: [registry]
+});
+
+new client.Gauge({
+    name: 'scraper_active_browsers',
+    help: 'Browsers currently launched in the pool',
+    registers: [registry],
+    collect() {
+        this.set(getPoolStats().browsers.filter(browser => browser.ready).length);
+    }
+});
+
+new client.Gauge({
+    name: 'scraper_active_browser_contexts',
+    help: 'Browser contexts currently leased to runs',
+    registers: [registry],
+    collect() {
+        this.set(getPoolStats().activeContexts);
+    }
+});
+
+// scraper_errors_total categories of the scraper's error codes
+const CATEGORIES_BY_CODE = {
+    SESSION_EXPIRED: 'session_expired',
+    MISSING_AUTH_COOKIE: 'session_expired',
+    SECURITY_CHECK: 'blocked',
+    NAVIGATION_TIMEOUT: 'navigation_timeout'
+};
+
+// Sort an error from a run into one of the scraper_errors_total categories
+function errorCategory(error) {
+    if (error && CATEGORIES_BY_CODE[error.code]) return CATEGORIES_BY_CODE[error.code];
+    const message = (error && error.message) || '';
+    if (/session expired/i.test(message)) return 'session_expired';
+    if (/unusual activity|blocked/i.test(message)) return 'blocked';
+    if ((error && error.name === 'TimeoutError') || /timeout/i.test(message)) return 'navigation_timeout';
+    return 'other';
+}
+
+module.exports = {
+    registry,
+    runsStarted,
+    runsFinished,
+    pagesAttempted,
+    pagesLoaded,
+    itemsPerPage,
+    navigationDuration,
+    pacingDelay,
+    scrapeErrors,
+    errorCategory
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJsonAtomic } = require('./dataStore');
+const { httpError } = require('./httpErrors');
+
+// How long a scrape waits at each step. Requests pick a preset by name and may
+// override single values, though never below what the fast preset allows.
+//
+//   pageSettleMs       wait after a results page loads, for its scripts to render
+//   afterScrollMs      wait after scrolling a results page
+//   pageDelayMs        base wait between result pages...
+//   pageDelayStepMs    ...plus this much per page number...
+//   pageDelayJitterMs  ...plus up to this much at random...
+//   highRiskPages      ...plus highRiskDelayMs on pages where LinkedIn tends to block
+//   errorBackoffMs     wait after a page fails before trying the next one
+const PACING_PRESETS = {
+    cautious: {
+        pageSettleMs: 20000,
+        afterScrollMs: 5000,
+        pageDelayMs: 10000,
+        pageDelayStepMs: 2000,
+        pageDelayJitterMs: 5000,
+        highRiskPages: [5, 6, 7, 8, 9, 10],
+        highRiskDelayMs: 10000,
+        errorBackoffMs: 30000
+    },
+    standard: {
+        pageSettleMs: 15000,
+        afterScrollMs: 3000,
+        pageDelayMs: 5000,
+        pageDelayStepMs: 1000,
+        pageDelayJitterMs: 3000,
+        highRiskPages: [7, 8, 9, 10],
+        highRiskDelayMs: 5000,
+        errorBackoffMs: 15000
+    },
+    fast: {
+        pageSettleMs: 8000,
+        afterScrollMs: 1500,
+        pageDelayMs: 3000,
+        pageDelayStepMs: 500,
+        pageDelayJitterMs: 2000,
+        highRiskPages: [7, 8, 9, 10],
+        highRiskDelayMs: 3000,
+        errorBackoffMs: 10000
+    }
+};
+
+const DEFAULT_PACING_PRESET = process.env.PACING_PRESET || 'standard';
+
+const MAX_DELAY_MS = 10 * 60 * 1000;
+
+// Pages a single LinkedIn session may load per UTC day, across every API key,
+// job and run that uses it
+const SESSION_PAGES_PER_DAY = parseInt(process.env.SESSION_PAGES_PER_DAY) || 300;
+const SESSION_BUDGETS_FILE = dataPath('session-budgets.json');
+
+let budgets = null;
+let loading = null;
+
+// Turn a request's pacing - a preset name, or { preset, ...overrides } - into a
+// complete policy. Throws a 400 error for unknown presets, fields or values.
+function resolvePacing(pacing) {
+    if (pacing === undefined || pacing === null || pacing === '') {
+        pacing = {};
+    } else if (typeof pacing === 'string') {
+        pacing = { preset: pacing };
+    } else if (typeof pacing !== 'object' || Array.isArray(pacing)) {
+        throw httpError('pacing must be a preset name or an object', 400);
+    }
+
+    const { preset = DEFAULT_PACING_PRESET, ...overrides } = pacing;
+    if (!PACING_PRESETS[preset]) {
+        throw httpError(`pacing preset must be one of ${Object.keys(PACING_PRESETS).join(', ')}`, 400);
+    }
+
+    const policy = { preset, ...PACING_PRESETS[preset] };
+    for (const [field, value] of Object.entries(overrides)) {
+        const floor = PACING_PRESETS.fast[field];
+        if (floor === undefined) {
+            throw httpError(`unknown pacing field "${field}"`, 400);
+        }
+
+        if (field === 'highRiskPages') {
+            if (!Array.isArray(value) || !value.every(page => Number.isInteger(page) && page > 0)) {
+                throw httpError('pacing highRiskPages must be a list of page numbers', 400);
+            }
+            policy.highRiskPages = [...new Set(value)].sort((a, b) => a - b);
+            continue;
+        }
+
+        if (!Number.isInteger(value) || value < floor || value > MAX_DELAY_MS) {
+            throw httpError(`pacing ${field} must be an integer from ${floor} to ${MAX_DELAY_MS} ms`, 400);
+        }
+        policy[field] = value;
+    }
+    return policy;
+}
+
+// Wait between result pages: grows with the page number, with an extra pause
+// on high-risk pages and some randomness
+function pageDelay(policy, pageNumber) {
+    const highRiskDelay = policy.highRiskPages.includes(pageNumber) ? policy.highRiskDelayMs : 0;
+    return policy.pageDelayMs +
+        pageNumber * policy.pageDelayStepMs +
+        highRiskDelay +
+        Math.random() * policy.pageDelayJitterMs;
+}
+
+// Budgets are kept per LinkedIn session, identified by a hash of its li_at
+// cookie so stored and pasted copies of the same session share one budget
+function sessionKeyFor(cookiesString) {
+    const match = (cookiesString || '').match(/(?:^|;)\s*li_at=([^;]+)/);
+    if (!match) return null;
+    return crypto.createHash('sha256').update(match[1].trim()).digest('hex').slice(0, 32);
+}
+
+async function loadBudgets() {
+    if (budgets) return budgets;
+    if (!loading) {
+        loading = readJson(SESSION_BUDGETS_FILE, {}).then((stored) => {
+            budgets = new Map(Object.entries(stored));
+            return budgets;
+        });
+    }
+    return loading;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function pagesUsedToday(record) {
+    return record && record.day === today() ? record.pages : 0;
+}
+
+async function describeSessionBudget(sessionKey) {
+    const store = await loadBudgets();
+    const used = pagesUsedToday(store.get(sessionKey));
+    return {
+        day: today(),
+        pagesPerDay: SESSION_PAGES_PER_DAY,
+        pagesUsed: used,
+        pagesRemaining: Math.max(0, SESSION_PAGES_PER_DAY - used)
+    };
+}
+
+// Admit a scrape of up to maxPages pages on a session. Returns the pages it may
+// run, which is fewer when the session's budget is nearly spent, or throws 429.
+async function checkSessionBudget(sessionKey, maxPages) {
+    const { pagesRemaining } = await describeSessionBudget(sessionKey);
+    if (pagesRemaining <= 0) {
+        throw httpError(
+            `This LinkedIn session has used its daily budget of ${SESSION_PAGES_PER_DAY} pages, try again tomorrow (UTC)`,
+            429
+        );
+    }
+    return Math.min(maxPages, pagesRemaining);
+}
+
+// Take one page from a session's budget before loading it. Returns false, and
+// takes nothing, once the budget for today is spent.
+async function reserveSessionPage(sessionKey) {
+    const store = await loadBudgets();
+    const record = store.get(sessionKey);
+    const used = pagesUsedToday(record);
+    if (used >= SESSION_PAGES_PER_DAY) {
+        return false;
+    }
+
+    store.set(sessionKey, { day: today(), pages: used + 1 });
+    await writeJsonAtomic(SESSION_BUDGETS_FILE, Object.fromEntries(store));
+    return true;
+}
+
+module.exports = {
+    PACING_PRESETS,
+    DEFAULT_PACING_PRESET,
+    SESSION_PAGES_PER_DAY,
+    resolvePacing,
+    pageDelay,
+    sessionKeyFor,
+    describeSessionBudget,
+    checkSessionBudget,
+    reserveSessionPage
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, readJson, writeJsonAtomic } = require('./dataStore');
+const logger = require('./logger');
+
+// Opt-in archive of the fully scrolled HTML of every results page a job
+// visited, with the items extracted from it at the time, so later extractor
+// versions can be replayed over old searches without scraping again.
+// Archives are kept per job and outlive the job record itself, so each one
+// remembers the API key it belongs to.
+const ARCHIVE_DIR = dataPath('archives');
+
+// Whole results pages add up quickly, so archives not written to for this long
+// are pruned, as are the oldest ones beyond ARCHIVE_MAX_ARCHIVES
+const ARCHIVE_RETENTION_HOURS = parseInt(process.env.ARCHIVE_RETENTION_HOURS) || 72;
+const ARCHIVE_MAX_ARCHIVES = parseInt(process.env.ARCHIVE_MAX_ARCHIVES) || 200;
+
+function archiveDir(jobId) {
+    return path.join(ARCHIVE_DIR, jobId);
+}
+
+function manifestFile(jobId) {
+    return path.join(archiveDir(jobId), 'manifest.json');
+}
+
+function pageBaseName(pageNumber) {
+    return `page-${String(pageNumber).padStart(3, '0')}`;
+}
+
+// Store one results page of a job: its HTML and the items the run extracted
+// from it. A resumed job adds its pages to the same archive.
+async function archivePage(jobId, { owner, mode, searchUrl, pageNumber, url, html, items }) {
+    const dir = path.join(archiveDir(jobId), 'pages');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const baseName = pageBaseName(pageNumber);
+    await fs.promises.writeFile(path.join(dir, `${baseName}.html`), html);
+    await writeJsonAtomic(path.join(dir, `${baseName}.json`), items);
+
+    const manifest = await readJson(manifestFile(jobId), null) || {
+        jobId,
+        owner,
+        mode,
+        createdAt: new Date().toISOString(),
+        pages: []
+    };
+    manifest.searchUrl = searchUrl;
+    manifest.updatedAt = new Date().toISOString();
+    manifest.pages = manifest.pages.filter(p => p.page !== pageNumber);
+    manifest.pages.push({ page: pageNumber, url, itemsCount: items.length, archivedAt: manifest.updatedAt });
+    manifest.pages.sort((a, b) => a.page - b.page);
+    await writeJsonAtomic(manifestFile(jobId), manifest);
+}
+
+// The archive of a job, or null if it has none or it belongs to another key
+async function getArchive(jobId, owner) {
+    if (!/^[\w-]+$/.test(jobId)) return null;
+    const manifest = await readJson(manifestFile(jobId), null);
+    return manifest && manifest.owner === owner ? manifest : null;
+}
+
+// Every archive an API key owns, most recently updated first
+async function listArchives(owner) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(ARCHIVE_DIR, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const archives = [];
+    for (const entry of entries.filter(e => e.isDirectory())) {
+        const manifest = await getArchive(entry.name, owner);
+        if (manifest) archives.push(manifest);
+    }
+    return archives.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// The HTML and originally extracted items of one archived page
+async function readArchivedPage(jobId, pageNumber) {
+    const dir = path.join(archiveDir(jobId), 'pages');
+    const baseName = pageBaseName(pageNumber);
+    return {
+        html: await fs.promises.readFile(path.join(dir, `${baseName}.html`), 'utf8'),
+        items: await readJson(path.join(dir, `${baseName}.json`), [])
+    };
+}
+
+// Keep the result set of a re-extraction next to the archive it came from
+async function saveReextraction(jobId, reextraction) {
+    const record = {
+        id: crypto.randomUUID(),
+        jobId,
+        createdAt: new Date().toISOString(),
+        ...reextraction
+    };
+    await writeJsonAtomic(path.join(archiveDir(jobId), 'reextractions', `${record.id}.json`), record);
+    return record;
+}
+
+async function getReextraction(jobId, id) {
+    if (!/^[\w-]+$/.test(id)) return null;
+    return readJson(path.join(archiveDir(jobId), 'reextractions', `${id}.json`), null);
+}
+
+// Remove expired archives and the oldest beyond the limit, re-extractions
+// included. Resolves with the job IDs of the removed archives.
+async function pruneArchives({
+    retentionHours = ARCHIVE_RETENTION_HOURS,
+    maxArchives = ARCHIVE_MAX_ARCHIVES,
+    now = Date.now()
+} = {}) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(ARCHIVE_DIR, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const archives = [];
+    for (const entry of entries.filter(e => e.isDirectory())) {
+        const manifest = await readJson(manifestFile(entry.name), null).catch(() => null);
+        const updatedAt = manifest && manifest.updatedAt ?
+            Date.parse(manifest.updatedAt) :
+            (await fs.promises.stat(archiveDir(entry.name))).mtimeMs;
+        archives.push({ jobId: entry.name, updatedAt });
+    }
+
+    // Newest first, so whatever is past the limit is the oldest
+    archives.sort((a, b) => b.updatedAt - a.updatedAt);
+    const cutoff = now - retentionHours * 60 * 60 * 1000;
+    const expired = archives.filter((archive, index) => archive.updatedAt < cutoff || index >= maxArchives);
+
+    for (const { jobId } of expired) {
+        await fs.promises.rm(archiveDir(jobId), { recursive: true, force: true });
+    }
+    return expired.map(archive => archive.jobId);
+}
+
+function schedulePruning() {
+    const prune = () => pruneArchives()
+        .then(removed => removed.length > 0 && logger.info(`Pruned ${removed.length} page archives`))
+        .catch(error => logger.error('Failed to prune page archives', error));
+
+    prune();
+    setInterval(prune, 60 * 60 * 1000).unref();
+}
+
+module.exports = {
+    ARCHIVE_RETENTION_HOURS,
+    ARCHIVE_MAX_ARCHIVES,
+    archivePage,
+    getArchive,
+    listArchives,
+    readArchivedPage,
+    saveReextraction,
+    getReextraction,
+    pruneArchives,
+    schedulePruning
+};
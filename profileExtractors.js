@@ -0,0 +1,387 @@
+// Profile-card extractors for LinkedIn people-search result pages.
+//
+// extractProfileCards must stay self-contained (no references to anything
+// outside its own body) because Puppeteer serializes it with
+// Function.prototype.toString() and runs it inside the page:
+//
+//   const profiles = await page.evaluate(extractProfileCards);
+//
+// In Node the same function can be pointed at a jsdom document to parse
+// saved search-result HTML:
+//
+//   const { document } = new JSDOM(html, { url }).window;
+//   const profiles = extractProfileCards({ root: document, selectors: getSelectors() });
+//
+// The selector lists come from selectorRegistry in options.selectors. With
+// options.reportMatches it returns { items, selectorMatches } instead of the
+// profiles alone, counting which selector of each list matched (or '(none)').
+function extractProfileCards(options) {
+    const doc = (options && options.root) || document;
+    const selectors = options.selectors;
+    const profiles = [];
+    // Console output belongs to the page, where diagnostics collect it. In Node,
+    // e.g. re-extracting archived HTML, it would break the JSON log stream.
+    const inPage = !(options && options.root);
+
+    const selectorMatches = {};
+    const recordMatch = (key, selector) => {
+        const counts = selectorMatches[key] = selectorMatches[key] || {};
+        const label = selector || '(none)';
+        counts[label] = (counts[label] || 0) + 1;
+    };
+
+    // Find results using the selectors, most specific first
+    let results = [];
+    let resultsSelector = null;
+    for (const selector of selectors['profileCards.result']) {
+        results = doc.querySelectorAll(selector);
+        if (results.length > 0) {
+            if (inPage) console.log(`Found ${results.length} results using selector: ${selector}`);
+            resultsSelector = selector;
+            break;
+        }
+    }
+    recordMatch('profileCards.result', resultsSelector);
+
+    // If no results found with selectors, try the parent container approach
+    if (results.length === 0) {
+        if (inPage) console.log("No results found with direct selectors, trying parent containers");
+
+        // Look for any list or content container
+        const containers = doc.querySelectorAll(selectors['profileCards.container'].join(','));
+
+        if (containers.length > 0) {
+            const container = containers[0];
+            // Look for list items or direct children that might be results
+            results = container.querySelectorAll('li') || container.querySelectorAll(':scope > div');
+            if (inPage) console.log(`Found ${results.length} results from container approach`);
+        }
+    }
+
+    // Extract profile name, collapsing anonymous cards to "LinkedIn Member"
+    const extractProfileName = (parent) => {
+        for (const selector of selectors['profileCards.name']) {
+            const nameElement = parent.querySelector(selector);
+            if (nameElement && nameElement.textContent.trim()) {
+                recordMatch('profileCards.name', selector);
+                // Clean up the name
+                let name = nameElement.textContent.trim();
+
+                // Remove connection degree info if present
+                name = name.replace(/\s*•\s*\d(?:st|nd|rd|th)\+? degree(?: connection)?/i, '').trim();
+
+                // Check if this is "LinkedIn Member" and return just that without additional text
+                if (name.includes('LinkedIn Member')) {
+                    return 'LinkedIn Member';
+                }
+
+                // Strip any "View profile" text that might be in the name
+                if (name.includes('View')) {
+                    name = name.split('View')[0].trim();
+                }
+
+                return name;
+            }
+        }
+
+        // If we couldn't find the name, return a default
+        recordMatch('profileCards.name', null);
+        return 'LinkedIn Member';
+    };
+
+    // Extract profile image
+    const extractProfileImage = (parent) => {
+        for (const selector of selectors['profileCards.image']) {
+            const imgElement = parent.querySelector(selector);
+            if (imgElement && imgElement.src) {
+                recordMatch('profileCards.image', selector);
+                return {
+                    src: imgElement.src,
+                    alt: imgElement.alt || '',
+                    width: imgElement.width || 100,
+                    height: imgElement.height || 100
+                };
+            }
+        }
+
+        recordMatch('profileCards.image', null);
+        return null;
+    };
+
+    // Get job title more precisely
+    const extractJobTitle = (parent) => {
+        for (const selector of selectors['profileCards.title']) {
+            const element = parent.querySelector(selector);
+            if (element && element.textContent.trim()) {
+                recordMatch('profileCards.title', selector);
+                return element.textContent.trim();
+            }
+        }
+
+        recordMatch('profileCards.title', null);
+        return '';
+    };
+
+    // Get location more precisely: the last subtitle-like element that isn't the job title
+    const extractLocation = (parent, title) => {
+        for (const selector of selectors['profileCards.location']) {
+            const elements = Array.from(parent.querySelectorAll(selector));
+            if (elements.length === 0) continue;
+
+            // If multiple elements exist, take the last one
+            const locationText = elements[elements.length - 1].textContent.trim();
+
+            // Ensure we're not returning the same text as the job title
+            if (locationText !== title) {
+                recordMatch('profileCards.location', selector);
+                return locationText;
+            }
+        }
+
+        recordMatch('profileCards.location', null);
+        return '';
+    };
+
+    // Generic profile URL extraction
+    const extractProfileUrl = (parent) => {
+        // Look for LinkedIn profile links
+        const links = parent.querySelectorAll('a');
+        for (const link of links) {
+            if (link.href && link.href.includes('/in/')) {
+                return link.href.split('?')[0]; // Remove query parameters
+            }
+        }
+
+        // Look for headless profile indicator
+        if (parent.getAttribute('data-chameleon-result-urn')?.includes('headless')) {
+            return 'https://www.linkedin.com/search/results/people/headless';
+        }
+
+        return '';
+    };
+
+    // Result URN - the only stable identifier for headless "LinkedIn Member" cards
+    const extractResultUrn = (parent) => {
+        const urnElement = parent.hasAttribute('data-chameleon-result-urn') ?
+            parent :
+            parent.querySelector('[data-chameleon-result-urn]');
+        return urnElement ? urnElement.getAttribute('data-chameleon-result-urn') : '';
+    };
+
+    // Extract connection degree
+    const extractConnectionDegree = (parent) => {
+        // Try to find the connection info through the profile text
+        const text = parent.textContent;
+        const degreeMatch = text.match(/(\d)(?:st|nd|rd|th)\+?\s+degree(?:\s+connection)?/i);
+        if (degreeMatch) {
+            return degreeMatch[0].trim();
+        }
+        return '';
+    };
+
+    // Process each result
+    Array.from(results).forEach((result) => {
+        try {
+            const name = extractProfileName(result);
+            const title = extractJobTitle(result);
+            const location = extractLocation(result, title);
+            const profileUrl = extractProfileUrl(result);
+            const connectionDegree = extractConnectionDegree(result);
+            const profileImage = extractProfileImage(result);
+            const resultUrn = extractResultUrn(result);
+
+            // Determine if this is an anonymous/headless profile
+            const isAnonymous = name === 'LinkedIn Member';
+
+            // Extract LinkedIn ID from profile URL
+            const linkedinId = profileUrl.includes('/in/') ?
+                profileUrl.split('/in/')[1]?.split('/')[0] || '' :
+                'headless';
+
+            // Only add profiles that have at least one piece of useful data
+            if (title || location || profileUrl) {
+                profiles.push({
+                    name: name || 'LinkedIn Member',
+                    title: title || 'No title listed',
+                    location: location || 'No location listed',
+                    profileUrl: profileUrl || '',
+                    linkedinId: linkedinId || '',
+                    connectionDegree: connectionDegree || '',
+                    isAnonymous: isAnonymous,
+                    profileImage: profileImage,
+                    resultUrn: resultUrn
+                });
+            }
+        } catch (e) {
+            if (inPage) console.error('Error parsing profile:', e);
+        }
+    });
+
+    return options.reportMatches ? { items: profiles, selectorMatches } : profiles;
+}
+
+// Detail extractor for a member's own /in/ profile page. Self-contained for
+// page.evaluate just like extractProfileCards, and reads its top card selectors
+// from options.selectors too (with reportMatches: { details, selectorMatches }):
+//
+//   const details = await page.evaluate(extractProfileDetails, { selectors: getSelectors() });
+//
+// Profile sections are <section> elements anchored by an element with the
+// section's id (#about, #experience, ...). Their visible text lives in
+// span[aria-hidden="true"]; the visually-hidden twins are skipped.
+function extractProfileDetails(options) {
+    const doc = options.root || document;
+    const selectors = options.selectors;
+
+    const textOf = (element) => element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+
+    const selectorMatches = {};
+    const recordMatch = (key, selector) => {
+        const counts = selectorMatches[key] = selectorMatches[key] || {};
+        const label = selector || '(none)';
+        counts[label] = (counts[label] || 0) + 1;
+    };
+
+    // First element under parent matched by the key's selectors, tried in order
+    const find = (parent, key) => {
+        for (const selector of selectors[key]) {
+            const element = parent.querySelector(selector);
+            if (element) {
+                recordMatch(key, selector);
+                return element;
+            }
+        }
+        recordMatch(key, null);
+        return null;
+    };
+
+    const findSection = (id) => {
+        const anchor = doc.getElementById(id);
+        return anchor ? anchor.closest('section') : null;
+    };
+
+    // Visible text lines of a list item, leaving out those of nested items
+    const visibleLines = (item) => Array.from(item.querySelectorAll('span[aria-hidden="true"]'))
+        .filter(span => span.closest('li') === item)
+        .map(textOf)
+        .filter(Boolean);
+
+    // Top-level entries of a section's list (grouped positions nest another list)
+    const sectionItems = (section) => {
+        if (!section) return [];
+        return Array.from(section.querySelectorAll('li'))
+            .filter(item => !item.parentElement.closest('li'));
+    };
+
+    // "Jan 2020 - Present · 4 yrs 2 mos" -> start, end and duration
+    const isDateLine = (line) => /\b(19|20)\d{2}\b|Present/.test(line) && /[-–]|·|\byrs?\b|\bmos?\b/.test(line);
+    const parseDateRange = (line) => {
+        if (!line) {
+            return { dateRange: null, startDate: null, endDate: null, duration: null };
+        }
+        const [range, duration] = line.split('·').map(part => part.trim());
+        const [startDate, endDate] = range.split(/\s+[-–]\s+/).map(part => part.trim());
+        return {
+            dateRange: line,
+            startDate: startDate || null,
+            endDate: endDate || null,
+            duration: duration || null
+        };
+    };
+
+    // The line after the dates is the location, unless it's a description or skills blurb
+    const locationAfter = (lines, dateLine) => {
+        const line = dateLine ? lines[lines.indexOf(dateLine) + 1] : null;
+        return line && line.length <= 100 && !line.startsWith('Skills:') ? line : null;
+    };
+
+    // "Acme · Full-time" -> company and employment type
+    const splitCompanyLine = (line) => {
+        const [company, employmentType] = (line || '').split('·').map(part => part.trim());
+        return { company: company || null, employmentType: employmentType || null };
+    };
+
+    const extractExperience = () => {
+        const positions = [];
+
+        for (const item of sectionItems(findSection('experience'))) {
+            const lines = visibleLines(item);
+            const subItems = Array.from(item.querySelectorAll('li'))
+                .filter(subItem => visibleLines(subItem).some(isDateLine));
+
+            if (subItems.length > 0) {
+                // Several roles at one company: the company heads the group
+                const company = lines[0] || null;
+                for (const subItem of subItems) {
+                    const subLines = visibleLines(subItem);
+                    const dateLine = subLines.find(isDateLine);
+                    positions.push({
+                        title: subLines[0] || null,
+                        company,
+                        employmentType: subLines[1] !== dateLine ? subLines[1] || null : null,
+                        ...parseDateRange(dateLine),
+                        location: locationAfter(subLines, dateLine)
+                    });
+                }
+                continue;
+            }
+
+            const dateLine = lines.find(isDateLine);
+            positions.push({
+                title: lines[0] || null,
+                ...splitCompanyLine(lines[1] !== dateLine ? lines[1] : null),
+                ...parseDateRange(dateLine),
+                location: locationAfter(lines, dateLine)
+            });
+        }
+        return positions;
+    };
+
+    const extractEducation = () => sectionItems(findSection('education')).map((item) => {
+        const lines = visibleLines(item);
+        const dateLine = lines.find(isDateLine);
+        return {
+            school: lines[0] || null,
+            degree: lines[1] && lines[1] !== dateLine ? lines[1] : null,
+            dateRange: dateLine || null
+        };
+    });
+
+    const extractSkills = () => sectionItems(findSection('skills'))
+        .map(item => visibleLines(item)[0])
+        .filter(Boolean);
+
+    const extractLanguages = () => sectionItems(findSection('languages')).map((item) => {
+        const lines = visibleLines(item);
+        return { name: lines[0] || null, proficiency: lines[1] || null };
+    });
+
+    const extractAbout = () => {
+        const section = findSection('about');
+        if (!section) return null;
+        return textOf(find(section, 'profilePage.about')) || null;
+    };
+
+    const canonicalUrl = doc.querySelector('link[rel="canonical"]');
+    const profileUrl = ((canonicalUrl && canonicalUrl.href) || doc.location.href).split('?')[0];
+    const linkedinId = profileUrl.includes('/in/') ? profileUrl.split('/in/')[1].split('/')[0] : '';
+
+    const details = {
+        profileUrl,
+        linkedinId,
+        name: textOf(find(doc, 'profilePage.name')) || null,
+        headline: textOf(find(doc, 'profilePage.headline')) || null,
+        location: textOf(find(doc, 'profilePage.location')) || null,
+        about: extractAbout(),
+        experience: extractExperience(),
+        education: extractEducation(),
+        skills: extractSkills(),
+        languages: extractLanguages()
+    };
+    return options.reportMatches ? { details, selectorMatches } : details;
+}
+
+module.exports = {
+    extractProfileCards,
+    extractProfileDetails
+};
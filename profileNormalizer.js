@@ -0,0 +1,167 @@
+// Turns the strings a profile card shows into structured fields: split names,
+// position and company, location parts and the connection degree as a number.
+// Extractors report what the page says; this runs on their output in Node.
+
+// Values the extractors fill in when a card leaves a field out
+const PLACEHOLDERS = new Set(['No title listed', 'No location listed', 'LinkedIn Member']);
+
+// Generational suffixes belong to the last name rather than to the credentials
+const NAME_SUFFIXES = /^(jr|sr|ii|iii|iv)\.?$/i;
+
+// "MBA", "PhD", "CFA®", "P.Eng." - short and capitalised, unlike a second name
+const CREDENTIAL = /^[A-Z][A-Za-z.&\-®™]{0,11}$/;
+
+// One-part locations naming a metro area rather than a country
+const METRO_AREA = /\b(area|metropolitan|metroplex|greater)\b/i;
+
+// Improved helper function for cleaning text content
+function cleanText(text) {
+    if (!text) return '';
+
+    return text
+        .replace(/\s+/g, ' ')        // Replace multiple spaces, tabs, newlines with a single space
+        .replace(/^\s+|\s+$/g, '')   // Trim whitespace from start and end
+        .replace(/\n/g, ' ')         // Replace any remaining newlines with spaces
+        .replace(/\t/g, ' ')         // Replace any tabs with spaces
+        .replace(/\s{2,}/g, ' ')     // Make sure there are no double spaces left
+        .trim();                     // Final trim to ensure no leading/trailing spaces
+}
+
+// The cleaned text, or null for empty values and placeholders
+function valueOf(text) {
+    const value = cleanText(text);
+    return value && !PLACEHOLDERS.has(value) ? value : null;
+}
+
+// Extract relevant data from title and position
+function parsePositionAndCompany(title) {
+    if (!title) return { position: '', company: '' };
+
+    const cleanTitle = cleanText(title);
+
+    // Check for pattern "Position at Company" or "Position @ Company"
+    for (const separator of [' at ', ' @ ']) {
+        if (cleanTitle.includes(separator)) {
+            const parts = cleanTitle.split(separator);
+            const position = parts[0].trim();
+            const company = parts.slice(1).join(separator).trim();
+            return { position, company };
+        }
+    }
+
+    // Check for pattern "Position - Company"
+    if (cleanTitle.includes(' - ')) {
+        const parts = cleanTitle.split(' - ');
+        const position = parts[0].trim();
+        const company = parts.slice(1).join(' - ').trim();
+        return { position, company };
+    }
+
+    // Check for pattern "Position | Company"
+    if (cleanTitle.includes(' | ')) {
+        const parts = cleanTitle.split(' | ');
+        const position = parts[0].trim();
+        const company = parts.slice(1).join(' | ').trim();
+        return { position, company };
+    }
+
+    // If no pattern found, the whole thing is likely the position
+    return { position: cleanTitle, company: '' };
+}
+
+// "Jane Doe, MBA, PMP" -> first and last name plus credentials
+function parseName(name) {
+    const value = valueOf(name);
+    if (!value) return { firstName: null, lastName: null, credentials: [] };
+
+    const [fullName, ...suffixes] = value.split(',').map(part => part.trim()).filter(Boolean);
+    const words = fullName.split(' ');
+    const credentials = [];
+
+    for (const suffix of suffixes) {
+        if (NAME_SUFFIXES.test(suffix)) {
+            words.push(suffix);
+        } else if (suffix.split(' ').every(part => CREDENTIAL.test(part))) {
+            credentials.push(...suffix.split(' '));
+        } else {
+            // Not a credential after all, so part of the name
+            words.push(suffix);
+        }
+    }
+
+    return {
+        firstName: words[0],
+        lastName: words.length > 1 ? words.slice(1).join(' ') : null,
+        credentials
+    };
+}
+
+// "Bengaluru, Karnataka, India" -> city, region and country. Two parts are a
+// region and its country, one part a country unless it names a metro area.
+function parseLocation(location) {
+    const value = valueOf(location);
+    const parts = value ? value.split(',').map(part => part.trim()).filter(Boolean) : [];
+
+    if (parts.length === 0) {
+        return { city: null, region: null, country: null };
+    }
+    if (parts.length === 1) {
+        return METRO_AREA.test(parts[0]) ?
+            { city: null, region: parts[0], country: null } :
+            { city: null, region: null, country: parts[0] };
+    }
+    if (parts.length === 2) {
+        return { city: null, region: parts[0], country: parts[1] };
+    }
+    return {
+        city: parts[0],
+        region: parts.slice(1, -1).join(', '),
+        country: parts[parts.length - 1]
+    };
+}
+
+// "2nd degree connection" or "3rd+" -> 2 or 3
+function parseDegree(connectionDegree) {
+    const match = (connectionDegree || '').match(/(\d)/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Structured fields for a profile card. The strings the card was read from are
+// kept as they were extracted under raw.
+function normalizeProfile(profile) {
+    const { position, company } = parsePositionAndCompany(valueOf(profile.title));
+    const hasProfileUrl = !!profile.profileUrl && profile.profileUrl.includes('/in/');
+
+    return {
+        ...profile,
+        name: valueOf(profile.name),
+        ...parseName(profile.name),
+        title: valueOf(profile.title),
+        position: position || null,
+        company: company || null,
+        location: valueOf(profile.location),
+        ...parseLocation(profile.location),
+        profileUrl: hasProfileUrl ? profile.profileUrl : null,
+        linkedinId: hasProfileUrl && profile.linkedinId ? profile.linkedinId : null,
+        connectionDegree: valueOf(profile.connectionDegree),
+        degree: parseDegree(profile.connectionDegree),
+        resultUrn: profile.resultUrn || null,
+        raw: {
+            name: profile.name,
+            title: profile.title,
+            location: profile.location,
+            profileUrl: profile.profileUrl,
+            linkedinId: profile.linkedinId,
+            connectionDegree: profile.connectionDegree
+        }
+    };
+}
+
+module.exports = {
+    cleanText,
+    parsePositionAndCompany,
+    parseName,
+    parseLocation,
+    parseDegree,
+    normalizeProfile
+};
@@ -0,0 +1,112 @@
+const { dataPath, readJson, writeJsonAtomic } = require('./dataStore');
+
+// All profiles ever extracted, deduplicated across runs
+const PROFILES_FILE = dataPath('profiles.json');
+
+let records = null;
+let loading = null;
+
+async function loadRecords() {
+    if (records) return records;
+    if (!loading) {
+        loading = readJson(PROFILES_FILE, {}).then((stored) => {
+            records = new Map(Object.entries(stored));
+            return records;
+        });
+    }
+    return loading;
+}
+
+// Profiles are keyed by their public LinkedIn ID. Headless "LinkedIn Member"
+// cards have none, so the search result URN stands in for them.
+function profileKey(profile) {
+    if (profile.linkedinId && profile.linkedinId !== 'headless') {
+        return profile.linkedinId;
+    }
+    if (profile.resultUrn) {
+        return profile.resultUrn;
+    }
+    return null;
+}
+
+// A record holds the latest copy of a profile and, per API key whose runs
+// surfaced it, when that key saw it and from which searches. Keys only ever see
+// their own part; records stored before keys were recorded belong to none.
+function viewFor(record, apiKeyId) {
+    const seen = record.owners && record.owners[apiKeyId];
+    if (!seen) return null;
+    return { key: record.key, profile: record.profile, ...seen };
+}
+
+// Insert or refresh a batch of profiles surfaced by the given search of an API key
+async function upsertProfiles(profiles, { searchUrl, apiKeyId }) {
+    const store = await loadRecords();
+    const now = new Date().toISOString();
+    let inserted = 0;
+    let updated = 0;
+
+    for (const profile of profiles) {
+        const key = profileKey(profile);
+        if (!key) continue;
+
+        let record = store.get(key);
+        if (record) {
+            record.profile = profile;
+            record.owners = record.owners || {};
+            updated++;
+        } else {
+            record = { key, profile, owners: {} };
+            store.set(key, record);
+            inserted++;
+        }
+        if (!apiKeyId) continue;
+
+        const seen = record.owners[apiKeyId];
+        if (seen) {
+            seen.lastSeenAt = now;
+            if (searchUrl && !seen.searches.includes(searchUrl)) {
+                seen.searches.push(searchUrl);
+            }
+        } else {
+            record.owners[apiKeyId] = { firstSeenAt: now, lastSeenAt: now, searches: searchUrl ? [searchUrl] : [] };
+        }
+    }
+
+    if (inserted > 0 || updated > 0) {
+        await writeJsonAtomic(PROFILES_FILE, Object.fromEntries(store));
+    }
+    return { inserted, updated };
+}
+
+// Page through the profiles an API key has scraped, most recently seen first
+async function listProfiles({ apiKeyId, limit = 100, offset = 0, search } = {}) {
+    const store = await loadRecords();
+    let matches = Array.from(store.values()).map(record => viewFor(record, apiKeyId)).filter(Boolean);
+
+    if (search) {
+        const needle = search.toLowerCase();
+        matches = matches.filter(record =>
+            [record.profile.name, record.profile.title, record.profile.location]
+                .some(value => value && value.toLowerCase().includes(needle)));
+    }
+
+    matches.sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+    return {
+        total: matches.length,
+        profiles: matches.slice(offset, offset + limit)
+    };
+}
+
+// A profile as the given API key has seen it, or null if it never has
+async function getProfile(key, apiKeyId) {
+    const store = await loadRecords();
+    const record = store.get(key);
+    return record ? viewFor(record, apiKeyId) : null;
+}
+
+module.exports = {
+    profileKey,
+    upsertProfiles,
+    listProfiles,
+    getProfile
+};
@@ -0,0 +1,102 @@
+const { JSDOM } = require('jsdom');
+const { SEARCH_MODES } = require('./linkedinScraperService');
+const { getSelectors, getRegistryInfo } = require('./selectorRegistry');
+const { readArchivedPage, saveReextraction } = require('./pageArchive');
+
+// How items of modes without an itemKey are matched up between the original
+// and the re-extracted results
+const DIFF_KEYS = {
+    people: profile => profile.linkedinId || profile.resultUrn || `${profile.name}|${profile.title}`,
+    companies: company => company.companyId || company.companyUrl,
+    jobs: job => job.jobId
+};
+
+// Run a mode's current extractor and normalizer over archived HTML, the way a
+// live run would over the page itself
+function extractFromHtml(mode, html, url) {
+    const dom = new JSDOM(html, { url });
+    try {
+        const extracted = mode.extractor({ root: dom.window.document, selectors: getSelectors() });
+        const items = Array.isArray(extracted) ? extracted : extracted.items;
+        return mode.normalize ? items.map(mode.normalize) : items;
+    } finally {
+        dom.window.close();
+    }
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Items added, removed and changed field by field between two result sets
+function diffResults(original, results, keyOf) {
+    const before = new Map(original.map(item => [keyOf(item), item]));
+    const after = new Map(results.map(item => [keyOf(item), item]));
+
+    const changed = [];
+    let unchangedCount = 0;
+    for (const [key, item] of after) {
+        const previous = before.get(key);
+        if (!previous) continue;
+
+        const fields = {};
+        for (const field of new Set([...Object.keys(previous), ...Object.keys(item)])) {
+            if (!sameValue(previous[field], item[field])) {
+                fields[field] = { before: previous[field], after: item[field] };
+            }
+        }
+        if (Object.keys(fields).length > 0) {
+            changed.push({ key, fields });
+        } else {
+            unchangedCount++;
+        }
+    }
+
+    return {
+        added: results.filter(item => !before.has(keyOf(item))),
+        removed: original.filter(item => !after.has(keyOf(item))),
+        changed,
+        unchangedCount
+    };
+}
+
+// Replay every page of an archive through the current extraction and
+// normalization code, store the new result set and return it with its diff
+// against what the original run extracted. Only what the results pages hold
+// is re-extracted; details from visited company, job or profile pages are not
+// part of the archive, so both sides of the diff are the items as found on
+// the results pages.
+async function reextractArchive(archive) {
+    const mode = SEARCH_MODES[archive.mode];
+    const keyOf = mode.itemKey || DIFF_KEYS[mode.name];
+    const original = [];
+    const results = [];
+    const seenKeys = new Set();
+
+    for (const archivedPage of archive.pages) {
+        const { html, items } = await readArchivedPage(archive.jobId, archivedPage.page);
+        original.push(...items);
+
+        for (const item of extractFromHtml(mode, html, archivedPage.url)) {
+            // Infinite scroll pages hold every earlier batch too, as they did live
+            if (mode.infiniteScroll && seenKeys.has(keyOf(item))) continue;
+            seenKeys.add(keyOf(item));
+            results.push(item);
+        }
+    }
+
+    return saveReextraction(archive.jobId, {
+        mode: mode.name,
+        searchUrl: archive.searchUrl,
+        selectorsVersion: getRegistryInfo().version,
+        pagesCount: archive.pages.length,
+        originalCount: original.length,
+        resultsCount: results.length,
+        results,
+        diff: diffResults(original, results, keyOf)
+    });
+}
+
+module.exports = {
+    extractFromHtml,
+    diffResults,
+    reextractArchive
+};
@@ -0,0 +1,99 @@
+const logger = require('./logger');
+
+// Admission control for scrapes: at most MAX_CONCURRENT_SCRAPES run at once,
+// everything else waits in a FIFO queue.
+const MAX_CONCURRENT_SCRAPES = parseInt(process.env.MAX_CONCURRENT_SCRAPES) || 1;
+
+// Wait estimates start from this guess until real runs have completed
+const DEFAULT_RUN_DURATION_MS = parseInt(process.env.DEFAULT_RUN_DURATION_MS) || 10 * 60 * 1000;
+const DURATION_SAMPLES = 20;
+
+const queue = [];
+const running = new Set();
+const recentDurations = [];
+
+function averageRunDuration() {
+    if (recentDurations.length === 0) return DEFAULT_RUN_DURATION_MS;
+    return recentDurations.reduce((sum, ms) => sum + ms, 0) / recentDurations.length;
+}
+
+// Rough wait for the entry at a 1-based queue position: full "rounds" of
+// concurrent runs ahead of it, each taking an average run's time
+function estimateWaitMs(position) {
+    return Math.round(Math.ceil(position / MAX_CONCURRENT_SCRAPES) * averageRunDuration());
+}
+
+// Tell every queued entry where it stands
+function notifyQueue() {
+    queue.forEach((entry, index) => {
+        const position = index + 1;
+        if (entry.lastPosition !== position) {
+            entry.lastPosition = position;
+            entry.onQueueUpdate({ position, estimatedWaitMs: estimateWaitMs(position) });
+        }
+    });
+}
+
+function startEntry(entry) {
+    running.add(entry.id);
+    const startedAt = Date.now();
+
+    let runPromise;
+    try {
+        runPromise = Promise.resolve(entry.run());
+    } catch (error) {
+        runPromise = Promise.reject(error);
+    }
+
+    runPromise
+        .catch(error => logger.error(`Scheduled run ${entry.id} failed`, error))
+        .finally(() => {
+            running.delete(entry.id);
+            recentDurations.push(Date.now() - startedAt);
+            if (recentDurations.length > DURATION_SAMPLES) {
+                recentDurations.shift();
+            }
+            drain();
+        });
+}
+
+function drain() {
+    while (running.size < MAX_CONCURRENT_SCRAPES && queue.length > 0) {
+        startEntry(queue.shift());
+    }
+    notifyQueue();
+}
+
+// Queue a run. run() must return a promise that settles when the scrape is over.
+// onQueueUpdate({ position, estimatedWaitMs }) is called whenever the entry's place
+// in the queue changes. Returns true if the run started straight away.
+function schedule(id, { run, onQueueUpdate }) {
+    queue.push({ id, run, onQueueUpdate, lastPosition: null });
+    drain();
+    return running.has(id);
+}
+
+// Drop a run that hasn't started yet. Returns false if it isn't queued.
+function unschedule(id) {
+    const index = queue.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+
+    queue.splice(index, 1);
+    notifyQueue();
+    return true;
+}
+
+function getSchedulerStats() {
+    return {
+        maxConcurrent: MAX_CONCURRENT_SCRAPES,
+        running: running.size,
+        queued: queue.length,
+        averageRunDurationMs: Math.round(averageRunDuration())
+    };
+}
+
+module.exports = {
+    schedule,
+    unschedule,
+    getSchedulerStats
+};
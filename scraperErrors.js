@@ -0,0 +1,58 @@
+// Codes for the failures the scraper recognises, sent with every error and
+// warning event so clients can react without parsing messages. retryable says
+// whether running the same scrape again later may work as it is; the others
+// need new cookies or a person to step in first.
+const ERROR_CODES = {
+    // No li_at cookie among the credentials
+    MISSING_AUTH_COOKIE: { retryable: false },
+    // Redirected to /login or /checkpoint, or the page shows a logged-out visitor
+    SESSION_EXPIRED: { retryable: false },
+    // LinkedIn showed a CAPTCHA or unusual activity page instead of results
+    SECURITY_CHECK: { retryable: false },
+    NAVIGATION_TIMEOUT: { retryable: true },
+    // Navigation ended somewhere other than a search results page
+    NAVIGATION_FAILED: { retryable: true },
+    RESULTS_CONTAINER_MISSING: { retryable: true },
+    BROWSER_LAUNCH_FAILED: { retryable: true },
+    UNKNOWN: { retryable: true }
+};
+
+function scraperError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// The code of an error thrown during a run. Puppeteer's timeouts are pages
+// that took too long to load; anything else unrecognised is UNKNOWN.
+function errorCode(error) {
+    if (error && ERROR_CODES[error.code]) return error.code;
+    if (error && error.name === 'TimeoutError') return 'NAVIGATION_TIMEOUT';
+    return 'UNKNOWN';
+}
+
+function isRetryable(error) {
+    return ERROR_CODES[errorCode(error)].retryable;
+}
+
+// Payload of an 'error' event, for a fatal error that stopped the search or
+// the run, or of a 'warning' event, for one the run carried on past
+function errorEvent(error, { fatal, page = null, message = error.message, ...fields }) {
+    return {
+        status: fatal ? 'error' : 'warning',
+        code: errorCode(error),
+        message,
+        retryable: isRetryable(error),
+        fatal,
+        page,
+        ...fields
+    };
+}
+
+module.exports = {
+    ERROR_CODES,
+    scraperError,
+    errorCode,
+    isRetryable,
+    errorEvent
+};
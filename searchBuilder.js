@@ -0,0 +1,454 @@
+const { httpError } = require('./httpErrors');
+
+// Structured search requests, validated and compiled into canonical LinkedIn
+// search URLs. Each search mode has its own results page and filters.
+//
+//   compileSearch({ keywords: 'product manager', currentCompany: ['1441'], network: ['S'] })
+//   // https://www.linkedin.com/search/results/people/?keywords=product+manager&currentCompany=%5B%221441%22%5D&network=%5B%22S%22%5D&origin=FACETED_SEARCH
+
+const DEFAULT_SEARCH_URL = 'https://www.linkedin.com/search/results/people/';
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_FACET_VALUES = 20;
+
+// Per mode: the results page, text fields and the URL parameter each compiles
+// to, and list facets with their URL parameter and how each value is
+// validated. Facets with a nameType also take names ("Google") that
+// facetResolver turns into IDs, and single facets take exactly one value.
+// listFormat is how lists are written into the URL, pageParam the parameter
+// results are paged with and fixedParams are added to every compiled URL.
+// A pathField is required and fills the {placeholder} in the baseUrl path.
+const SEARCH_SCHEMAS = {
+    people: {
+        baseUrl: DEFAULT_SEARCH_URL,
+        listFormat: 'json',
+        pageParam: 'page',
+        fixedParams: { origin: 'FACETED_SEARCH' },
+        textFields: {
+            keywords: 'keywords',
+            title: 'titleFreeText'
+        },
+        facetFields: {
+            currentCompany: { param: 'currentCompany', kind: 'id', nameType: 'company' },
+            pastCompany: { param: 'pastCompany', kind: 'id', nameType: 'company' },
+            geoUrn: { param: 'geoUrn', kind: 'id', nameType: 'location' },
+            network: { param: 'network', kind: 'network' },
+            industry: { param: 'industry', kind: 'id', nameType: 'industry' },
+            school: { param: 'schoolFilter', kind: 'id', nameType: 'school' },
+            profileLanguage: { param: 'profileLanguage', kind: 'language' }
+        }
+    },
+    companies: {
+        baseUrl: 'https://www.linkedin.com/search/results/companies/',
+        listFormat: 'json',
+        pageParam: 'page',
+        fixedParams: { origin: 'FACETED_SEARCH' },
+        textFields: {
+            keywords: 'keywords'
+        },
+        facetFields: {
+            geoUrn: { param: 'companyHqGeo', kind: 'id', nameType: 'location' },
+            industry: { param: 'industryCompanyVertical', kind: 'id', nameType: 'industry' },
+            companySize: { param: 'companySize', kind: 'companySize' }
+        }
+    },
+    jobs: {
+        baseUrl: 'https://www.linkedin.com/jobs/search/',
+        listFormat: 'csv',
+        pageParam: 'start',
+        fixedParams: {},
+        textFields: {
+            keywords: 'keywords',
+            location: 'location'
+        },
+        facetFields: {
+            geoUrn: { param: 'geoId', kind: 'id', nameType: 'location', single: true },
+            datePosted: { param: 'f_TPR', kind: 'datePosted', single: true },
+            experienceLevel: { param: 'f_E', kind: 'experienceLevel' },
+            workplaceType: { param: 'f_WT', kind: 'workplaceType' }
+        }
+    },
+    content: {
+        baseUrl: 'https://www.linkedin.com/search/results/content/',
+        listFormat: 'json',
+        pageParam: 'page',
+        fixedParams: { origin: 'FACETED_SEARCH' },
+        textFields: {
+            keywords: 'keywords'
+        },
+        facetFields: {
+            datePosted: { param: 'datePosted', kind: 'contentDatePosted', single: true },
+            sortBy: { param: 'sortBy', kind: 'contentSort', single: true }
+        }
+    },
+    employees: {
+        baseUrl: 'https://www.linkedin.com/company/{company}/people/',
+        pathField: 'company',
+        listFormat: 'json',
+        pageParam: 'page',
+        fixedParams: {},
+        textFields: {
+            keywords: 'keywords'
+        },
+        facetFields: {}
+    }
+};
+
+const SEARCH_MODES = Object.keys(SEARCH_SCHEMAS);
+
+const MAX_NAME_LENGTH = 100;
+
+// Accept 1/2/3 as well as LinkedIn's F/S/O codes for connection degree
+const NETWORK_ALIASES = { 1: 'F', 2: 'S', 3: 'O', F: 'F', S: 'S', O: 'O' };
+
+// Company size buckets by headcount range, as LinkedIn codes them
+const COMPANY_SIZE_CODES = {
+    '1-10': 'B',
+    '11-50': 'C',
+    '51-200': 'D',
+    '201-500': 'E',
+    '501-1000': 'F',
+    '1001-5000': 'G',
+    '5001-10000': 'H',
+    '10001+': 'I'
+};
+
+// Job search filters by name, as LinkedIn codes them. The codes themselves
+// are accepted too.
+const DATE_POSTED_CODES = {
+    past24h: 'r86400',
+    pastWeek: 'r604800',
+    pastMonth: 'r2592000'
+};
+
+const CONTENT_DATE_POSTED_CODES = {
+    past24h: 'past-24h',
+    pastWeek: 'past-week',
+    pastMonth: 'past-month'
+};
+
+const CONTENT_SORT_CODES = {
+    relevance: 'relevance',
+    latest: 'date_posted'
+};
+
+const EXPERIENCE_LEVEL_CODES = {
+    internship: '1',
+    entry: '2',
+    associate: '3',
+    'mid-senior': '4',
+    director: '5',
+    executive: '6'
+};
+
+const WORKPLACE_TYPE_CODES = {
+    'on-site': '1',
+    remote: '2',
+    hybrid: '3'
+};
+
+function lookupCode(codes, text) {
+    if (Object.values(codes).includes(text)) return text;
+    const key = Object.keys(codes).find(name => name.toLowerCase() === text.toLowerCase());
+    return key ? codes[key] : null;
+}
+
+// Every problem found is listed in error.errors so clients can fix them in one go
+function searchError(errors) {
+    const error = httpError(`Invalid search: ${errors.join('; ')}`, 400);
+    error.errors = errors;
+    return error;
+}
+
+function isFacetId(value) {
+    return /^\d+$/.test(value);
+}
+
+function normalizeFacetValue(kind, value, allowNames) {
+    const text = String(value).trim();
+    if (kind === 'id') {
+        if (isFacetId(text)) return text;
+        return allowNames && typeof value === 'string' && text && text.length <= MAX_NAME_LENGTH ? text : null;
+    }
+    if (kind === 'network') {
+        return NETWORK_ALIASES[text.toUpperCase()] || null;
+    }
+    if (kind === 'language') {
+        return /^[a-z]{2}$/i.test(text) ? text.toLowerCase() : null;
+    }
+    if (kind === 'companySize') {
+        const code = text.toUpperCase();
+        if (Object.values(COMPANY_SIZE_CODES).includes(code)) return code;
+        return COMPANY_SIZE_CODES[text.replace(/[\s,]/g, '')] || null;
+    }
+    if (kind === 'datePosted') {
+        return lookupCode(DATE_POSTED_CODES, text);
+    }
+    if (kind === 'contentDatePosted') {
+        return lookupCode(CONTENT_DATE_POSTED_CODES, text);
+    }
+    if (kind === 'contentSort') {
+        return lookupCode(CONTENT_SORT_CODES, text);
+    }
+    if (kind === 'experienceLevel') {
+        return lookupCode(EXPERIENCE_LEVEL_CODES, text);
+    }
+    if (kind === 'workplaceType') {
+        return lookupCode(WORKPLACE_TYPE_CODES, text.replace(/^onsite$/i, 'on-site'));
+    }
+    return null;
+}
+
+// LinkedIn rejects boolean keyword queries with unbalanced quotes or parentheses
+function checkBooleanSyntax(field, text, errors) {
+    if ((text.match(/"/g) || []).length % 2 !== 0) {
+        errors.push(`${field} has an unmatched double quote`);
+    }
+
+    let depth = 0;
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (depth < 0) break;
+    }
+    if (depth !== 0) {
+        errors.push(`${field} has unbalanced parentheses`);
+    }
+}
+
+// A company as its numeric ID, its URL slug or any linkedin.com/company/ URL,
+// reduced to the ID or slug
+function normalizeCompanyRef(value) {
+    const text = String(value).trim();
+    const urlMatch = text.match(/^https:\/\/(?:[a-z]+\.)?linkedin\.com\/company\/([^/?#]+)/i);
+    const ref = urlMatch ? decodeURIComponent(urlMatch[1]) : text;
+    return /^[\w-]{1,100}$/.test(ref) ? ref.toLowerCase() : null;
+}
+
+function schemaFor(mode) {
+    const schema = SEARCH_SCHEMAS[mode];
+    if (!schema) {
+        throw searchError([`mode must be one of ${SEARCH_MODES.join(', ')}`]);
+    }
+    return schema;
+}
+
+// Check a structured search and return it in canonical form: trimmed text,
+// facet values deduplicated and sorted. Throws a 400 error listing every
+// problem found. With allowNames, ID facets may also hold names to resolve.
+function validateSearch(search, { allowNames = false, mode = 'people' } = {}) {
+    const { textFields, facetFields, pathField } = schemaFor(mode);
+    if (!search || typeof search !== 'object' || Array.isArray(search)) {
+        throw searchError(['search must be an object']);
+    }
+
+    const errors = [];
+    const normalized = {};
+
+    for (const field of Object.keys(search)) {
+        if (!textFields[field] && !facetFields[field] && field !== pathField) {
+            errors.push(`unknown field "${field}" for ${mode} search`);
+        }
+    }
+
+    if (pathField) {
+        const value = search[pathField];
+        if (value === undefined || value === null || value === '') {
+            errors.push(`${pathField} is required for ${mode} search`);
+        } else if (typeof value !== 'string' && typeof value !== 'number') {
+            errors.push(`${pathField} must be a string or number`);
+        } else if (!normalizeCompanyRef(value)) {
+            errors.push(`${pathField} has an invalid value "${value}"`);
+        } else {
+            normalized[pathField] = normalizeCompanyRef(value);
+        }
+    }
+
+    for (const field of Object.keys(textFields)) {
+        const value = search[field];
+        if (value === undefined || value === null || value === '') continue;
+
+        if (typeof value !== 'string') {
+            errors.push(`${field} must be a string`);
+            continue;
+        }
+        const text = value.trim();
+        if (text.length > MAX_TEXT_LENGTH) {
+            errors.push(`${field} is longer than ${MAX_TEXT_LENGTH} characters`);
+            continue;
+        }
+        checkBooleanSyntax(field, text, errors);
+        if (text) {
+            normalized[field] = text;
+        }
+    }
+
+    for (const [field, { kind, nameType, single }] of Object.entries(facetFields)) {
+        const value = search[field];
+        if (value === undefined || value === null) continue;
+
+        const values = Array.isArray(value) ? value : [value];
+        if (single && values.length > 1) {
+            errors.push(`${field} takes a single value for ${mode} search`);
+            continue;
+        }
+        if (values.length > MAX_FACET_VALUES) {
+            errors.push(`${field} accepts at most ${MAX_FACET_VALUES} values`);
+            continue;
+        }
+
+        const cleaned = [];
+        for (const item of values) {
+            const normalizedValue = normalizeFacetValue(kind, item, allowNames && !!nameType);
+            if (normalizedValue === null) {
+                errors.push(`${field} has an invalid value "${item}"`);
+            } else if (!cleaned.includes(normalizedValue)) {
+                cleaned.push(normalizedValue);
+            }
+        }
+        if (cleaned.length > 0) {
+            normalized[field] = cleaned.sort();
+        }
+    }
+
+    if (normalized.network && normalized.network.length === 3) {
+        // Every degree selected is the same as no network filter
+        delete normalized.network;
+    }
+
+    if (errors.length === 0 && Object.keys(normalized).length === 0) {
+        errors.push('at least one search criterion is required');
+    }
+
+    if (errors.length > 0) {
+        throw searchError(errors);
+    }
+    return normalized;
+}
+
+// Names in a validated search that still need resolving to IDs
+function listFacetNames(search, mode = 'people') {
+    const names = [];
+    for (const [field, { nameType }] of Object.entries(schemaFor(mode).facetFields)) {
+        if (!nameType || !search[field]) continue;
+        for (const value of search[field]) {
+            if (!isFacetId(value)) {
+                names.push({ field, type: nameType, name: value });
+            }
+        }
+    }
+    return names;
+}
+
+// Turn a structured search into a canonical search URL for the mode. Parameters
+// are always written in the same order so equal searches produce equal URLs.
+function compileSearch(search, mode = 'people') {
+    const { baseUrl, pathField, listFormat, fixedParams, textFields, facetFields } = schemaFor(mode);
+    const normalized = validateSearch(search, { mode });
+    const url = new URL(pathField ? baseUrl.replace(`{${pathField}}`, encodeURIComponent(normalized[pathField])) : baseUrl);
+
+    for (const [field, param] of Object.entries(textFields)) {
+        if (normalized[field]) {
+            url.searchParams.set(param, normalized[field]);
+        }
+    }
+    for (const [field, { param }] of Object.entries(facetFields)) {
+        const values = normalized[field];
+        if (values) {
+            url.searchParams.set(param, listFormat === 'csv' ? values.join(',') : JSON.stringify(values));
+        }
+    }
+    for (const [param, value] of Object.entries(fixedParams)) {
+        url.searchParams.set(param, value);
+    }
+
+    return url.toString();
+}
+
+// Clean up a pasted LinkedIn search URL: list parameters such as
+// currentCompany=['1586'] are re-encoded as JSON arrays and our own
+// pagination parameter is dropped. The URL has to be a results page of the mode.
+function normalizeSearchUrl(rawUrl, mode = 'people') {
+    const { baseUrl, pageParam } = schemaFor(mode);
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch (e) {
+        throw searchError(['searchUrl is not a valid URL']);
+    }
+
+    if (url.protocol !== 'https:' || !/(^|\.)linkedin\.com$/.test(url.hostname)) {
+        throw searchError(['searchUrl must be an https://www.linkedin.com URL']);
+    }
+    // The {placeholder} in a baseUrl path matches any single path segment
+    const basePath = new URL(baseUrl).pathname
+        .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+        .replace(/%7B\w+%7D/g, '[^/]+');
+    if (!new RegExp(`^${basePath}`).test(url.pathname)) {
+        throw searchError([`searchUrl must be a ${mode} search (${baseUrl})`]);
+    }
+
+    const errors = [];
+    for (const [key, value] of Array.from(url.searchParams.entries())) {
+        if (value.includes('[') && value.includes(']')) {
+            try {
+                url.searchParams.set(key, JSON.stringify(JSON.parse(value.replace(/'/g, '"'))));
+            } catch (e) {
+                errors.push(`searchUrl parameter ${key} is not a valid list: ${value}`);
+            }
+        }
+    }
+    url.searchParams.delete(pageParam);
+
+    if (errors.length > 0) {
+        throw searchError(errors);
+    }
+    return url.toString();
+}
+
+// Work out what to search for from a request that gives a mode (people by
+// default) and exactly one of a structured search, a raw searchUrl or plain
+// keywords (q). Returns the mode and the canonical searchUrl, or - when the
+// search names companies, places, schools or industries instead of giving
+// IDs - searchUrl null and the validated search, to be compiled once the
+// names are resolved. A search passed in a query string arrives as JSON text.
+function resolveSearch({ search, searchUrl, q, mode = 'people' }) {
+    schemaFor(mode);
+    if (typeof search === 'string' && search) {
+        try {
+            search = JSON.parse(search);
+        } catch (e) {
+            throw searchError(['search is not valid JSON']);
+        }
+    }
+
+    const given = [search, searchUrl, q].filter(value => value !== undefined && value !== null && value !== '');
+    if (given.length === 0) {
+        throw searchError(['one of search, searchUrl or q is required']);
+    }
+    if (given.length > 1) {
+        throw searchError(['give only one of search, searchUrl or q']);
+    }
+
+    if (search) {
+        const normalized = validateSearch(search, { allowNames: true, mode });
+        if (listFacetNames(normalized, mode).length > 0) {
+            return { mode, searchUrl: null, search: normalized };
+        }
+        return { mode, searchUrl: compileSearch(normalized, mode), search: null };
+    }
+    if (searchUrl) {
+        return { mode, searchUrl: normalizeSearchUrl(searchUrl, mode), search: null };
+    }
+    return { mode, searchUrl: compileSearch({ keywords: q }, mode), search: null };
+}
+
+module.exports = {
+    DEFAULT_SEARCH_URL,
+    SEARCH_MODES,
+    validateSearch,
+    listFacetNames,
+    compileSearch,
+    normalizeSearchUrl,
+    resolveSearch
+};
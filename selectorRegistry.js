@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('./httpErrors');
+
+// CSS selector lists live in a versioned JSON file rather than in code, so a
+// LinkedIn markup change can be answered by editing the file and reloading it.
+// Each list is tried in order and the first selector that matches wins; hit
+// counts per selector show when the preferred ones stop matching.
+const SELECTORS_FILE = process.env.SELECTORS_FILE || path.join(__dirname, 'selectors.json');
+
+// A key whose first selector wins less often than this, over at least
+// DEGRADED_MIN_LOOKUPS lookups, is reported as degraded
+const DEGRADED_PRIMARY_RATE = 0.5;
+const DEGRADED_MIN_LOOKUPS = 20;
+
+// Lookups that no selector in the list satisfied
+const NO_MATCH = '(none)';
+
+let registry = null;
+let stats = new Map();
+
+// A registry must have a version and only non-empty lists of selector strings.
+// A reload may add keys but not drop any the code already looks up.
+function validateRegistry(data, previous) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw httpError('Selector registry must be a JSON object', 400);
+    }
+    if (typeof data.version !== 'string' && typeof data.version !== 'number') {
+        throw httpError('Selector registry needs a version', 400);
+    }
+    if (!data.selectors || typeof data.selectors !== 'object') {
+        throw httpError('Selector registry needs a selectors object', 400);
+    }
+
+    for (const [key, list] of Object.entries(data.selectors)) {
+        if (!Array.isArray(list) || list.length === 0 || !list.every(selector => typeof selector === 'string' && selector.trim())) {
+            throw httpError(`Selector list "${key}" must be a non-empty list of selectors`, 400);
+        }
+    }
+    if (previous) {
+        const missing = Object.keys(previous.selectors).filter(key => !data.selectors[key]);
+        if (missing.length > 0) {
+            throw httpError(`Selector registry is missing ${missing.join(', ')}`, 400);
+        }
+    }
+    return { version: String(data.version), selectors: data.selectors };
+}
+
+function loadRegistry() {
+    const data = JSON.parse(fs.readFileSync(SELECTORS_FILE, 'utf8'));
+    registry = { ...validateRegistry(data, null), loadedAt: new Date().toISOString() };
+    stats = new Map();
+}
+
+// The current selector lists by key, as passed to the extractors
+function getSelectors() {
+    if (!registry) loadRegistry();
+    return registry.selectors;
+}
+
+function getRegistryInfo() {
+    if (!registry) loadRegistry();
+    return { version: registry.version, loadedAt: registry.loadedAt, file: SELECTORS_FILE };
+}
+
+// Re-read the registry file. The running lists stay in place if the new file
+// is invalid. Hit counts start over because they describe the old lists.
+async function reloadSelectors() {
+    if (!registry) loadRegistry();
+
+    let data;
+    try {
+        data = JSON.parse(await fs.promises.readFile(SELECTORS_FILE, 'utf8'));
+    } catch (error) {
+        throw httpError(`Could not read selector registry ${SELECTORS_FILE}: ${error.message}`, 400);
+    }
+
+    const previousVersion = registry.version;
+    registry = { ...validateRegistry(data, registry), loadedAt: new Date().toISOString() };
+    stats = new Map();
+    return { ...getRegistryInfo(), previousVersion };
+}
+
+// Add the selector matches an extractor reported, as
+// { key: { selector: count, '(none)': count } }
+function recordSelectorMatches(matches) {
+    for (const [key, counts] of Object.entries(matches || {})) {
+        const keyStats = stats.get(key) || new Map();
+        for (const [selector, count] of Object.entries(counts)) {
+            keyStats.set(selector, (keyStats.get(selector) || 0) + count);
+        }
+        stats.set(key, keyStats);
+    }
+}
+
+// Hit rates per selector for every key looked up since the registry was loaded
+function getSelectorStats() {
+    const selectors = getSelectors();
+    const keys = {};
+
+    for (const [key, keyStats] of stats) {
+        const list = selectors[key] || [];
+        const lookups = Array.from(keyStats.values()).reduce((sum, count) => sum + count, 0);
+        const rate = count => lookups > 0 ? Math.round(1000 * count / lookups) / 1000 : 0;
+        const primaryHits = list.length > 0 ? keyStats.get(list[0]) || 0 : 0;
+
+        keys[key] = {
+            lookups,
+            misses: keyStats.get(NO_MATCH) || 0,
+            primaryRate: rate(primaryHits),
+            degraded: lookups >= DEGRADED_MIN_LOOKUPS && rate(primaryHits) < DEGRADED_PRIMARY_RATE,
+            selectors: list.map((selector, index) => ({
+                selector,
+                fallback: index > 0,
+                hits: keyStats.get(selector) || 0,
+                rate: rate(keyStats.get(selector) || 0)
+            }))
+        };
+    }
+    return { ...getRegistryInfo(), keys };
+}
+
+module.exports = {
+    NO_MATCH,
+    getSelectors,
+    getRegistryInfo,
+    reloadSelectors,
+    recordSelectorMatches,
+    getSelectorStats
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJsonAtomic } = require('./dataStore');
+const { httpError } = require('./httpErrors');
+
+// Named LinkedIn cookie strings, encrypted at rest with AES-256-GCM
+const SESSIONS_FILE = dataPath('sessions.json');
+const KEY_SALT = 'linkedin-scraper-session-vault';
+
+let encryptionKey = null;
+// Serializes read-modify-write cycles on the sessions file
+let updateQueue = Promise.resolve();
+
+// Derive the encryption key from SESSION_VAULT_KEY (any long random string)
+function getKey() {
+    if (encryptionKey) return encryptionKey;
+
+    const secret = process.env.SESSION_VAULT_KEY;
+    if (!secret) {
+        throw httpError('Session vault is not configured (SESSION_VAULT_KEY is not set)', 503);
+    }
+    encryptionKey = crypto.scryptSync(secret, KEY_SALT, 32);
+    return encryptionKey;
+}
+
+function encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+    };
+}
+
+function decrypt({ iv, tag, ciphertext }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+}
+
+function updateSessions(mutate) {
+    const update = updateQueue.then(async () => {
+        const sessions = await readJson(SESSIONS_FILE, {});
+        const result = mutate(sessions);
+        await writeJsonAtomic(SESSIONS_FILE, sessions);
+        return result;
+    });
+    updateQueue = update.catch(() => {});
+    return update;
+}
+
+// Public view of a stored session - never includes the cookies
+function describeSession(session) {
+    return {
+        id: session.id,
+        name: session.name,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+    };
+}
+
+// Sessions belong to the API key that stored them (ownerId) and are invisible to other keys
+async function storeSession({ name, cookies, ownerId }) {
+    if (!name || !cookies) {
+        throw httpError('Both name and cookies are required', 400);
+    }
+    if (!/(?:^|;)\s*li_at=/.test(cookies)) {
+        throw httpError('Missing required LinkedIn authentication cookie (li_at)', 400);
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+        id: crypto.randomUUID(),
+        name,
+        ownerId,
+        createdAt: now,
+        updatedAt: now,
+        ...encrypt(cookies)
+    };
+    await updateSessions((sessions) => {
+        sessions[session.id] = session;
+    });
+
+    return describeSession(session);
+}
+
+async function listSessions(ownerId) {
+    const sessions = await readJson(SESSIONS_FILE, {});
+    return Object.values(sessions)
+        .filter(session => session.ownerId === ownerId)
+        .map(describeSession);
+}
+
+// Decrypt the cookie string of a stored session
+async function getSessionCookies(id, ownerId) {
+    const sessions = await readJson(SESSIONS_FILE, {});
+    const session = sessions[id];
+    if (!session || session.ownerId !== ownerId) {
+        throw httpError('Session not found', 404);
+    }
+
+    try {
+        return decrypt(session);
+    } catch (error) {
+        if (error.statusCode) throw error;
+        throw httpError('Stored session could not be decrypted, was SESSION_VAULT_KEY changed?', 500);
+    }
+}
+
+async function deleteSession(id, ownerId) {
+    return updateSessions((sessions) => {
+        if (!sessions[id] || sessions[id].ownerId !== ownerId) return false;
+        delete sessions[id];
+        return true;
+    });
+}
+
+module.exports = {
+    storeSession,
+    listSessions,
+    getSessionCookies,
+    deleteSession
+};
@@ -0,0 +1,107 @@
+const jobManager = require('./jobManager');
+
+const HEARTBEAT_INTERVAL_MS = 30000;
+// Tells EventSource how long to wait before reconnecting
+const RECONNECT_DELAY_MS = 3000;
+
+function formatEvent({ id, event, data }) {
+    let frame = '';
+    if (id) {
+        frame += `id: ${id}\n`;
+    }
+    frame += `event: ${event}\n`;
+    frame += `data: ${JSON.stringify(data)}\n\n`;
+    return frame;
+}
+
+// Event IDs look like "<jobId>:<seq>". A bare sequence number is also accepted
+// when the job is already known from the URL.
+function parseLastEventId(req) {
+    const raw = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (!raw) return null;
+
+    const separator = raw.lastIndexOf(':');
+    const jobId = separator === -1 ? null : raw.slice(0, separator);
+    const seq = parseInt(separator === -1 ? raw : raw.slice(separator + 1));
+    if (Number.isNaN(seq)) return null;
+
+    return { jobId, seq };
+}
+
+// Stream a job's events to one client: replay what it missed, then follow live
+// events until the job ends or the client disconnects
+function streamJobEvents(req, res, job, lastSeq = 0) {
+    const missedEvents = jobManager.eventsSince(job, lastSeq);
+
+    // A 204 stops EventSource from reconnecting once a finished job has nothing left to send
+    if (!jobManager.isJobActive(job) && lastSeq > 0 && missedEvents.length === 0) {
+        return res.status(204).end();
+    }
+
+    let isResponseEnded = false;
+
+    const safeWrite = (data) => {
+        if (!isResponseEnded && !res.writableEnded) {
+            res.write(data);
+        }
+    };
+
+    const safeEnd = () => {
+        if (!isResponseEnded && !res.writableEnded) {
+            isResponseEnded = true;
+            res.end();
+        }
+    };
+
+    // Set headers for SSE with explicit timeouts
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    req.socket.setTimeout(900000); // 15 minutes
+
+    safeWrite(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+    // No id, so it doesn't move the client's Last-Event-ID
+    safeWrite(formatEvent({
+        event: 'progress',
+        data: { status: 'connected', message: 'SSE connection established', jobId: job.id, resumedAfter: lastSeq || null }
+    }));
+
+    for (const entry of missedEvents) {
+        safeWrite(formatEvent(entry));
+    }
+
+    // Nothing more will happen for a job that has already finished
+    if (!jobManager.isJobActive(job)) {
+        safeEnd();
+        return;
+    }
+
+    const heartbeatInterval = setInterval(() => {
+        if (!isResponseEnded && !res.writableEnded) {
+            safeWrite(':heartbeat\n\n'); // SSE comment line as heartbeat
+        } else {
+            clearInterval(heartbeatInterval);
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    const unsubscribe = jobManager.subscribe(job, {
+        onEvent: entry => safeWrite(formatEvent(entry)),
+        onEnd: () => {
+            clearInterval(heartbeatInterval);
+            safeEnd();
+        }
+    });
+
+    req.on('close', () => {
+        clearInterval(heartbeatInterval);
+        unsubscribe();
+        safeEnd();
+    });
+}
+
+module.exports = {
+    formatEvent,
+    parseLastEventId,
+    streamJobEvents
+};
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+const apiKeys = require('../apiKeys');
+
+test('scrapes without maxPages get the key\'s per-request limit', async () => {
+    const { key } = await apiKeys.createApiKey({ name: 'small', quotas: { maxPagesPerRequest: 5 } });
+    const record = await apiKeys.authenticate(key);
+
+    assert.strictEqual(apiKeys.checkScrapeQuota(record, null, 0), 5);
+    assert.strictEqual(apiKeys.checkScrapeQuota(record, 3, 0), 3);
+});
+
+test('every page is reserved against the daily quota, across concurrent jobs', async () => {
+    const { id } = await apiKeys.createApiKey({ name: 'daily', quotas: { pagesPerDay: 3 } });
+
+    const reservations = await Promise.all([1, 2, 3, 4, 5].map(() => apiKeys.reserveKeyPage(id)));
+    assert.strictEqual(reservations.filter(Boolean).length, 3);
+    assert.strictEqual(await apiKeys.reserveKeyPage(id), false);
+
+    const [key] = (await apiKeys.listApiKeys()).filter(entry => entry.id === id);
+    assert.strictEqual(key.usage.pages, 3);
+});
+
+test('keys are stored hashed and looked up by their plaintext', async () => {
+    const created = await apiKeys.createApiKey({ name: 'lookup' });
+    assert.match(created.key, /^lsk_/);
+    assert.strictEqual(created.keyPrefix, created.key.slice(0, 10));
+
+    const stored = fs.readFileSync(path.join(process.env.DATA_DIR, 'api-keys.json'), 'utf8');
+    assert.ok(!stored.includes(created.key));
+    assert.ok(!JSON.stringify(await apiKeys.listApiKeys()).includes('"hash"'));
+
+    assert.strictEqual((await apiKeys.authenticate(created.key)).id, created.id);
+    assert.strictEqual(await apiKeys.authenticate(`${created.key}x`), null);
+    assert.strictEqual(await apiKeys.authenticate(''), null);
+
+    await apiKeys.revokeApiKey(created.id);
+    assert.strictEqual(await apiKeys.authenticate(created.key), null);
+});
+
+test('quotas must be positive integers', async () => {
+    await assert.rejects(apiKeys.createApiKey({ name: 'bad', quotas: { pagesPerDay: 0 } }), { statusCode: 400 });
+    await assert.rejects(apiKeys.createApiKey({ quotas: {} }), { statusCode: 400 });
+});
+
+test('too many pages per request is refused, too many jobs or pages today is rate limited', async () => {
+    const { key, id } = await apiKeys.createApiKey({
+        name: 'limits',
+        quotas: { maxPagesPerRequest: 10, maxConcurrentJobs: 2, pagesPerDay: 4 }
+    });
+    const record = await apiKeys.authenticate(key);
+
+    assert.throws(() => apiKeys.checkScrapeQuota(record, 11, 0), { statusCode: 403 });
+    assert.throws(() => apiKeys.checkScrapeQuota(record, 5, 2), { statusCode: 429 });
+    // Capped to what is left of today's quota
+    assert.strictEqual(apiKeys.checkScrapeQuota(record, 10, 1), 4);
+
+    for (let page = 0; page < 4; page++) {
+        await apiKeys.reserveKeyPage(id);
+    }
+    assert.throws(() => apiKeys.checkScrapeQuota(record, 1, 0), { statusCode: 429 });
+});
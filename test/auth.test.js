@@ -0,0 +1,155 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+const apiKeys = require('../apiKeys');
+const { requireApiKey, requireAdmin, issueStreamToken, acceptStreamToken } = require('../auth');
+const jobManager = require('../jobManager');
+const { saveCheckpoint } = require('../checkpointStore');
+
+function fakeRequest({ headers = {}, query = {}, params = {} } = {}) {
+    return { query, params, get: name => headers[name] };
+}
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+// Run a middleware; resolves with whether it passed the request on
+function runMiddleware(middleware, req, res) {
+    return new Promise((resolve, reject) => {
+        Promise.resolve(middleware(req, res, error => (error ? reject(error) : resolve(true))))
+            .then(() => resolve(false), reject);
+    });
+}
+
+test('keys are read from the Authorization or X-API-Key header', async () => {
+    const { key, id } = await apiKeys.createApiKey({ name: 'headers' });
+
+    const bearer = fakeRequest({ headers: { Authorization: `Bearer ${key}` } });
+    assert.strictEqual(await runMiddleware(requireApiKey, bearer, fakeResponse()), true);
+    assert.strictEqual(bearer.apiKey.id, id);
+
+    const header = fakeRequest({ headers: { 'X-API-Key': key } });
+    assert.strictEqual(await runMiddleware(requireApiKey, header, fakeResponse()), true);
+
+    const missing = fakeResponse();
+    assert.strictEqual(await runMiddleware(requireApiKey, fakeRequest(), missing), false);
+    assert.strictEqual(missing.statusCode, 401);
+
+    const wrong = fakeResponse();
+    assert.strictEqual(await runMiddleware(requireApiKey, fakeRequest({ headers: { 'X-API-Key': 'lsk_wrong' } }), wrong), false);
+    assert.strictEqual(wrong.statusCode, 401);
+});
+
+test('the admin routes take ADMIN_TOKEN and are closed when it is not set', async () => {
+    delete process.env.ADMIN_TOKEN;
+    const unconfigured = fakeResponse();
+    assert.strictEqual(await runMiddleware(requireAdmin, fakeRequest({ headers: { Authorization: 'Bearer anything' } }), unconfigured), false);
+    assert.strictEqual(unconfigured.statusCode, 503);
+
+    process.env.ADMIN_TOKEN = 'admin-secret';
+    assert.strictEqual(await runMiddleware(requireAdmin, fakeRequest({ headers: { Authorization: 'Bearer admin-secret' } }), fakeResponse()), true);
+
+    const wrong = fakeResponse();
+    assert.strictEqual(await runMiddleware(requireAdmin, fakeRequest({ headers: { Authorization: 'Bearer admin-secre' } }), wrong), false);
+    assert.strictEqual(wrong.statusCode, 401);
+
+    // An API key is no admin token
+    const { key } = await apiKeys.createApiKey({ name: 'not admin' });
+    const apiKey = fakeResponse();
+    assert.strictEqual(await runMiddleware(requireAdmin, fakeRequest({ headers: { 'X-API-Key': key } }), apiKey), false);
+    assert.strictEqual(apiKey.statusCode, 401);
+});
+
+test('a stream token authenticates its key on the SSE routes until it expires', async () => {
+    const { id } = await apiKeys.createApiKey({ name: 'browser' });
+    const { token } = issueStreamToken(id);
+
+    const req = fakeRequest({ query: { streamToken: token } });
+    assert.strictEqual(await runMiddleware(acceptStreamToken, req, fakeResponse()), true);
+    assert.strictEqual(req.apiKey.id, id);
+    // requireApiKey lets the stream-authenticated request through
+    assert.strictEqual(await runMiddleware(requireApiKey, req, fakeResponse()), true);
+
+    const res = fakeResponse();
+    assert.strictEqual(await runMiddleware(acceptStreamToken, fakeRequest({ query: { streamToken: 'sst_made-up' } }), res), false);
+    assert.strictEqual(res.statusCode, 401);
+});
+
+test('an expired stream token still reconnects EventSource to a job of its key', async () => {
+    const { id } = await apiKeys.createApiKey({ name: 'long run' });
+    const { id: otherId } = await apiKeys.createApiKey({ name: 'someone else' });
+    for (const [jobId, apiKeyId] of [['long-run', id], ['other-run', otherId]]) {
+        await saveCheckpoint(jobId, {
+            searchUrl: 'https://www.linkedin.com/search/results/people/?keywords=test',
+            maxPages: 2,
+            completedPages: [1],
+            lastCompletedPage: 1,
+            results: [],
+            apiKeyId
+        });
+    }
+    await jobManager.restoreInterruptedJobs();
+    const { token } = issueStreamToken(id);
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 60 * 60 * 1000;
+    try {
+        const fresh = fakeResponse();
+        assert.strictEqual(await runMiddleware(acceptStreamToken, fakeRequest({ query: { streamToken: token } }), fresh), false);
+        assert.strictEqual(fresh.statusCode, 401);
+
+        const reconnect = fakeRequest({ query: { streamToken: token }, headers: { 'Last-Event-ID': 'long-run:7' } });
+        assert.strictEqual(await runMiddleware(acceptStreamToken, reconnect, fakeResponse()), true);
+        assert.strictEqual(reconnect.apiKey.id, id);
+
+        // /api/jobs/:id/events names the job in the URL
+        const byUrl = fakeRequest({ query: { streamToken: token, lastEventId: '7' }, params: { id: 'long-run' } });
+        assert.strictEqual(await runMiddleware(acceptStreamToken, byUrl, fakeResponse()), true);
+
+        const otherJob = fakeResponse();
+        const intoOtherJob = fakeRequest({ query: { streamToken: token }, headers: { 'Last-Event-ID': 'other-run:7' } });
+        assert.strictEqual(await runMiddleware(acceptStreamToken, intoOtherJob, otherJob), false);
+        assert.strictEqual(otherJob.statusCode, 401);
+    } finally {
+        Date.now = realNow;
+    }
+});
+
+test('a stream token stops working once its key is revoked', async () => {
+    const { id } = await apiKeys.createApiKey({ name: 'revoked' });
+    const { token } = issueStreamToken(id);
+    await apiKeys.revokeApiKey(id);
+
+    const res = fakeResponse();
+    assert.strictEqual(await runMiddleware(acceptStreamToken, fakeRequest({ query: { streamToken: token } }), res), false);
+    assert.strictEqual(res.statusCode, 401);
+});
+
+test('the raw API key is not accepted in the URL', async () => {
+    const { key } = await apiKeys.createApiKey({ name: 'url' });
+    const req = fakeRequest({ query: { streamToken: key, apiKey: key } });
+
+    const res = fakeResponse();
+    assert.strictEqual(await runMiddleware(acceptStreamToken, req, res), false);
+    assert.strictEqual(res.statusCode, 401);
+
+    const withoutToken = fakeResponse();
+    assert.strictEqual(await runMiddleware(requireApiKey, fakeRequest({ query: { apiKey: key } }), withoutToken), false);
+    assert.strictEqual(withoutToken.statusCode, 401);
+});
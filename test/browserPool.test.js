@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.BROWSER_POOL_SIZE = '1';
+process.env.MAX_CONTEXTS_PER_BROWSER = '1';
+process.env.BROWSER_RECYCLE_AFTER_JOBS = '2';
+const { installFakeBrowser, FEED_HTML } = require('./fakeBrowser');
+
+const browsers = installFakeBrowser(() => ({ html: FEED_HTML }));
+const { acquireContext, checkReadiness, closePool, getPoolStats } = require('../browserPool');
+
+test('a job waits for a context while the browser is at capacity', async () => {
+    const first = await acquireContext();
+    let secondLease = null;
+    const second = acquireContext().then((lease) => {
+        secondLease = lease;
+        return lease;
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(secondLease, null);
+    assert.strictEqual(getPoolStats().waiting, 1);
+
+    await first.release();
+    await second;
+    assert.strictEqual(secondLease.browserId, first.browserId);
+    await secondLease.release();
+});
+
+test('a browser is closed and replaced once it has served BROWSER_RECYCLE_AFTER_JOBS jobs', async () => {
+    // The two jobs of the previous test used up the first browser
+    assert.strictEqual(browsers.closed, 1);
+    assert.strictEqual(getPoolStats().recycled, 1);
+    assert.strictEqual(getPoolStats().browsers.length, 0);
+
+    const lease = await acquireContext();
+    assert.strictEqual(browsers.launched, 2);
+    assert.notStrictEqual(lease.browserId, 1);
+    await lease.release();
+});
+
+test('a crashed browser is dropped and the next job gets a new one', async () => {
+    const lease = await acquireContext();
+    const crashedId = lease.browserId;
+
+    browsers.browsers[browsers.browsers.length - 1].emit('disconnected');
+    assert.strictEqual(getPoolStats().crashed, 1);
+    assert.ok(!getPoolStats().browsers.some(browser => browser.id === crashedId));
+    await lease.release();
+
+    const next = await acquireContext();
+    assert.notStrictEqual(next.browserId, crashedId);
+    assert.strictEqual(browsers.launched, 3);
+    await next.release();
+});
+
+test('a closed pool is not ready and hands out no more browser contexts', async () => {
+    await closePool();
+
+    assert.deepStrictEqual(await checkReadiness(), { ready: false, reason: 'Browser pool is shut down' });
+    await assert.rejects(acquireContext(), (error) => {
+        assert.strictEqual(error.statusCode, 503);
+        return true;
+    });
+    assert.strictEqual(getPoolStats().browsers.length, 0);
+});
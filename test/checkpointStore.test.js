@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-store-test-'));
+process.env.LOG_LEVEL = 'error';
+const { saveCheckpoint, loadCheckpoint, deleteCheckpoint, listCheckpoints } = require('../checkpointStore');
+
+const CHECKPOINT_DIR = path.join(process.env.DATA_DIR, 'checkpoints');
+
+function checkpoint(lastCompletedPage) {
+    return {
+        mode: 'people',
+        searchUrl: 'https://www.linkedin.com/search/results/people/?keywords=test',
+        maxPages: 5,
+        lastCompletedPage,
+        completedPages: Array.from({ length: lastCompletedPage }, (_, index) => index + 1),
+        results: [{ name: 'Priya Sharma' }]
+    };
+}
+
+test('there are no checkpoints before any is saved', async () => {
+    assert.deepStrictEqual(await listCheckpoints(), []);
+    assert.strictEqual(await loadCheckpoint('job-1'), null);
+});
+
+test('a saved checkpoint loads back with its job ID, and the latest save wins', async () => {
+    await saveCheckpoint('job-1', checkpoint(1));
+    await saveCheckpoint('job-1', checkpoint(2));
+
+    const loaded = await loadCheckpoint('job-1');
+    assert.strictEqual(loaded.jobId, 'job-1');
+    assert.deepStrictEqual(loaded.completedPages, [1, 2]);
+    assert.ok(!Number.isNaN(Date.parse(loaded.updatedAt)));
+});
+
+test('a deleted checkpoint is gone, and deleting it again is harmless', async () => {
+    await saveCheckpoint('job-2', checkpoint(1));
+    await deleteCheckpoint('job-2');
+
+    assert.strictEqual(await loadCheckpoint('job-2'), null);
+    await deleteCheckpoint('job-2');
+});
+
+test('listing skips checkpoint files that cannot be read', async () => {
+    await saveCheckpoint('job-3', checkpoint(3));
+    fs.writeFileSync(path.join(CHECKPOINT_DIR, 'job-broken.json'), '{ "jobId": ');
+    fs.writeFileSync(path.join(CHECKPOINT_DIR, 'notes.txt'), 'not a checkpoint');
+
+    const jobIds = (await listCheckpoints()).map(entry => entry.jobId).sort();
+    assert.deepStrictEqual(jobIds, ['job-1', 'job-3']);
+});
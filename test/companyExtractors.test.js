@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { extractCompanyCards, extractCompanyPage, extractCompanyEmployees, extractEmployeeCount } = require('../companyExtractors');
+const { getSelectors } = require('../selectorRegistry');
+const { SEARCH_MODES } = require('../linkedinScraperService');
+
+function loadFixture(dir, name, url) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', dir, name), 'utf8');
+    return new JSDOM(html, { url }).window.document;
+}
+
+test('extracts company search cards', () => {
+    const companies = extractCompanyCards({
+        root: loadFixture('search-results', 'companies-normal.html', 'https://www.linkedin.com/search/results/companies/?keywords=fintech'),
+        selectors: getSelectors()
+    });
+
+    assert.deepStrictEqual(companies, [
+        {
+            companyId: '2857634',
+            name: 'Razorpay',
+            companyUrl: 'https://www.linkedin.com/company/razorpay/',
+            industry: 'Financial Services',
+            location: 'Bengaluru, Karnataka',
+            followers: 1200000,
+            logoUrl: 'https://media.licdn.com/dms/image/razorpay-logo.png'
+        },
+        {
+            companyId: '91210456',
+            name: 'LedgerLight Fintech',
+            companyUrl: 'https://www.linkedin.com/company/ledgerlight-fintech/',
+            industry: 'Software Development',
+            location: null,
+            followers: 3418,
+            logoUrl: null
+        }
+    ]);
+});
+
+test('returns no companies for a people results page', () => {
+    const companies = extractCompanyCards({
+        root: loadFixture('search-results', 'people-no-results.html', 'https://www.linkedin.com/search/results/companies/'),
+        selectors: getSelectors()
+    });
+    assert.deepStrictEqual(companies, []);
+});
+
+test('extracts company details from the about page', () => {
+    const company = extractCompanyPage({
+        root: loadFixture('company-pages', 'company-about.html', 'https://www.linkedin.com/company/razorpay/about/'),
+        selectors: getSelectors()
+    });
+
+    assert.deepStrictEqual(company, {
+        companyId: '2857634',
+        name: 'Razorpay',
+        companyUrl: 'https://www.linkedin.com/company/razorpay/',
+        industry: 'Financial Services',
+        headcountRange: '1,001-5,000',
+        headquarters: 'Bengaluru, Karnataka',
+        followers: 1200000,
+        website: 'https://razorpay.com/'
+    });
+});
+
+test('extracts employees from the company people tab in the profile card shape', () => {
+    const root = loadFixture('company-pages', 'company-people.html', 'https://www.linkedin.com/company/razorpay/people/?keywords=engineer');
+
+    assert.strictEqual(extractEmployeeCount({ root }), 58);
+    assert.deepStrictEqual(extractCompanyEmployees({ root, selectors: getSelectors() }), [
+        {
+            name: 'Arjun Mehta',
+            title: 'Senior Software Engineer at Razorpay',
+            location: 'No location listed',
+            profileUrl: 'https://www.linkedin.com/in/arjun-mehta-dev',
+            linkedinId: 'arjun-mehta-dev',
+            connectionDegree: '2nd degree connection',
+            isAnonymous: false,
+            profileImage: {
+                src: 'https://media.licdn.com/dms/image/arjun.jpg',
+                alt: 'Arjun Mehta',
+                width: 104,
+                height: 104
+            },
+            resultUrn: '',
+            cardIndex: 0
+        },
+        {
+            name: 'LinkedIn Member',
+            title: 'Software Engineer II',
+            location: 'No location listed',
+            profileUrl: '',
+            linkedinId: 'headless',
+            connectionDegree: '',
+            isAnonymous: true,
+            profileImage: null,
+            resultUrn: '',
+            cardIndex: 1
+        }
+    ]);
+});
+
+test('members without a public profile and the same title still count as different employees', () => {
+    const anonymousCard = `<li class="org-people-profile-card__profile-card-spacing">
+        <div class="artdeco-entity-lockup__title">LinkedIn Member</div>
+        <div class="artdeco-entity-lockup__subtitle">Software Engineer</div>
+    </li>`;
+    const { document } = new JSDOM(`<ul>${anonymousCard}${anonymousCard}</ul>`, { url: 'https://www.linkedin.com/company/razorpay/people/' }).window;
+
+    const mode = SEARCH_MODES.employees;
+    const keys = extractCompanyEmployees({ root: document, selectors: getSelectors() })
+        .map(mode.normalize)
+        .map(mode.itemKey);
+    assert.strictEqual(new Set(keys).size, 2);
+});
+
+test('reports which selector of each list matched', () => {
+    const { details, selectorMatches } = extractCompanyPage({
+        root: loadFixture('company-pages', 'company-about.html', 'https://www.linkedin.com/company/razorpay/about/'),
+        selectors: getSelectors(),
+        reportMatches: true
+    });
+
+    assert.strictEqual(details.followers, 1200000);
+    assert.deepStrictEqual(selectorMatches['companyPage.name'], { 'main h1': 1 });
+    assert.strictEqual(Object.values(selectorMatches['companyPage.followers']).reduce((sum, count) => sum + count, 0), 1);
+});
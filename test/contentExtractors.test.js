@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { extractPostCards } = require('../contentExtractors');
+const { getSelectors } = require('../selectorRegistry');
+
+function loadFixture(name, url) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'search-results', name), 'utf8');
+    return new JSDOM(html, { url }).window.document;
+}
+
+test('extracts posts from content search results', () => {
+    const posts = extractPostCards({
+        root: loadFixture('content-normal.html', 'https://www.linkedin.com/search/results/content/?keywords=expense+management'),
+        selectors: getSelectors()
+    });
+
+    assert.deepStrictEqual(posts, [
+        {
+            urn: 'urn:li:activity:7259000000000000000',
+            postUrl: 'https://www.linkedin.com/feed/update/urn:li:activity:7259000000000000000/',
+            author: {
+                name: 'Priya Sharma',
+                profileUrl: 'https://www.linkedin.com/in/priya-sharma-42',
+                headline: 'Senior Product Manager at Acme, Inc.'
+            },
+            text: 'Expense management is still mostly spreadsheets. We surveyed 200 finance teams to find out why.',
+            postedAt: '2024-11-04T00:34:25.698Z',
+            postedText: '3d',
+            reactions: 1204,
+            comments: 56
+        },
+        {
+            urn: 'urn:li:activity:7258000000000000000',
+            postUrl: 'https://www.linkedin.com/feed/update/urn:li:activity:7258000000000000000/',
+            author: {
+                name: 'LedgerLight Fintech',
+                profileUrl: 'https://www.linkedin.com/company/ledgerlight-fintech/posts',
+                headline: '3,418 followers'
+            },
+            text: 'We just shipped automated receipt matching.',
+            postedAt: '2024-11-01T06:20:47.119Z',
+            postedText: '1w',
+            reactions: 0,
+            comments: 0
+        }
+    ]);
+});
+
+test('returns no posts for a people results page', () => {
+    const posts = extractPostCards({
+        root: loadFixture('people-normal.html', 'https://www.linkedin.com/search/results/content/'),
+        selectors: getSelectors()
+    });
+    assert.deepStrictEqual(posts, []);
+});
+
+test('reads abbreviated reaction and comment counts', () => {
+    const { document } = new JSDOM(`
+        <div data-urn="urn:li:activity:7259000000000000000">
+            <span class="social-details-social-counts__reactions-count">1.2K</span>
+            <button class="social-details-social-counts__comments"><span>3.4M comments</span></button>
+        </div>`, { url: 'https://www.linkedin.com/search/results/content/' }).window;
+
+    const [post] = extractPostCards({ root: document, selectors: getSelectors() });
+    assert.strictEqual(post.reactions, 1200);
+    assert.strictEqual(post.comments, 3400000);
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-test-'));
+process.env.SESSION_VAULT_KEY = 'credentials test vault key';
+// Everything a run logs, to check none of it carries the cookies
+process.env.LOG_LEVEL = 'debug';
+const { NO_PACING, loadFixture, installFakeBrowser, peopleSearchSite } = require('./fakeBrowser');
+
+const stats = installFakeBrowser(peopleSearchSite({ 1: loadFixture('search-results/people-normal.html') }));
+
+const { COOKIES_HEADER, resolveCredentials } = require('../credentials');
+const { storeSession } = require('../sessionVault');
+const jobManager = require('../jobManager');
+
+const SECRET = 'AQEDAR-never-logged';
+const COOKIES = `li_at=${SECRET}; JSESSIONID="ajax:42"`;
+
+function fakeRequest({ body, headers = {}, query = {}, apiKeyId = 'key-1' } = {}) {
+    return { body, query, get: name => headers[name], apiKey: { id: apiKeyId } };
+}
+
+test('cookies come from the body first, then the header', async () => {
+    assert.deepStrictEqual(
+        await resolveCredentials(fakeRequest({ body: { cookies: COOKIES }, headers: { [COOKIES_HEADER]: 'li_at=other' } })),
+        { cookies: COOKIES, sessionId: null }
+    );
+    assert.deepStrictEqual(
+        await resolveCredentials(fakeRequest({ headers: { [COOKIES_HEADER]: COOKIES } })),
+        { cookies: COOKIES, sessionId: null }
+    );
+});
+
+test('cookies in the query string are refused', async () => {
+    await assert.rejects(
+        resolveCredentials(fakeRequest({ body: { cookies: COOKIES }, query: { cookies: COOKIES } })),
+        (error) => error.statusCode === 400 && !error.message.includes(SECRET)
+    );
+});
+
+test('a sessionId resolves to the stored cookies of the calling key only', async () => {
+    const session = await storeSession({ name: 'work', cookies: COOKIES, ownerId: 'key-1' });
+
+    assert.deepStrictEqual(
+        await resolveCredentials(fakeRequest({ query: { sessionId: session.id } })),
+        { cookies: COOKIES, sessionId: session.id }
+    );
+    assert.deepStrictEqual(
+        await resolveCredentials(fakeRequest(), { fallbackSessionId: session.id }),
+        { cookies: COOKIES, sessionId: session.id }
+    );
+    await assert.rejects(resolveCredentials(fakeRequest({ body: { sessionId: session.id }, apiKeyId: 'key-2' })), { statusCode: 404 });
+});
+
+test('a request without any credentials is refused', async () => {
+    await assert.rejects(resolveCredentials(fakeRequest({ body: {} })), { statusCode: 400 });
+});
+
+test('a run never logs the cookie values or puts them in a URL', async () => {
+    const output = [];
+    const writes = [process.stdout, process.stderr].map((stream) => {
+        const write = stream.write;
+        stream.write = (chunk, ...args) => {
+            if (typeof chunk === 'string' && chunk.startsWith('{"time"')) {
+                output.push(chunk);
+                return true;
+            }
+            return write.call(stream, chunk, ...args);
+        };
+        return () => { stream.write = write; };
+    });
+
+    let job;
+    try {
+        job = jobManager.createJob({
+            searchUrl: 'https://www.linkedin.com/search/results/people/?keywords=test',
+            cookies: COOKIES,
+            maxPages: 1,
+            pacing: NO_PACING
+        });
+        await new Promise(resolve => jobManager.subscribe(job, { onEvent: () => {}, onEnd: resolve }));
+    } finally {
+        writes.forEach(restore => restore());
+    }
+
+    assert.strictEqual(job.status, 'completed');
+    assert.ok(output.some(line => line.includes('Setting cookies')));
+    assert.ok(!output.some(line => line.includes(SECRET)));
+    assert.ok(!stats.visits.some(url => url.includes(SECRET)));
+    assert.ok(!JSON.stringify(jobManager.summarizeJob(job)).includes(SECRET));
+});
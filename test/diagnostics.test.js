@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnostics-test-'));
+const {
+    createRunDiagnostics,
+    getDiagnostics,
+    getArtifactPath,
+    pruneDiagnostics
+} = require('../diagnostics');
+
+const OWNER = 'key-1';
+
+// Just enough of a Puppeteer page to be captured
+function fakePage(url) {
+    const page = new EventEmitter();
+    const mainFrame = { url: () => url };
+    page.mainFrame = () => mainFrame;
+    page.url = () => url;
+    page.content = async () => `<html><body>${url}</body></html>`;
+    page.screenshot = async ({ path: file }) => {
+        const png = Buffer.from('not really a png');
+        await fs.promises.writeFile(file, png);
+        return png;
+    };
+    page.navigate = () => page.emit('framenavigated', mainFrame);
+    return page;
+}
+
+test('collects screenshots, HTML, console output and the last URL of a run', async () => {
+    const page = fakePage('https://www.linkedin.com/search/results/people/?page=3');
+    const diagnostics = createRunDiagnostics('job-1', { owner: OWNER });
+    diagnostics.attach(page);
+
+    page.navigate();
+    page.emit('console', { type: () => 'error', text: () => 'Failed to load resource' });
+    await diagnostics.capture(page, 'pre-navigation', { pageNumber: 3, html: false });
+    await diagnostics.capture(page, 'error', { pageNumber: 3, reason: 'Navigation timeout' });
+    page.emit('pageerror', new Error('voyager is not defined'));
+    await diagnostics.finish();
+
+    const manifest = await getDiagnostics('job-1', OWNER);
+    assert.strictEqual(manifest.lastUrl, 'https://www.linkedin.com/search/results/people/?page=3');
+    assert.deepStrictEqual(manifest.artifacts.map(a => a.name).sort(), [
+        '001-pre-navigation-page-3.png',
+        '002-error-page-3.html',
+        '002-error-page-3.png',
+        'console.log'
+    ]);
+
+    const error = manifest.artifacts.find(a => a.name === '002-error-page-3.png');
+    assert.strictEqual(error.kind, 'screenshot');
+    assert.strictEqual(error.reason, 'Navigation timeout');
+    assert.strictEqual(error.page, 3);
+
+    const consoleLog = await fs.promises.readFile(await getArtifactPath('job-1', 'console.log', OWNER), 'utf8');
+    assert.match(consoleLog, /\[error\] Failed to load resource/);
+    assert.match(consoleLog, /\[pageerror\] voyager is not defined/);
+});
+
+test('a resumed run adds to the bundle instead of overwriting it', async () => {
+    const page = fakePage('https://www.linkedin.com/checkpoint/challenge/');
+    const diagnostics = createRunDiagnostics('job-1', { owner: OWNER });
+    diagnostics.attach(page);
+    await diagnostics.capture(page, 'rate-limited', { pageNumber: 4 });
+    await diagnostics.finish();
+
+    const manifest = await getDiagnostics('job-1', OWNER);
+    assert.ok(manifest.artifacts.some(a => a.name === '001-pre-navigation-page-3.png'));
+    assert.ok(manifest.artifacts.some(a => a.name === '003-rate-limited-page-4.html'));
+    assert.strictEqual(manifest.lastUrl, 'https://www.linkedin.com/checkpoint/challenge/');
+});
+
+test('runs that capture nothing leave no bundle', async () => {
+    const diagnostics = createRunDiagnostics('job-quiet', { owner: OWNER });
+    diagnostics.attach(fakePage('https://www.linkedin.com/feed/'));
+    await diagnostics.finish();
+    assert.strictEqual(await getDiagnostics('job-quiet', OWNER), null);
+});
+
+test('a bundle is only visible to the key whose job made it', async () => {
+    assert.ok(await getDiagnostics('job-1', OWNER));
+    assert.strictEqual(await getDiagnostics('job-1', 'key-2'), null);
+    assert.strictEqual(await getArtifactPath('job-1', 'console.log', 'key-2'), null);
+    assert.strictEqual(await getDiagnostics('../job-1', OWNER), null);
+});
+
+test('only artifacts listed in the manifest can be downloaded', async () => {
+    assert.ok(await getArtifactPath('job-1', '002-error-page-3.html', OWNER));
+    assert.strictEqual(await getArtifactPath('job-1', '../../profiles.json', OWNER), null);
+    assert.strictEqual(await getArtifactPath('job-1', 'manifest.json', OWNER), null);
+    assert.strictEqual(await getArtifactPath('no-such-job', 'console.log', OWNER), null);
+});
+
+test('pruning removes expired bundles and the oldest beyond the limit', async () => {
+    for (const jobId of ['job-2', 'job-3']) {
+        const diagnostics = createRunDiagnostics(jobId, { owner: OWNER });
+        await diagnostics.capture(fakePage('https://www.linkedin.com/feed/'), 'error');
+        await diagnostics.finish();
+    }
+
+    // job-1 is the oldest bundle, so it goes first when only two may stay
+    assert.deepStrictEqual(await pruneDiagnostics({ maxBundles: 2 }), ['job-1']);
+    assert.deepStrictEqual(await pruneDiagnostics(), []);
+
+    const later = Date.now() + 73 * 60 * 60 * 1000;
+    assert.deepStrictEqual((await pruneDiagnostics({ now: later })).sort(), ['job-2', 'job-3']);
+    assert.strictEqual(await getDiagnostics('job-2', OWNER), null);
+});
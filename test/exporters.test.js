@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { EXPORT_FORMATS, parseColumns, toCsvValue, toCsvRow } = require('../exporters');
+
+const profiles = [
+    {
+        name: 'José Martín, MBA',
+        title: 'Head of Product | Payments 🚀',
+        location: 'Madrid, Community of Madrid, Spain',
+        profileUrl: 'https://www.linkedin.com/in/jmartin/',
+        linkedinId: 'jmartin',
+        connectionDegree: '1st degree connection',
+        isAnonymous: false,
+        profileImage: { src: 'https://media.licdn.com/dms/image/jose.jpg', alt: '', width: 48, height: 48 }
+    },
+    {
+        name: 'Dana "DJ" Jones',
+        title: 'Engineer\nat Initech',
+        location: 'No location listed',
+        profileUrl: '',
+        linkedinId: 'headless',
+        connectionDegree: '',
+        isAnonymous: true,
+        profileImage: null
+    }
+];
+
+async function collect(write, columns) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    await write(stream, profiles, columns);
+    return Buffer.concat(chunks);
+}
+
+test('leaves plain CSV values untouched', () => {
+    assert.strictEqual(toCsvValue('Product Manager'), 'Product Manager');
+    assert.strictEqual(toCsvValue('Payments 🚀'), 'Payments 🚀');
+    assert.strictEqual(toCsvValue(false), 'false');
+    assert.strictEqual(toCsvValue(null), '');
+});
+
+test('quotes CSV values with commas, quotes, line breaks or edge whitespace', () => {
+    assert.strictEqual(toCsvValue('Acme, Inc.'), '"Acme, Inc."');
+    assert.strictEqual(toCsvValue('Dana "DJ" Jones'), '"Dana ""DJ"" Jones"');
+    assert.strictEqual(toCsvValue('Engineer\nat Initech'), '"Engineer\nat Initech"');
+    assert.strictEqual(toCsvValue(' padded'), '" padded"');
+    assert.strictEqual(toCsvRow(['a,b', 'c']), '"a,b",c\r\n');
+});
+
+test('defuses CSV values a spreadsheet would run as formulas', () => {
+    assert.strictEqual(toCsvValue('=HYPERLINK("http://evil.example","Click")'), '"\'=HYPERLINK(""http://evil.example"",""Click"")"');
+    assert.strictEqual(toCsvValue('+1 555 0100'), "'+1 555 0100");
+    assert.strictEqual(toCsvValue('-2+3'), "'-2+3");
+    assert.strictEqual(toCsvValue('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+    assert.strictEqual(toCsvValue('\t=1+1'), "'\t=1+1");
+    assert.strictEqual(toCsvValue('\r=1+1'), '"\'\r=1+1"');
+    // Numbers are data, not formulas
+    assert.strictEqual(toCsvValue(-5), '-5');
+    assert.strictEqual(toCsvValue('Head of R&D - EMEA'), 'Head of R&D - EMEA');
+});
+
+test('writes CSV with a BOM, a header row and selected columns', async () => {
+    const csv = (await collect(EXPORT_FORMATS.csv.write, ['name', 'title', 'imageUrl'])).toString('utf8');
+
+    assert.strictEqual(csv,
+        '\uFEFFname,title,imageUrl\r\n' +
+        '"José Martín, MBA",Head of Product | Payments 🚀,https://media.licdn.com/dms/image/jose.jpg\r\n' +
+        '"Dana ""DJ"" Jones","Engineer\nat Initech",\r\n');
+});
+
+test('writes one JSON object per line for NDJSON', async () => {
+    const lines = (await collect(EXPORT_FORMATS.ndjson.write, ['linkedinId', 'isAnonymous']))
+        .toString('utf8').trim().split('\n');
+
+    assert.deepStrictEqual(lines.map(line => JSON.parse(line)), [
+        { linkedinId: 'jmartin', isAnonymous: false },
+        { linkedinId: 'headless', isAnonymous: true }
+    ]);
+});
+
+test('writes an XLSX workbook', async () => {
+    const xlsx = await collect(EXPORT_FORMATS.xlsx.write, ['name']);
+
+    // XLSX files are zip archives
+    assert.strictEqual(xlsx.subarray(0, 2).toString('latin1'), 'PK');
+});
+
+test('rejects unknown export columns', () => {
+    assert.throws(() => parseColumns('name,salary'), (error) => {
+        assert.strictEqual(error.statusCode, 400);
+        assert.match(error.message, /salary/);
+        return true;
+    });
+    assert.deepStrictEqual(parseColumns(' name , title '), ['name', 'title']);
+});
+
+test('exports company results with their own columns', async () => {
+    assert.deepStrictEqual(parseColumns(null, 'companies').slice(0, 3), ['companyId', 'name', 'companyUrl']);
+    assert.throws(() => parseColumns('name,connectionDegree', 'companies'), /connectionDegree/);
+
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    await EXPORT_FORMATS.ndjson.write(stream, [
+        { companyId: '2857634', name: 'Razorpay', headcountRange: '1,001-5,000', website: 'https://razorpay.com/' }
+    ], ['companyId', 'headcountRange', 'followers'], 'companies');
+
+    assert.deepStrictEqual(JSON.parse(Buffer.concat(chunks).toString('utf8')), {
+        companyId: '2857634',
+        headcountRange: '1,001-5,000',
+        followers: null
+    });
+});
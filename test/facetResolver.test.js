@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the facet cache out of the real data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'facet-resolver-'));
+
+const { parseTypeaheadResponse, createFixtureSource, resolveName, resolveSearchFacets } = require('../facetResolver');
+const { validateSearch, compileSearch } = require('../searchBuilder');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'typeahead');
+
+// Fixture source that counts how often LinkedIn would have been asked
+function countingSource() {
+    const source = createFixtureSource(FIXTURES_DIR);
+    const counted = async (type, name) => {
+        counted.calls++;
+        return source(type, name);
+    };
+    counted.calls = 0;
+    return counted;
+}
+
+test('parseTypeaheadResponse keeps only hits of the requested type', () => {
+    const matches = parseTypeaheadResponse('company', {
+        elements: [
+            { text: { text: 'Google' }, targetUrn: 'urn:li:fs_miniCompany:1441' },
+            { text: { text: 'Google Cloud' }, targetUrn: 'urn:li:fs_showcase:123' }
+        ]
+    });
+    assert.deepStrictEqual(matches, [
+        { id: '1441', name: 'Google', subtext: null, urn: 'urn:li:fs_miniCompany:1441' }
+    ]);
+});
+
+test('resolveName picks the exact match and caches the lookup', async () => {
+    const source = countingSource();
+
+    const first = await resolveName('company', 'google', source);
+    assert.strictEqual(first.id, '1441');
+    assert.strictEqual(first.name, 'Google');
+    assert.deepStrictEqual(first.alternatives.map(match => match.id), ['2374003', '2525169']);
+    assert.strictEqual(first.cached, false);
+
+    const second = await resolveName('company', ' Google ', source);
+    assert.strictEqual(second.id, '1441');
+    assert.strictEqual(second.cached, true);
+    assert.strictEqual(source.calls, 1);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'facet-cache.json'), 'utf8'));
+    assert.ok(stored['company:google']);
+});
+
+test('resolveName falls back to the top hit and rejects names with no hits', async () => {
+    const source = countingSource();
+
+    const location = await resolveName('location', 'Bay Area', source);
+    assert.strictEqual(location.id, '90000084');
+    assert.strictEqual(location.name, 'San Francisco Bay Area');
+
+    await assert.rejects(resolveName('school', 'Nowhere College', source), (error) => {
+        assert.strictEqual(error.statusCode, 422);
+        return true;
+    });
+    await assert.rejects(resolveName('company', 'Initech', source), /No typeahead fixture/);
+});
+
+test('resolveSearchFacets swaps names for IDs so the search compiles', async () => {
+    const search = validateSearch({ keywords: 'cto', currentCompany: ['Google', '1035'], geoUrn: ['Bay Area'] }, { allowNames: true });
+    const { search: resolved, resolutions } = await resolveSearchFacets(search, countingSource());
+
+    assert.deepStrictEqual(resolutions.map(({ field, query, id }) => ({ field, query, id })), [
+        { field: 'currentCompany', query: 'Google', id: '1441' },
+        { field: 'geoUrn', query: 'Bay Area', id: '90000084' }
+    ]);
+    const url = new URL(compileSearch(resolved));
+    assert.strictEqual(url.searchParams.get('currentCompany'), '["1035","1441"]');
+    assert.strictEqual(url.searchParams.get('geoUrn'), '["90000084"]');
+});
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const puppeteer = require('puppeteer');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+// A stand-in for Chromium, for tests that drive whole runs. puppeteer.launch
+// is replaced by a browser whose pages load the HTML the test's site function
+// returns for each URL into JSDOM, and page.evaluate runs against that document.
+// The site can pass a setup(window) function to script the loaded page, e.g.
+// to append results when a button is clicked.
+
+// Runs log every step; only failures are of interest in test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const FEED_HTML = '<html><body><header><a href="https://www.linkedin.com/in/me/">Me</a></header><main>Feed</main></body></html>';
+
+// Pacing without any waits, accepted by runs as an already resolved policy
+const NO_PACING = {
+    preset: 'test',
+    pageSettleMs: 0,
+    afterScrollMs: 0,
+    pageDelayMs: 0,
+    pageDelayStepMs: 0,
+    pageDelayJitterMs: 0,
+    highRiskPages: [],
+    highRiskDelayMs: 0,
+    errorBackoffMs: 0
+};
+
+function loadFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function timeoutError(message) {
+    const error = new Error(message);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+function createPage(site, stats) {
+    const page = new EventEmitter();
+    let dom = new JSDOM('<html><body></body></html>');
+    let closed = false;
+    const frame = { url: () => dom.window.location.href };
+
+    const checkOpen = () => {
+        if (closed) throw new Error('Protocol error: Target closed');
+    };
+
+    Object.assign(page, {
+        close() {
+            closed = true;
+        },
+        target: () => ({ createCDPSession: async () => ({ send: async () => {} }) }),
+        setUserAgent: async () => {},
+        setRequestInterception: async () => {},
+        setCookie: async () => {},
+        cookies: async () => [],
+        mainFrame: () => frame,
+        url: () => dom.window.location.href,
+        content: async () => dom.serialize(),
+        screenshot: async ({ path: file }) => {
+            const png = Buffer.from('not really a png');
+            await fs.promises.writeFile(file, png);
+            return png;
+        },
+        async goto(url) {
+            checkOpen();
+            stats.visits.push(url);
+            // site(url) returns { html, url, setup } (url for redirects) or throws
+            const response = site(url);
+            dom.window.close();
+            dom = new JSDOM(response.html, { url: response.url || url, virtualConsole: new VirtualConsole() });
+            if (response.setup) response.setup(dom.window);
+            page.emit('framenavigated', frame);
+        },
+        waitForNavigation: async () => {},
+        async waitForSelector(selector) {
+            checkOpen();
+            if (!dom.window.document.querySelector(selector)) {
+                throw timeoutError(`Waiting for selector \`${selector}\` failed`);
+            }
+        },
+        // Page functions refer to the page's globals, as they would in the browser
+        async evaluate(fn, ...args) {
+            checkOpen();
+            global.window = dom.window;
+            global.document = dom.window.document;
+            const nodeConsole = global.console;
+            global.console = dom.window.console;
+            try {
+                const result = await fn(...args);
+                return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+            } finally {
+                global.console = nodeConsole;
+            }
+        }
+    });
+    return page;
+}
+
+function installFakeBrowser(site) {
+    const stats = { launched: 0, closed: 0, contexts: 0, visits: [], browsers: [] };
+
+    puppeteer.launch = async () => {
+        stats.launched++;
+        const browser = new EventEmitter();
+        browser.createBrowserContext = async () => {
+            stats.contexts++;
+            const pages = [];
+            return {
+                newPage: async () => {
+                    const page = createPage(site, stats);
+                    pages.push(page);
+                    return page;
+                },
+                close: async () => pages.forEach(page => page.close())
+            };
+        };
+        browser.close = async () => {
+            stats.closed++;
+        };
+        stats.browsers.push(browser);
+        return browser;
+    };
+    return stats;
+}
+
+// A LinkedIn with a logged-in feed and people search result pages. pages maps
+// page numbers to HTML, or to { redirect } for a page that bounces elsewhere;
+// pages not listed show no results. Replace entries to change the site mid-test.
+function peopleSearchSite(pages) {
+    return (url) => {
+        if (url.includes('/feed/')) return { html: FEED_HTML };
+
+        const pageNumber = parseInt(new URL(url).searchParams.get('page')) || 1;
+        const content = pages[pageNumber];
+        if (content && content.redirect) return { html: '<html><body><form action="/login"></form></body></html>', url: content.redirect };
+        return { html: content || loadFixture('search-results/people-no-results.html') };
+    };
+}
+
+module.exports = {
+    FEED_HTML,
+    NO_PACING,
+    loadFixture,
+    installFakeBrowser,
+    peopleSearchSite
+};
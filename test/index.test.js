@@ -0,0 +1,89 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'index-test-'));
+const { installFakeBrowser } = require('./fakeBrowser');
+
+installFakeBrowser(() => ({ html: '<html><body></body></html>' }));
+// Browsers that never come up keep every admitted job active
+puppeteer.launch = () => new Promise(() => {});
+
+const app = require('../index');
+const apiKeys = require('../apiKeys');
+const jobManager = require('../jobManager');
+const { saveCheckpoint } = require('../checkpointStore');
+const { createRunDiagnostics } = require('../diagnostics');
+
+const SEARCH_URL = 'https://www.linkedin.com/search/results/people/?keywords=test';
+const COOKIES = 'li_at=test-session';
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+after(() => server.close());
+
+function post(pathname, key, body) {
+    return fetch(`${baseUrl}${pathname}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+        body: JSON.stringify(body)
+    });
+}
+
+function get(pathname, key) {
+    return fetch(`${baseUrl}${pathname}`, { headers: { 'X-API-Key': key } });
+}
+
+test('parallel scrape requests can\'t exceed the key\'s concurrent jobs limit', async () => {
+    const { key } = await apiKeys.createApiKey({ name: 'one job at a time', quotas: { maxConcurrentJobs: 1 } });
+
+    const responses = await Promise.all([1, 2, 3].map(() =>
+        post('/api/jobs', key, { searchUrl: SEARCH_URL, cookies: COOKIES, maxPages: 1 })));
+
+    assert.deepStrictEqual(responses.map(response => response.status).sort(), [202, 429, 429]);
+});
+
+test('parallel resumes can\'t exceed the key\'s concurrent jobs limit', async () => {
+    const { key, id } = await apiKeys.createApiKey({ name: 'one resume at a time', quotas: { maxConcurrentJobs: 1 } });
+    for (const jobId of ['stopped-1', 'stopped-2']) {
+        await saveCheckpoint(jobId, {
+            searchUrl: SEARCH_URL,
+            maxPages: 2,
+            completedPages: [1],
+            lastCompletedPage: 1,
+            results: [],
+            apiKeyId: id
+        });
+    }
+    await jobManager.restoreInterruptedJobs();
+
+    const responses = await Promise.all(['stopped-1', 'stopped-2'].map(jobId =>
+        post(`/api/jobs/${jobId}/resume`, key, { cookies: COOKIES })));
+
+    assert.deepStrictEqual(responses.map(response => response.status).sort(), [202, 429]);
+    assert.strictEqual(jobManager.countActiveJobs(id), 1);
+});
+
+test('diagnostics stay available to their key after the job itself is gone', async () => {
+    const { key, id } = await apiKeys.createApiKey({ name: 'diagnostics' });
+    const { key: otherKey } = await apiKeys.createApiKey({ name: 'not the owner' });
+    const diagnostics = createRunDiagnostics('evicted-job', { owner: id });
+    await diagnostics.capture({
+        url: () => SEARCH_URL,
+        screenshot: async () => Buffer.from('not really a png'),
+        content: async () => '<html></html>'
+    }, 'error', { html: false });
+    await diagnostics.finish();
+    assert.strictEqual(jobManager.getJob('evicted-job'), null);
+
+    const response = await get('/api/jobs/evicted-job/diagnostics', key);
+    assert.strictEqual(response.status, 200);
+    const { artifacts } = await response.json();
+    assert.deepStrictEqual(artifacts.map(artifact => artifact.name), ['001-error.png']);
+
+    assert.strictEqual((await get('/api/jobs/evicted-job/diagnostics', otherKey)).status, 404);
+    assert.strictEqual((await get('/api/jobs/evicted-job/diagnostics/001-error.png', otherKey)).status, 404);
+});
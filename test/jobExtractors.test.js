@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { extractJobCards, extractJobPosting } = require('../jobExtractors');
+const { getSelectors } = require('../selectorRegistry');
+
+function loadFixture(dir, name, url) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', dir, name), 'utf8');
+    return new JSDOM(html, { url }).window.document;
+}
+
+test('extracts job search cards and skips occluded placeholders', () => {
+    const jobs = extractJobCards({
+        root: loadFixture('search-results', 'jobs-normal.html', 'https://www.linkedin.com/jobs/search/?keywords=product+manager'),
+        selectors: getSelectors()
+    });
+
+    assert.deepStrictEqual(jobs, [
+        {
+            jobId: '4051234567',
+            title: 'Senior Product Manager, Payments',
+            company: 'Razorpay',
+            location: 'Bengaluru, Karnataka, India',
+            workplaceType: 'Hybrid',
+            postedAt: '2024-11-02',
+            postedText: '2 days ago',
+            applicants: 87,
+            jobUrl: 'https://www.linkedin.com/jobs/view/4051234567/',
+            description: null
+        },
+        {
+            jobId: '4049876543',
+            title: 'Product Manager - Risk',
+            company: 'LedgerLight Fintech',
+            location: 'India',
+            workplaceType: 'Remote',
+            postedAt: '2024-11-04',
+            postedText: '1 hour ago',
+            applicants: null,
+            jobUrl: 'https://www.linkedin.com/jobs/view/4049876543/',
+            description: null
+        }
+    ]);
+});
+
+test('returns no jobs for a people results page', () => {
+    const jobs = extractJobCards({
+        root: loadFixture('search-results', 'people-normal.html', 'https://www.linkedin.com/jobs/search/'),
+        selectors: getSelectors()
+    });
+    assert.deepStrictEqual(jobs, []);
+});
+
+test('extracts the description and top card of a job posting', () => {
+    const job = extractJobPosting({
+        root: loadFixture('job-pages', 'job-view.html', 'https://www.linkedin.com/jobs/view/4051234567/'),
+        selectors: getSelectors()
+    });
+
+    assert.deepStrictEqual(job, {
+        jobId: '4051234567',
+        title: 'Senior Product Manager, Payments',
+        company: 'Razorpay',
+        location: 'Bengaluru, Karnataka, India',
+        workplaceType: 'Hybrid',
+        postedText: '2 days ago',
+        applicants: 100,
+        description: [
+            'We are looking for a product manager to own card and UPI payment flows.',
+            'What you will do',
+            'Own the roadmap for online payments',
+            'Work with risk and engineering on checkout conversion'
+        ].join('\n')
+    });
+});
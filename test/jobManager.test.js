@@ -0,0 +1,340 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'job-manager-test-'));
+const { FEED_HTML, NO_PACING, loadFixture, installFakeBrowser, peopleSearchSite } = require('./fakeBrowser');
+
+const pages = {};
+const peopleSite = peopleSearchSite(pages);
+const browser = installFakeBrowser((url) => {
+    if (url.includes('/in/')) return { html: loadFixture('profile-pages/profile-full.html') };
+    return url.includes('/search/results/content/') ? contentSearchSite(url) : peopleSite(url);
+});
+
+const jobManager = require('../jobManager');
+const apiKeys = require('../apiKeys');
+const { profileKey, getProfile } = require('../profileStore');
+const { SESSION_PAGES_PER_DAY, sessionKeyFor, reserveSessionPage } = require('../pacingPolicy');
+const { saveCheckpoint, loadCheckpoint } = require('../checkpointStore');
+
+const SEARCH_URL = 'https://www.linkedin.com/search/results/people/?keywords=test';
+const CONTENT_SEARCH_URL = 'https://www.linkedin.com/search/results/content/?keywords=test';
+const COOKIES = 'li_at=test-session';
+
+// Content search as an infinite-scroll page: three posts at a time, the next
+// three appended whenever "Show more results" is clicked
+const POST_BATCHES = 3;
+
+function postCard(number) {
+    return `<li><div data-urn="urn:li:activity:72500000000000${String(number).padStart(5, '0')}">
+        <div class="update-components-actor"><a class="update-components-actor__meta-link" href="https://www.linkedin.com/in/author-${number}/">
+        <span class="update-components-actor__title">Author ${number}</span></a></div>
+        <div class="update-components-text">Post ${number}</div></div></li>`;
+}
+
+function postBatch(batch) {
+    return [1, 2, 3].map(offset => postCard(batch * 3 + offset)).join('');
+}
+
+function contentSearchSite(url) {
+    if (url.includes('/feed/')) return { html: FEED_HTML };
+    return {
+        html: `<html><body><main><ul role="list">${postBatch(0)}</ul>
+            <button class="scaffold-finite-scroll__load-button">Show more results</button></main></body></html>`,
+        setup: (window) => {
+            let batches = 1;
+            const list = window.document.querySelector('ul');
+            window.document.querySelector('button').addEventListener('click', () => {
+                if (batches < POST_BATCHES) list.insertAdjacentHTML('beforeend', postBatch(batches++));
+            });
+        }
+    };
+}
+
+// Resolves with every event of the job once it has finished
+function eventsUntilEnd(job) {
+    return new Promise((resolve) => {
+        const events = [];
+        jobManager.subscribe(job, {
+            onEvent: entry => events.push(entry),
+            onEnd: () => resolve(events)
+        });
+    });
+}
+
+test('a run that fails part way keeps its checkpoint and can be resumed', async () => {
+    pages[1] = loadFixture('search-results/people-normal.html');
+    pages[2] = { redirect: 'https://www.linkedin.com/login' };
+
+    const job = jobManager.createJob({ searchUrl: SEARCH_URL, cookies: COOKIES, maxPages: 2, pacing: NO_PACING });
+    const events = await eventsUntilEnd(job);
+
+    assert.strictEqual(job.status, 'failed');
+    assert.ok(!events.some(entry => entry.event === 'done'));
+    const checkpoint = await loadCheckpoint(job.id);
+    assert.deepStrictEqual(checkpoint.completedPages, [1]);
+
+    pages[2] = loadFixture('search-results/people-normal.html');
+    await jobManager.resumeJob(job.id, { cookies: COOKIES, sessionId: null });
+    const resumedEvents = await eventsUntilEnd(job);
+
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(resumedEvents.filter(entry => entry.event === 'done').length, 1);
+    assert.strictEqual(job.results.length, checkpoint.results.length * 2);
+    assert.strictEqual(await loadCheckpoint(job.id), null);
+});
+
+test('a fatal error fails the job instead of ending it like a completed run', async () => {
+    pages[1] = { redirect: 'https://www.linkedin.com/checkpoint/challenge' };
+
+    const job = jobManager.createJob({ searchUrl: SEARCH_URL, cookies: COOKIES, maxPages: 3, pacing: NO_PACING });
+    const events = await eventsUntilEnd(job);
+
+    const failure = events.find(entry => entry.event === 'error');
+    assert.deepStrictEqual(
+        { code: failure.data.code, fatal: failure.data.fatal, retryable: failure.data.retryable, page: failure.data.page },
+        { code: 'SESSION_EXPIRED', fatal: true, retryable: false, page: 1 }
+    );
+    assert.strictEqual(events[events.length - 1], failure);
+    assert.ok(!events.some(entry => entry.event === 'done'));
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(jobManager.summarizeJob(job).failure.code, 'SESSION_EXPIRED');
+});
+
+test('a run stops, resumable, once its key\'s daily page quota is spent', async () => {
+    pages[1] = loadFixture('search-results/people-normal.html');
+    pages[2] = loadFixture('search-results/people-normal.html');
+    const { id } = await apiKeys.createApiKey({ name: 'one page a day', quotas: { pagesPerDay: 1 } });
+
+    const job = jobManager.createJob({ searchUrl: SEARCH_URL, cookies: COOKIES, apiKeyId: id, maxPages: 2, pacing: NO_PACING });
+    const events = await eventsUntilEnd(job);
+
+    assert.ok(events.some(entry => entry.data.status === 'quota_exhausted'));
+    assert.ok(!events.some(entry => entry.event === 'done'));
+    assert.strictEqual(job.status, 'interrupted');
+    assert.strictEqual(job.pagesCompleted, 1);
+    assert.strictEqual(await apiKeys.reserveKeyPage(id), false);
+});
+
+test('a page the session\'s budget refuses is not taken from the key\'s quota', async () => {
+    pages[1] = loadFixture('search-results/people-normal.html');
+    const cookies = 'li_at=spent-session';
+    for (let i = 0; i < SESSION_PAGES_PER_DAY; i++) {
+        await reserveSessionPage(sessionKeyFor(cookies));
+    }
+    const { id } = await apiKeys.createApiKey({ name: 'spent session' });
+
+    const job = jobManager.createJob({ searchUrl: SEARCH_URL, cookies, apiKeyId: id, maxPages: 1, pacing: NO_PACING });
+    const events = await eventsUntilEnd(job);
+
+    assert.ok(events.some(entry => entry.data.status === 'budget_exhausted'));
+    assert.strictEqual(job.status, 'interrupted');
+    const [key] = (await apiKeys.listApiKeys()).filter(record => record.id === id);
+    assert.strictEqual(key.usage.pages, 0);
+});
+
+test('a resumed infinite-scroll search scrolls past the posts it already has', async () => {
+    const job = jobManager.createJob({ mode: 'content', searchUrl: CONTENT_SEARCH_URL, cookies: COOKIES, maxPages: 2, pacing: NO_PACING });
+    // Stop after the first batch
+    const unsubscribe = jobManager.subscribe(job, {
+        onEvent: (entry) => {
+            if (entry.data.status === 'extracted') jobManager.cancelJob(job.id);
+        },
+        onEnd: () => {}
+    });
+    await eventsUntilEnd(job);
+    unsubscribe();
+
+    assert.strictEqual(job.status, 'cancelled');
+    assert.deepStrictEqual(job.results.map(post => post.text), ['Post 1', 'Post 2', 'Post 3']);
+
+    await jobManager.resumeJob(job.id, { cookies: COOKIES, sessionId: null });
+    await eventsUntilEnd(job);
+
+    assert.strictEqual(job.status, 'completed');
+    assert.deepStrictEqual(job.results.map(post => post.text), ['Post 1', 'Post 2', 'Post 3', 'Post 4', 'Post 5', 'Post 6']);
+});
+
+test('a job waiting for a free slot is active and can be cancelled before it starts', async () => {
+    pages[1] = loadFixture('search-results/people-normal.html');
+
+    const running = jobManager.createJob({ searchUrl: SEARCH_URL, cookies: COOKIES, maxPages: 1, pacing: NO_PACING });
+    const queued = jobManager.createJob({ searchUrl: SEARCH_URL, cookies: COOKIES, maxPages: 1, pacing: NO_PACING });
+    assert.strictEqual(queued.status, 'queued');
+    assert.strictEqual(jobManager.isJobActive(queued), true);
+
+    const queuedEvents = eventsUntilEnd(queued);
+    jobManager.cancelJob(queued.id);
+    assert.strictEqual(queued.status, 'cancelled');
+    assert.strictEqual((await queuedEvents).pop().data.status, 'cancelled');
+
+    await eventsUntilEnd(running);
+    assert.strictEqual(running.status, 'completed');
+    assert.strictEqual(queued.results.length, 0);
+});
+
+test('a job runs from start to done, streaming every result', async () => {
+    pages[1] = loadFixture('search-results/people-normal.html');
+    const { id } = await apiKeys.createApiKey({ name: 'lifecycle' });
+
+    const job = jobManager.createJob({ searchUrl: SEARCH_URL, cookies: COOKIES, apiKeyId: id, maxPages: 1, pacing: NO_PACING });
+    assert.strictEqual(job.status, 'running');
+    assert.strictEqual(jobManager.getJob(job.id), job);
+    const events = await eventsUntilEnd(job);
+
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(jobManager.isJobActive(job), false);
+    assert.strictEqual(events[events.length - 1].event, 'done');
+    assert.deepStrictEqual(events.map(entry => entry.seq), events.map((entry, index) => index + 1));
+
+    const profiles = events.filter(entry => entry.event === 'profile').map(entry => entry.data);
+    assert.ok(profiles.length > 0);
+    assert.deepStrictEqual(job.results, profiles);
+
+    // Progress carries counts only; the profiles themselves reach the key's part of the shared store
+    const extracted = events.find(entry => entry.data.status === 'extracted');
+    assert.strictEqual(extracted.data.count, profiles.length);
+    assert.strictEqual(extracted.data.pageResults, undefined);
+    for (const profile of profiles) {
+        assert.ok(await getProfile(profileKey(profile), id));
+    }
+
+    const summary = jobManager.summarizeJob(job);
+    assert.strictEqual(summary.profilesCount, profiles.length);
+    assert.strictEqual(summary.pagesCompleted, 1);
+    assert.ok(summary.finishedAt);
+    assert.strictEqual(summary.results, undefined);
+});
+
+test('cancelling a running job stops it without done', async () => {
+    pages[1] = loadFixture('search-results/people-normal.html');
+    pages[2] = loadFixture('search-results/people-normal.html');
+
+    const job = jobManager.createJob({ searchUrl: SEARCH_URL, cookies: COOKIES, maxPages: 2, pacing: NO_PACING });
+    const unsubscribe = jobManager.subscribe(job, {
+        onEvent: (entry) => {
+            if (entry.event === 'profile') jobManager.cancelJob(job.id);
+        },
+        onEnd: () => {}
+    });
+    const events = await eventsUntilEnd(job);
+    unsubscribe();
+
+    assert.strictEqual(job.status, 'cancelled');
+    assert.ok(!events.some(entry => entry.event === 'done'));
+    // Stopped on the first page, before it was completed
+    assert.strictEqual(job.pagesCompleted, 0);
+    assert.strictEqual(jobManager.cancelJob('no-such-job'), null);
+});
+
+test('only a stopped job with a checkpoint can be resumed', async () => {
+    pages[1] = loadFixture('search-results/people-normal.html');
+
+    assert.strictEqual(await jobManager.resumeJob('no-such-job', { cookies: COOKIES, sessionId: null }), null);
+
+    const completed = jobManager.createJob({ searchUrl: SEARCH_URL, cookies: COOKIES, maxPages: 1, pacing: NO_PACING });
+    await eventsUntilEnd(completed);
+    await assert.rejects(jobManager.resumeJob(completed.id, { cookies: COOKIES, sessionId: null }), { statusCode: 409, message: /completed/ });
+
+    // Failed on its first page, so there is nothing to resume from
+    pages[1] = { redirect: 'https://www.linkedin.com/login' };
+    const failed = jobManager.createJob({ searchUrl: SEARCH_URL, cookies: COOKIES, maxPages: 1, pacing: NO_PACING });
+    await eventsUntilEnd(failed);
+    assert.strictEqual(failed.status, 'failed');
+    await assert.rejects(jobManager.resumeJob(failed.id, { cookies: COOKIES, sessionId: null }), { statusCode: 409, message: /No checkpoint/ });
+});
+
+test('a shutdown drops queued jobs and stops running ones after their current page, resumable', async () => {
+    pages[1] = loadFixture('search-results/people-normal.html');
+    pages[2] = loadFixture('search-results/people-normal.html');
+
+    const running = jobManager.createJob({ searchUrl: SEARCH_URL, cookies: COOKIES, maxPages: 2, pacing: NO_PACING });
+    const queued = jobManager.createJob({ searchUrl: SEARCH_URL, cookies: COOKIES, maxPages: 2, pacing: NO_PACING });
+    const runningEvents = eventsUntilEnd(running);
+    const queuedEvents = eventsUntilEnd(queued);
+
+    assert.strictEqual(await jobManager.shutdownJobs({ deadlineMs: 30000 }), 1);
+
+    assert.strictEqual(queued.status, 'interrupted');
+    assert.strictEqual((await queuedEvents).pop().data.status, 'server_shutting_down');
+
+    await runningEvents;
+    assert.strictEqual(running.status, 'interrupted');
+    assert.strictEqual(running.pagesCompleted, 1);
+    assert.deepStrictEqual((await loadCheckpoint(running.id)).completedPages, [1]);
+    assert.ok(running.events.some(entry => entry.data.status === 'server_shutting_down'));
+});
+
+test('a restored checkpoint without an API key stays unowned until an admin assigns it', async () => {
+    await saveCheckpoint('legacy-job', {
+        searchUrl: SEARCH_URL,
+        maxPages: 2,
+        completedPages: [1],
+        lastCompletedPage: 1,
+        results: [{ name: 'Legacy Profile' }]
+    });
+    await jobManager.restoreInterruptedJobs();
+
+    const job = jobManager.getJob('legacy-job');
+    assert.strictEqual(job.status, 'interrupted');
+    assert.strictEqual(job.apiKeyId, null);
+    assert.ok(jobManager.listUnownedJobs().includes(job));
+
+    const { id } = await apiKeys.createApiKey({ name: 'legacy owner' });
+    assert.strictEqual(await jobManager.assignJobOwner('legacy-job', id), job);
+    assert.strictEqual(job.apiKeyId, id);
+    assert.ok(!jobManager.listUnownedJobs().includes(job));
+    assert.strictEqual((await loadCheckpoint('legacy-job')).apiKeyId, id);
+
+    await assert.rejects(jobManager.assignJobOwner('legacy-job', id), { statusCode: 409 });
+    assert.strictEqual(await jobManager.assignJobOwner('no-such-job', id), null);
+});
+
+test('a resumed enrichment skips the profiles it had already visited', async () => {
+    const profiles = ['ana', 'ben', 'cat'].map(name => ({ name, profileUrl: `https://www.linkedin.com/in/${name}/` }));
+    await saveCheckpoint('enrich-job', {
+        mode: 'people',
+        searchUrl: SEARCH_URL,
+        maxPages: 1,
+        completedPages: [1],
+        lastCompletedPage: 1,
+        results: profiles,
+        enriched: [{ ...profiles[0], enrichedAt: '2026-10-18T09:00:00.000Z' }],
+        enrichedUrls: [profiles[0].profileUrl],
+        enrich: true,
+        pacing: NO_PACING
+    });
+    await jobManager.restoreInterruptedJobs();
+    const profileVisits = () => browser.visits.filter(url => url.includes('/in/'));
+    const visitsBefore = profileVisits().length;
+
+    // Stop after one more profile
+    await jobManager.resumeJob('enrich-job', { cookies: COOKIES, sessionId: null });
+    const job = jobManager.getJob('enrich-job');
+    const unsubscribe = jobManager.subscribe(job, {
+        onEvent: (entry) => {
+            if (entry.event === 'profile_enriched') jobManager.cancelJob(job.id);
+        },
+        onEnd: () => {}
+    });
+    await eventsUntilEnd(job);
+    unsubscribe();
+
+    assert.strictEqual(job.status, 'cancelled');
+    assert.deepStrictEqual(profileVisits().slice(visitsBefore), [profiles[1].profileUrl]);
+    await job.pendingCheckpoint;
+    const checkpoint = await loadCheckpoint(job.id);
+    assert.strictEqual(checkpoint.enriched.length, 2);
+    assert.deepStrictEqual(checkpoint.enrichedUrls, [profiles[0].profileUrl, profiles[1].profileUrl]);
+
+    await jobManager.resumeJob(job.id, { cookies: COOKIES, sessionId: null });
+    const events = await eventsUntilEnd(job);
+
+    assert.strictEqual(job.status, 'completed');
+    assert.deepStrictEqual(profileVisits().slice(visitsBefore), [profiles[1].profileUrl, profiles[2].profileUrl]);
+    assert.strictEqual(job.enriched.length, 3);
+    assert.strictEqual(events.pop().data.enrichedCount, 3);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const logger = require('../logger');
+
+// Collect what the logger writes to a stream while fn runs. Anything else,
+// such as the test runner's own reporting, is passed through.
+async function captureLines(stream, fn) {
+    const lines = [];
+    const write = stream.write;
+    stream.write = (chunk, ...args) => {
+        if (typeof chunk === 'string' && chunk.startsWith('{"time"')) {
+            lines.push(JSON.parse(chunk));
+            return true;
+        }
+        return write.call(stream, chunk, ...args);
+    };
+    try {
+        await fn();
+    } finally {
+        stream.write = write;
+    }
+    return lines;
+}
+
+test('writes one JSON object per line with the message and fields', async () => {
+    const lines = await captureLines(process.stdout, () => logger.info('Page loaded', { page: 3 }));
+
+    assert.strictEqual(lines.length, 1);
+    assert.strictEqual(lines[0].level, 'info');
+    assert.strictEqual(lines[0].msg, 'Page loaded');
+    assert.strictEqual(lines[0].page, 3);
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+});
+
+test('errors and warnings go to stderr with the error message and stack', async () => {
+    const lines = await captureLines(process.stderr, () => logger.error('Search failed', new Error('Navigation timeout')));
+
+    assert.strictEqual(lines[0].level, 'error');
+    assert.strictEqual(lines[0].error, 'Navigation timeout');
+    assert.match(lines[0].stack, /Navigation timeout/);
+});
+
+test('lines logged inside a run carry its context, even across awaits', async () => {
+    const lines = await captureLines(process.stdout, () => logger.withLogContext({ runId: 'run-1', mode: 'people' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        logger.info('Extracted page');
+        await logger.withLogContext({ page: 2 }, async () => logger.info('Nested'));
+    }));
+    const outside = await captureLines(process.stdout, () => logger.info('Outside'));
+
+    assert.deepStrictEqual(lines.map(line => [line.msg, line.runId, line.mode, line.page]), [
+        ['Extracted page', 'run-1', 'people', undefined],
+        ['Nested', 'run-1', 'people', 2]
+    ]);
+    assert.strictEqual(outside[0].runId, undefined);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const metrics = require('../metrics');
+
+test('sorts run errors into categories', () => {
+    assert.strictEqual(metrics.errorCategory(new Error('LinkedIn session expired. Please provide new cookies.')), 'session_expired');
+    assert.strictEqual(metrics.errorCategory(new Error('LinkedIn has detected unusual activity and blocked access.')), 'blocked');
+    const timeout = new Error('Navigation timeout of 30000 ms exceeded');
+    timeout.name = 'TimeoutError';
+    assert.strictEqual(metrics.errorCategory(timeout), 'navigation_timeout');
+    assert.strictEqual(metrics.errorCategory(new Error('Failed to navigate to search results page 7')), 'other');
+
+    const captcha = new Error('Please verify');
+    captcha.code = 'SECURITY_CHECK';
+    assert.strictEqual(metrics.errorCategory(captcha), 'blocked');
+});
+
+test('exposes scraper metrics in the Prometheus text format', async () => {
+    metrics.runsStarted.inc({ mode: 'people' });
+    metrics.pagesAttempted.inc({ mode: 'people' });
+    metrics.itemsPerPage.observe({ mode: 'people' }, 10);
+    metrics.scrapeErrors.inc({ mode: 'people', category: 'no_results' });
+
+    const text = await metrics.registry.metrics();
+    assert.match(text, /^scraper_runs_started_total\{mode="people"\} 1$/m);
+    assert.match(text, /^scraper_pages_attempted_total\{mode="people"\} 1$/m);
+    assert.match(text, /^scraper_items_per_page_count\{mode="people"\} 1$/m);
+    assert.match(text, /^scraper_errors_total\{mode="people",category="no_results"\} 1$/m);
+    assert.match(text, /^scraper_active_browsers 0$/m);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pacing-test-'));
+process.env.SESSION_PAGES_PER_DAY = '3';
+const {
+    PACING_PRESETS,
+    resolvePacing,
+    pageDelay,
+    sessionKeyFor,
+    checkSessionBudget,
+    reserveSessionPage,
+    describeSessionBudget
+} = require('../pacingPolicy');
+
+test('resolvePacing starts from a preset and applies overrides', () => {
+    assert.deepStrictEqual(resolvePacing(), { preset: 'standard', ...PACING_PRESETS.standard });
+    assert.strictEqual(resolvePacing('cautious').pageSettleMs, PACING_PRESETS.cautious.pageSettleMs);
+
+    const policy = resolvePacing({ preset: 'fast', pageSettleMs: 12000, highRiskPages: [9, 3, 9] });
+    assert.strictEqual(policy.preset, 'fast');
+    assert.strictEqual(policy.pageSettleMs, 12000);
+    assert.deepStrictEqual(policy.highRiskPages, [3, 9]);
+});
+
+test('resolvePacing rejects unknown presets, fields and values faster than the fast preset', () => {
+    assert.throws(() => resolvePacing('reckless'), /preset must be one of cautious, standard, fast/);
+    assert.throws(() => resolvePacing({ pageDelay: 1 }), /unknown pacing field "pageDelay"/);
+    assert.throws(() => resolvePacing({ errorBackoffMs: 0 }), /errorBackoffMs must be an integer from 10000/);
+    assert.throws(() => resolvePacing({ highRiskPages: 'all' }), /list of page numbers/);
+});
+
+test('pageDelay grows with the page number and adds the high-risk delay', () => {
+    const policy = { ...resolvePacing('standard'), pageDelayJitterMs: 0 };
+    assert.strictEqual(pageDelay(policy, 1), 6000);
+    assert.strictEqual(pageDelay(policy, 7), 5000 + 7000 + 5000);
+});
+
+test('sessions share a daily page budget keyed by their li_at cookie', async () => {
+    const key = sessionKeyFor('JSESSIONID="ajax:1"; li_at=AQEDAT-token');
+    assert.strictEqual(key, sessionKeyFor('li_at=AQEDAT-token'));
+    assert.notStrictEqual(key, sessionKeyFor('li_at=other-token'));
+    assert.strictEqual(sessionKeyFor('JSESSIONID="ajax:1"'), null);
+
+    assert.strictEqual(await checkSessionBudget(key, 10), 3);
+    assert.strictEqual(await reserveSessionPage(key), true);
+    assert.strictEqual(await checkSessionBudget(key, 10), 2);
+    assert.strictEqual(await reserveSessionPage(key), true);
+    assert.strictEqual(await reserveSessionPage(key), true);
+    assert.strictEqual(await reserveSessionPage(key), false);
+
+    assert.strictEqual((await describeSessionBudget(key)).pagesRemaining, 0);
+    await assert.rejects(() => checkSessionBudget(key, 1), /daily budget of 3 pages/);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'session-budgets.json'), 'utf8'));
+    assert.strictEqual(stored[key].pages, 3);
+});
@@ -0,0 +1,160 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { extractProfileCards, extractProfileDetails } = require('../profileExtractors');
+const { getSelectors } = require('../selectorRegistry');
+
+const SEARCH_URL = 'https://www.linkedin.com/search/results/people/?keywords=test';
+
+function loadFixture(name) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'search-results', name), 'utf8');
+    return new JSDOM(html, { url: SEARCH_URL }).window.document;
+}
+
+function loadProfilePage(name) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'profile-pages', name), 'utf8');
+    return new JSDOM(html, { url: 'https://www.linkedin.com/in/priya-sharma-42/?trk=search' }).window.document;
+}
+
+test('extracts regular profile cards', () => {
+    const profiles = extractProfileCards({ root: loadFixture('people-normal.html'), selectors: getSelectors() });
+
+    assert.strictEqual(profiles.length, 3);
+    assert.deepStrictEqual(profiles[0], {
+        name: 'Priya Sharma',
+        title: 'Senior Product Manager at Acme, Inc.',
+        location: 'Bengaluru, Karnataka, India',
+        profileUrl: 'https://www.linkedin.com/in/priya-sharma-42/',
+        linkedinId: 'priya-sharma-42',
+        connectionDegree: '2nd degree connection',
+        isAnonymous: false,
+        profileImage: {
+            src: 'https://media.licdn.com/dms/image/priya.jpg',
+            alt: 'Priya Sharma',
+            width: 48,
+            height: 48
+        },
+        resultUrn: 'urn:li:member:11111111'
+    });
+});
+
+test('keeps punctuation and emoji in names and titles', () => {
+    const [, jose] = extractProfileCards({ root: loadFixture('people-normal.html'), selectors: getSelectors() });
+
+    assert.strictEqual(jose.name, 'José Martín, MBA');
+    assert.strictEqual(jose.title, 'Head of Product | Payments 🚀');
+    assert.strictEqual(jose.connectionDegree, '1st degree connection');
+    assert.strictEqual(jose.profileImage, null);
+});
+
+test('fills placeholders for missing fields', () => {
+    const sam = extractProfileCards({ root: loadFixture('people-normal.html'), selectors: getSelectors() })[2];
+
+    assert.strictEqual(sam.title, 'Product Manager');
+    assert.strictEqual(sam.location, 'No location listed');
+    assert.strictEqual(sam.connectionDegree, '3rd+ degree connection');
+});
+
+test('marks "LinkedIn Member" cards as anonymous', () => {
+    const profiles = extractProfileCards({ root: loadFixture('people-anonymous.html'), selectors: getSelectors() });
+
+    assert.strictEqual(profiles.length, 2);
+    assert.strictEqual(profiles[0].isAnonymous, false);
+    assert.deepStrictEqual(profiles[1], {
+        name: 'LinkedIn Member',
+        title: 'Staff Software Engineer',
+        location: 'Greater Seattle Area',
+        profileUrl: '',
+        linkedinId: 'headless',
+        connectionDegree: '',
+        isAnonymous: true,
+        profileImage: null,
+        resultUrn: 'urn:li:member:55555555'
+    });
+});
+
+test('returns no profiles for an empty results page', () => {
+    const profiles = extractProfileCards({ root: loadFixture('people-no-results.html'), selectors: getSelectors() });
+
+    assert.deepStrictEqual(profiles, []);
+});
+
+test('reports which selector of each list matched', () => {
+    const { items, selectorMatches } = extractProfileCards({
+        root: loadFixture('people-normal.html'),
+        selectors: getSelectors(),
+        reportMatches: true
+    });
+
+    assert.strictEqual(items.length, 3);
+    assert.deepStrictEqual(selectorMatches['profileCards.result'], { 'ul[role="list"] > li': 1 });
+    const nameLookups = Object.values(selectorMatches['profileCards.name']).reduce((sum, count) => sum + count, 0);
+    assert.ok(nameLookups >= items.length);
+});
+
+
+test('extracts profile page details section by section', () => {
+    const details = extractProfileDetails({ root: loadProfilePage('profile-full.html'), selectors: getSelectors() });
+
+    assert.strictEqual(details.profileUrl, 'https://www.linkedin.com/in/priya-sharma-42/');
+    assert.strictEqual(details.linkedinId, 'priya-sharma-42');
+    assert.strictEqual(details.headline, 'Senior Product Manager at Acme, Inc. | Payments & Risk');
+    assert.strictEqual(details.about, 'I build payment products that millions of merchants rely on. Previously led risk tooling at Initech.');
+    assert.deepStrictEqual(details.education, [{
+        school: 'Indian Institute of Technology, Bombay',
+        degree: 'Bachelor of Technology - BTech, Computer Science',
+        dateRange: '2011 - 2015'
+    }]);
+    assert.deepStrictEqual(details.skills, ['Product Management', 'Payments', 'SQL']);
+    assert.deepStrictEqual(details.languages, [
+        { name: 'English', proficiency: 'Full professional proficiency' },
+        { name: 'Hindi', proficiency: 'Native or bilingual proficiency' }
+    ]);
+});
+
+test('splits grouped roles at one company into separate positions', () => {
+    const { experience } = extractProfileDetails({ root: loadProfilePage('profile-full.html'), selectors: getSelectors() });
+
+    assert.deepStrictEqual(experience, [
+        {
+            title: 'Senior Product Manager',
+            company: 'Acme, Inc.',
+            employmentType: null,
+            dateRange: 'Mar 2021 - Present · 3 yrs 8 mos',
+            startDate: 'Mar 2021',
+            endDate: 'Present',
+            duration: '3 yrs 8 mos',
+            location: null
+        },
+        {
+            title: 'Product Manager',
+            company: 'Acme, Inc.',
+            employmentType: null,
+            dateRange: 'Aug 2018 - Mar 2021 · 2 yrs 8 mos',
+            startDate: 'Aug 2018',
+            endDate: 'Mar 2021',
+            duration: '2 yrs 8 mos',
+            location: 'Remote'
+        },
+        {
+            title: 'Risk Analyst',
+            company: 'Initech',
+            employmentType: 'Full-time',
+            dateRange: 'Jul 2015 - Jul 2018 · 3 yrs 1 mo',
+            startDate: 'Jul 2015',
+            endDate: 'Jul 2018',
+            duration: '3 yrs 1 mo',
+            location: 'Pune, Maharashtra, India'
+        }
+    ]);
+});
+
+test('leaves missing profile sections empty', () => {
+    const details = extractProfileDetails({ root: loadFixture('people-no-results.html'), selectors: getSelectors() });
+
+    assert.strictEqual(details.about, null);
+    assert.deepStrictEqual(details.experience, []);
+    assert.deepStrictEqual(details.skills, []);
+});
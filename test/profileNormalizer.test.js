@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    parsePositionAndCompany,
+    parseName,
+    parseLocation,
+    parseDegree,
+    normalizeProfile
+} = require('../profileNormalizer');
+
+test('splits credentials off names but keeps generational suffixes', () => {
+    assert.deepStrictEqual(parseName('Jane Doe, MBA'), { firstName: 'Jane', lastName: 'Doe', credentials: ['MBA'] });
+    assert.deepStrictEqual(parseName('Priya  Raghavan, PhD, PMP'),
+        { firstName: 'Priya', lastName: 'Raghavan', credentials: ['PhD', 'PMP'] });
+    assert.deepStrictEqual(parseName('Sam Lee, P.Eng., CFA®'), { firstName: 'Sam', lastName: 'Lee', credentials: ['P.Eng.', 'CFA®'] });
+    assert.deepStrictEqual(parseName('Robert Downey, Jr.'), { firstName: 'Robert', lastName: 'Downey Jr.', credentials: [] });
+    assert.deepStrictEqual(parseName('Cher'), { firstName: 'Cher', lastName: null, credentials: [] });
+    assert.deepStrictEqual(parseName('LinkedIn Member'), { firstName: null, lastName: null, credentials: [] });
+});
+
+test('splits titles into position and company', () => {
+    assert.deepStrictEqual(parsePositionAndCompany('Data Engineer at Acme, Inc.'), { position: 'Data Engineer', company: 'Acme, Inc.' });
+    assert.deepStrictEqual(parsePositionAndCompany('Founder @ Initech'), { position: 'Founder', company: 'Initech' });
+    assert.deepStrictEqual(parsePositionAndCompany('Head of Product | Payments'), { position: 'Head of Product', company: 'Payments' });
+    assert.deepStrictEqual(parsePositionAndCompany('Recruiter'), { position: 'Recruiter', company: '' });
+});
+
+test('splits locations into city, region and country', () => {
+    assert.deepStrictEqual(parseLocation('Bengaluru, Karnataka, India'), { city: 'Bengaluru', region: 'Karnataka', country: 'India' });
+    assert.deepStrictEqual(parseLocation('Karnataka, India'), { city: null, region: 'Karnataka', country: 'India' });
+    assert.deepStrictEqual(parseLocation('Germany'), { city: null, region: null, country: 'Germany' });
+    assert.deepStrictEqual(parseLocation('San Francisco Bay Area'), { city: null, region: 'San Francisco Bay Area', country: null });
+    assert.deepStrictEqual(parseLocation('No location listed'), { city: null, region: null, country: null });
+});
+
+test('reads the connection degree as a number', () => {
+    assert.strictEqual(parseDegree('1st degree connection'), 1);
+    assert.strictEqual(parseDegree('3rd+ degree connection'), 3);
+    assert.strictEqual(parseDegree(''), null);
+});
+
+test('replaces placeholders with null and keeps the raw fields', () => {
+    const card = {
+        name: 'LinkedIn Member',
+        title: 'No title listed',
+        location: 'No location listed',
+        profileUrl: 'https://www.linkedin.com/search/results/people/headless',
+        linkedinId: 'headless',
+        connectionDegree: '',
+        isAnonymous: true,
+        profileImage: null,
+        resultUrn: 'urn:li:fsd_profile:headless-1'
+    };
+    const profile = normalizeProfile(card);
+
+    assert.strictEqual(profile.name, null);
+    assert.strictEqual(profile.title, null);
+    assert.strictEqual(profile.position, null);
+    assert.strictEqual(profile.location, null);
+    assert.strictEqual(profile.profileUrl, null);
+    assert.strictEqual(profile.linkedinId, null);
+    assert.strictEqual(profile.connectionDegree, null);
+    assert.strictEqual(profile.degree, null);
+    assert.strictEqual(profile.isAnonymous, true);
+    assert.strictEqual(profile.resultUrn, 'urn:li:fsd_profile:headless-1');
+    assert.deepStrictEqual(profile.raw, {
+        name: card.name,
+        title: card.title,
+        location: card.location,
+        profileUrl: card.profileUrl,
+        linkedinId: card.linkedinId,
+        connectionDegree: card.connectionDegree
+    });
+});
+
+test('normalizes a complete profile card', () => {
+    const profile = normalizeProfile({
+        name: 'José Martín, MBA',
+        title: 'Head of Product at Cabify',
+        location: 'Madrid, Community of Madrid, Spain',
+        profileUrl: 'https://www.linkedin.com/in/jmartin/',
+        linkedinId: 'jmartin',
+        connectionDegree: '2nd degree connection',
+        isAnonymous: false,
+        profileImage: null,
+        resultUrn: ''
+    });
+
+    assert.strictEqual(profile.name, 'José Martín, MBA');
+    assert.strictEqual(profile.firstName, 'José');
+    assert.strictEqual(profile.lastName, 'Martín');
+    assert.deepStrictEqual(profile.credentials, ['MBA']);
+    assert.strictEqual(profile.position, 'Head of Product');
+    assert.strictEqual(profile.company, 'Cabify');
+    assert.strictEqual(profile.city, 'Madrid');
+    assert.strictEqual(profile.region, 'Community of Madrid');
+    assert.strictEqual(profile.country, 'Spain');
+    assert.strictEqual(profile.profileUrl, 'https://www.linkedin.com/in/jmartin/');
+    assert.strictEqual(profile.linkedinId, 'jmartin');
+    assert.strictEqual(profile.degree, 2);
+    assert.strictEqual(profile.resultUrn, null);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-store-test-'));
+const { profileKey, upsertProfiles, listProfiles, getProfile } = require('../profileStore');
+
+const PROFILES_FILE = path.join(process.env.DATA_DIR, 'profiles.json');
+const SEARCH_A = 'https://www.linkedin.com/search/results/people/?keywords=payments';
+const SEARCH_B = 'https://www.linkedin.com/search/results/people/?keywords=fintech';
+const KEY_ID = 'key-1';
+
+function profile(fields) {
+    return {
+        name: 'Priya Sharma',
+        title: 'Product Manager at Acme',
+        location: 'Bengaluru',
+        profileUrl: 'https://www.linkedin.com/in/priya-sharma-42',
+        linkedinId: 'priya-sharma-42',
+        resultUrn: '',
+        ...fields
+    };
+}
+
+test('profiles are keyed by their LinkedIn ID, or the result URN for headless members', () => {
+    assert.strictEqual(profileKey(profile()), 'priya-sharma-42');
+    assert.strictEqual(profileKey(profile({ linkedinId: 'headless', resultUrn: 'urn:li:fsd_profile:headless-1' })), 'urn:li:fsd_profile:headless-1');
+    assert.strictEqual(profileKey(profile({ linkedinId: 'headless' })), null);
+});
+
+test('the same profile seen again is merged into one record and its searches are appended', async () => {
+    assert.deepStrictEqual(await upsertProfiles([profile()], { searchUrl: SEARCH_A, apiKeyId: KEY_ID }), { inserted: 1, updated: 0 });
+    const first = await getProfile('priya-sharma-42', KEY_ID);
+    const firstSeenAt = first.firstSeenAt;
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const promoted = profile({ title: 'Senior Product Manager at Acme' });
+    assert.deepStrictEqual(await upsertProfiles([promoted], { searchUrl: SEARCH_B, apiKeyId: KEY_ID }), { inserted: 0, updated: 1 });
+    await upsertProfiles([promoted], { searchUrl: SEARCH_A, apiKeyId: KEY_ID });
+
+    const record = await getProfile('priya-sharma-42', KEY_ID);
+    assert.strictEqual(record.profile.title, 'Senior Product Manager at Acme');
+    assert.strictEqual(record.firstSeenAt, firstSeenAt);
+    assert.ok(record.lastSeenAt > firstSeenAt);
+    assert.deepStrictEqual(record.searches, [SEARCH_A, SEARCH_B]);
+
+    const { total, profiles } = await listProfiles({ apiKeyId: KEY_ID, search: 'priya' });
+    assert.strictEqual(total, 1);
+    assert.strictEqual(profiles[0].key, 'priya-sharma-42');
+});
+
+test('a key only sees the profiles its own runs surfaced, with its own searches', async () => {
+    await upsertProfiles([profile({ linkedinId: 'shared-member' }), profile({ linkedinId: 'private-member' })], { searchUrl: SEARCH_A, apiKeyId: 'key-2' });
+    await upsertProfiles([profile({ linkedinId: 'shared-member' })], { searchUrl: SEARCH_B, apiKeyId: 'key-3' });
+
+    assert.deepStrictEqual((await getProfile('shared-member', 'key-3')).searches, [SEARCH_B]);
+    assert.deepStrictEqual((await getProfile('shared-member', 'key-2')).searches, [SEARCH_A]);
+    assert.strictEqual(await getProfile('private-member', 'key-3'), null);
+
+    const { profiles } = await listProfiles({ apiKeyId: 'key-3' });
+    assert.deepStrictEqual(profiles.map(record => record.key), ['shared-member']);
+    assert.strictEqual((await listProfiles({})).total, 0);
+});
+
+test('profiles without any key are skipped', async () => {
+    assert.deepStrictEqual(
+        await upsertProfiles([profile({ linkedinId: 'headless', profileUrl: '' })], { searchUrl: SEARCH_A, apiKeyId: KEY_ID }),
+        { inserted: 0, updated: 0 }
+    );
+});
+
+test('concurrent upserts all land in a complete file, without leftover temp files', async () => {
+    await Promise.all(Array.from({ length: 10 }, (_, index) => upsertProfiles(
+        [profile({ name: `Member ${index}`, linkedinId: `member-${index}`, profileUrl: `https://www.linkedin.com/in/member-${index}` })],
+        { searchUrl: SEARCH_B, apiKeyId: KEY_ID }
+    )));
+
+    const stored = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+    for (let index = 0; index < 10; index++) {
+        assert.strictEqual(stored[`member-${index}`].profile.name, `Member ${index}`);
+    }
+    assert.ok(stored['priya-sharma-42']);
+    assert.deepStrictEqual(fs.readdirSync(process.env.DATA_DIR).filter(file => file.endsWith('.tmp')), []);
+});
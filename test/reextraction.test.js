@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'reextraction-test-'));
+const { archivePage, getArchive, listArchives, getReextraction, pruneArchives } = require('../pageArchive');
+const { diffResults, reextractArchive } = require('../reextraction');
+
+const SEARCH_URL = 'https://www.linkedin.com/search/results/people/?keywords=test';
+
+function loadFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'search-results', name), 'utf8');
+}
+
+test('diffs result sets by item key, field by field', () => {
+    const keyOf = item => item.id;
+    const diff = diffResults(
+        [{ id: 1, title: 'Engineer' }, { id: 2, title: 'Designer' }, { id: 3, title: 'Recruiter' }],
+        [{ id: 1, title: 'Engineer' }, { id: 2, title: 'Product Designer', city: 'Pune' }, { id: 4, title: 'Founder' }],
+        keyOf
+    );
+
+    assert.deepStrictEqual(diff.added, [{ id: 4, title: 'Founder' }]);
+    assert.deepStrictEqual(diff.removed, [{ id: 3, title: 'Recruiter' }]);
+    assert.deepStrictEqual(diff.changed, [{
+        key: 2,
+        fields: {
+            title: { before: 'Designer', after: 'Product Designer' },
+            city: { before: undefined, after: 'Pune' }
+        }
+    }]);
+    assert.strictEqual(diff.unchangedCount, 1);
+});
+
+test('archives are only visible to the key that created them', async () => {
+    await archivePage('job-a', {
+        owner: 'key-1',
+        mode: 'people',
+        searchUrl: SEARCH_URL,
+        pageNumber: 1,
+        url: SEARCH_URL,
+        html: loadFixture('people-no-results.html'),
+        items: []
+    });
+
+    assert.strictEqual((await getArchive('job-a', 'key-1')).pages.length, 1);
+    assert.strictEqual(await getArchive('job-a', 'key-2'), null);
+    assert.strictEqual(await getArchive('../job-a', 'key-1'), null);
+    assert.deepStrictEqual((await listArchives('key-2')), []);
+});
+
+test('re-extracts an archived run with the current extractors and diffs it against the original', async () => {
+    // What an older extractor made of the page: one card missed, one title cut short
+    const html = loadFixture('people-normal.html');
+    await archivePage('job-b', {
+        owner: 'key-1',
+        mode: 'people',
+        searchUrl: SEARCH_URL,
+        pageNumber: 1,
+        url: SEARCH_URL,
+        html,
+        items: [
+            { name: 'Priya Sharma', title: 'Senior Product Manager', linkedinId: 'priya-sharma-42' },
+            { name: 'Gone Person', title: 'Engineer', linkedinId: 'gone-person' }
+        ]
+    });
+
+    const archive = await getArchive('job-b', 'key-1');
+    // Extractors run in the server process here, where plain console output
+    // would break the JSON log stream
+    const consoleOutput = [];
+    const { log, error } = console;
+    console.log = console.error = (...args) => consoleOutput.push(args);
+    let reextraction;
+    try {
+        reextraction = await reextractArchive(archive);
+    } finally {
+        Object.assign(console, { log, error });
+    }
+    assert.deepStrictEqual(consoleOutput, []);
+
+    assert.strictEqual(reextraction.mode, 'people');
+    assert.strictEqual(reextraction.originalCount, 2);
+    assert.strictEqual(reextraction.resultsCount, 3);
+    assert.strictEqual(reextraction.results[0].firstName, 'Priya');
+    assert.strictEqual(reextraction.results[0].company, 'Acme, Inc.');
+
+    assert.strictEqual(reextraction.diff.added.length, 2);
+    assert.deepStrictEqual(reextraction.diff.removed.map(item => item.linkedinId), ['gone-person']);
+    assert.strictEqual(reextraction.diff.changed[0].key, 'priya-sharma-42');
+    assert.deepStrictEqual(reextraction.diff.changed[0].fields.title, {
+        before: 'Senior Product Manager',
+        after: 'Senior Product Manager at Acme, Inc.'
+    });
+
+    const stored = await getReextraction('job-b', reextraction.id);
+    assert.strictEqual(stored.results.length, 3);
+});
+
+test('prunes archives past the retention period or the count limit, oldest first', async () => {
+    await archivePage('job-c', {
+        owner: 'key-1',
+        mode: 'people',
+        searchUrl: SEARCH_URL,
+        pageNumber: 1,
+        url: SEARCH_URL,
+        html: loadFixture('people-no-results.html'),
+        items: []
+    });
+
+    // job-a is the oldest archive, so it goes first when only two may stay
+    assert.deepStrictEqual(await pruneArchives({ maxArchives: 2 }), ['job-a']);
+    assert.deepStrictEqual(await pruneArchives(), []);
+    assert.strictEqual(await getArchive('job-a', 'key-1'), null);
+
+    const later = Date.now() + 73 * 60 * 60 * 1000;
+    assert.deepStrictEqual((await pruneArchives({ now: later })).sort(), ['job-b', 'job-c']);
+    assert.deepStrictEqual(await listArchives('key-1'), []);
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.MAX_CONCURRENT_SCRAPES = '2';
+const { schedule, unschedule, getSchedulerStats } = require('../scheduler');
+
+// A run that stays in progress until finish() is called
+function controlledRun(id, started) {
+    let finish;
+    const finished = new Promise((resolve) => {
+        finish = resolve;
+    });
+    const updates = [];
+    const startedNow = schedule(id, {
+        run: () => {
+            started.push(id);
+            return finished;
+        },
+        onQueueUpdate: update => updates.push(update)
+    });
+    return { startedNow, updates, finish };
+}
+
+// Lets the scheduler react to a run that just finished
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs at most MAX_CONCURRENT_SCRAPES at once and starts queued runs in order', async () => {
+    const started = [];
+    const runs = ['a', 'b', 'c', 'd'].map(id => controlledRun(id, started));
+
+    assert.deepStrictEqual(runs.map(run => run.startedNow), [true, true, false, false]);
+    assert.deepStrictEqual(started, ['a', 'b']);
+    const stats = getSchedulerStats();
+    assert.deepStrictEqual([stats.maxConcurrent, stats.running, stats.queued], [2, 2, 2]);
+    assert.strictEqual(runs[2].updates[0].position, 1);
+    assert.strictEqual(runs[3].updates[0].position, 2);
+
+    runs[1].finish();
+    await settle();
+    assert.deepStrictEqual(started, ['a', 'b', 'c']);
+    assert.strictEqual(runs[3].updates[runs[3].updates.length - 1].position, 1);
+
+    runs[0].finish();
+    await settle();
+    assert.deepStrictEqual(started, ['a', 'b', 'c', 'd']);
+
+    runs[2].finish();
+    runs[3].finish();
+    await settle();
+    assert.strictEqual(getSchedulerStats().running, 0);
+});
+
+test('a queued run can be dropped before it starts, and the queue moves up', async () => {
+    const started = [];
+    const runs = ['e', 'f', 'g', 'h'].map(id => controlledRun(id, started));
+
+    assert.strictEqual(unschedule('g'), true);
+    assert.strictEqual(unschedule('g'), false);
+    assert.strictEqual(unschedule('e'), false);
+    assert.strictEqual(runs[3].updates[runs[3].updates.length - 1].position, 1);
+
+    runs[0].finish();
+    await settle();
+    assert.deepStrictEqual(started, ['e', 'f', 'h']);
+    assert.strictEqual(getSchedulerStats().queued, 0);
+
+    runs[1].finish();
+    runs[3].finish();
+    await settle();
+});
+
+test('a run that throws frees its slot', async () => {
+    const started = [];
+    schedule('broken', {
+        run: () => {
+            throw new Error('Browser could not be launched');
+        },
+        onQueueUpdate: () => {}
+    });
+    await settle();
+    assert.strictEqual(getSchedulerStats().running, 0);
+
+    const next = controlledRun('after-broken', started);
+    assert.strictEqual(next.startedNow, true);
+    next.finish();
+    await settle();
+});
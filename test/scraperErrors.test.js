@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { scraperError, errorCode, isRetryable, errorEvent } = require('../scraperErrors');
+
+test('codes thrown errors, treating puppeteer timeouts as navigation timeouts', () => {
+    assert.strictEqual(errorCode(scraperError('SESSION_EXPIRED', 'LinkedIn session expired')), 'SESSION_EXPIRED');
+
+    const timeout = new Error('Navigation timeout of 30000 ms exceeded');
+    timeout.name = 'TimeoutError';
+    assert.strictEqual(errorCode(timeout), 'NAVIGATION_TIMEOUT');
+
+    const socketError = new Error('socket hang up');
+    socketError.code = 'ECONNRESET';
+    assert.strictEqual(errorCode(socketError), 'UNKNOWN');
+});
+
+test('only failures a later retry can get past are retryable', () => {
+    assert.strictEqual(isRetryable(scraperError('MISSING_AUTH_COOKIE', 'No li_at')), false);
+    assert.strictEqual(isRetryable(scraperError('SECURITY_CHECK', 'CAPTCHA')), false);
+    assert.strictEqual(isRetryable(scraperError('RESULTS_CONTAINER_MISSING', 'No results list')), true);
+    assert.strictEqual(isRetryable(new Error('Something odd')), true);
+});
+
+test('fatal errors and warnings are told apart in the event payload', () => {
+    const error = scraperError('NAVIGATION_FAILED', 'Failed to navigate to search results page 3');
+
+    assert.deepStrictEqual(errorEvent(error, { fatal: false, page: 3, message: `Search failed on page 3: ${error.message}` }), {
+        status: 'warning',
+        code: 'NAVIGATION_FAILED',
+        message: 'Search failed on page 3: Failed to navigate to search results page 3',
+        retryable: true,
+        fatal: false,
+        page: 3
+    });
+
+    const fatal = errorEvent(scraperError('BROWSER_LAUNCH_FAILED', 'Could not get a browser'), { fatal: true });
+    assert.strictEqual(fatal.status, 'error');
+    assert.strictEqual(fatal.page, null);
+    assert.strictEqual(fatal.message, 'Could not get a browser');
+});
@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateSearch, listFacetNames, compileSearch, normalizeSearchUrl, resolveSearch } = require('../searchBuilder');
+
+test('compileSearch writes facets as JSON lists in a fixed order', () => {
+    const url = new URL(compileSearch({
+        profileLanguage: ['EN'],
+        network: [2, 'F'],
+        currentCompany: ['1441', 1035, '1441'],
+        title: '  Product Manager ',
+        keywords: 'payments'
+    }));
+
+    assert.strictEqual(url.origin + url.pathname, 'https://www.linkedin.com/search/results/people/');
+    assert.deepStrictEqual(Array.from(url.searchParams.keys()), [
+        'keywords', 'titleFreeText', 'currentCompany', 'network', 'profileLanguage', 'origin'
+    ]);
+    assert.strictEqual(url.searchParams.get('titleFreeText'), 'Product Manager');
+    assert.strictEqual(url.searchParams.get('currentCompany'), '["1035","1441"]');
+    assert.strictEqual(url.searchParams.get('network'), '["F","S"]');
+    assert.strictEqual(url.searchParams.get('profileLanguage'), '["en"]');
+});
+
+test('equivalent searches compile to the same URL', () => {
+    assert.strictEqual(
+        compileSearch({ geoUrn: ['103644278', '101165590'], keywords: 'cto' }),
+        compileSearch({ keywords: ' cto', geoUrn: [101165590, 103644278] })
+    );
+});
+
+test('validateSearch reports every problem at once', () => {
+    assert.throws(() => validateSearch({
+        keywords: '("engineer" OR developer',
+        currentCompany: ['google'],
+        network: ['4'],
+        seniority: 'senior'
+    }), (error) => {
+        assert.strictEqual(error.statusCode, 400);
+        assert.deepStrictEqual(error.errors, [
+            'unknown field "seniority" for people search',
+            'keywords has unbalanced parentheses',
+            'currentCompany has an invalid value "google"',
+            'network has an invalid value "4"'
+        ]);
+        return true;
+    });
+});
+
+test('company searches have their own page and filters', () => {
+    const url = new URL(compileSearch({ keywords: 'fintech', companySize: ['51-200', 'E'], geoUrn: ['90000084'] }, 'companies'));
+
+    assert.strictEqual(url.pathname, '/search/results/companies/');
+    assert.strictEqual(url.searchParams.get('companyHqGeo'), '["90000084"]');
+    assert.strictEqual(url.searchParams.get('companySize'), '["D","E"]');
+    assert.throws(() => compileSearch({ keywords: 'fintech', network: ['F'] }, 'companies'), /unknown field "network" for companies search/);
+    assert.throws(() => resolveSearch({ q: 'fintech', mode: 'groups' }), /mode must be one of/);
+    assert.throws(
+        () => resolveSearch({ searchUrl: 'https://www.linkedin.com/search/results/people/?keywords=x', mode: 'companies' }),
+        /searchUrl must be a companies search/
+    );
+});
+
+test('job searches take named filters and page by offset', () => {
+    const url = new URL(compileSearch({
+        keywords: 'product manager',
+        location: 'Bengaluru',
+        datePosted: 'pastWeek',
+        experienceLevel: ['mid-senior', 'associate', '4'],
+        workplaceType: ['remote', 'hybrid']
+    }, 'jobs'));
+
+    assert.strictEqual(url.pathname, '/jobs/search/');
+    assert.strictEqual(url.searchParams.get('location'), 'Bengaluru');
+    assert.strictEqual(url.searchParams.get('f_TPR'), 'r604800');
+    assert.strictEqual(url.searchParams.get('f_E'), '3,4');
+    assert.strictEqual(url.searchParams.get('f_WT'), '2,3');
+    assert.strictEqual(url.searchParams.get('origin'), null);
+
+    assert.throws(() => compileSearch({ keywords: 'pm', datePosted: ['past24h', 'pastWeek'] }, 'jobs'), /datePosted takes a single value/);
+    assert.throws(() => compileSearch({ keywords: 'pm', experienceLevel: ['senior'] }, 'jobs'), /experienceLevel has an invalid value "senior"/);
+    assert.strictEqual(
+        normalizeSearchUrl('https://www.linkedin.com/jobs/search/?keywords=pm&f_WT=2&start=50', 'jobs'),
+        'https://www.linkedin.com/jobs/search/?keywords=pm&f_WT=2'
+    );
+});
+
+test('content searches filter by date and sort order', () => {
+    const url = new URL(compileSearch({ keywords: '"expense management"', datePosted: 'pastWeek', sortBy: 'latest' }, 'content'));
+
+    assert.strictEqual(url.pathname, '/search/results/content/');
+    assert.strictEqual(url.searchParams.get('datePosted'), '["past-week"]');
+    assert.strictEqual(url.searchParams.get('sortBy'), '["date_posted"]');
+});
+
+test('employee searches target a company people tab', () => {
+    assert.strictEqual(
+        compileSearch({ company: 'https://www.linkedin.com/company/Razorpay/about/', keywords: 'engineer' }, 'employees'),
+        'https://www.linkedin.com/company/razorpay/people/?keywords=engineer'
+    );
+    assert.strictEqual(compileSearch({ company: 2857634 }, 'employees'), 'https://www.linkedin.com/company/2857634/people/');
+    assert.throws(() => resolveSearch({ q: 'engineer', mode: 'employees' }), /company is required for employees search/);
+    assert.throws(
+        () => normalizeSearchUrl('https://www.linkedin.com/company/razorpay/about/', 'employees'),
+        /searchUrl must be a employees search/
+    );
+});
+
+test('validateSearch rejects an empty search', () => {
+    assert.throws(() => validateSearch({ keywords: '  ', industry: [] }), /at least one search criterion/);
+});
+
+test('normalizeSearchUrl repairs single-quoted lists and drops the page parameter', () => {
+    const url = new URL(normalizeSearchUrl(
+        "https://www.linkedin.com/search/results/people/?currentCompany=['1586']&keywords=sales&page=4"
+    ));
+    assert.strictEqual(url.searchParams.get('currentCompany'), '["1586"]');
+    assert.strictEqual(url.searchParams.get('keywords'), 'sales');
+    assert.strictEqual(url.searchParams.has('page'), false);
+});
+
+test('normalizeSearchUrl only accepts LinkedIn URLs', () => {
+    assert.throws(() => normalizeSearchUrl('https://example.com/search/results/people/'), /linkedin\.com/);
+    assert.throws(() => normalizeSearchUrl('not a url'), /not a valid URL/);
+});
+
+test('resolveSearch needs exactly one way of describing the search', () => {
+    assert.throws(() => resolveSearch({}), /one of search, searchUrl or q is required/);
+    assert.throws(() => resolveSearch({ q: 'cto', search: { keywords: 'cto' } }), /only one of/);
+    assert.deepStrictEqual(
+        resolveSearch({ search: '{"keywords":"cto"}' }),
+        resolveSearch({ q: 'cto' })
+    );
+    assert.strictEqual(resolveSearch({ q: 'cto' }).mode, 'people');
+});
+
+test('resolveSearch defers compiling a search that names its facets', () => {
+    const { searchUrl, search } = resolveSearch({
+        search: { keywords: 'cto', currentCompany: ['Google', '1035'], geoUrn: ['San Francisco Bay Area'], network: ['S'] }
+    });
+
+    assert.strictEqual(searchUrl, null);
+    assert.deepStrictEqual(listFacetNames(search), [
+        { field: 'currentCompany', type: 'company', name: 'Google' },
+        { field: 'geoUrn', type: 'location', name: 'San Francisco Bay Area' }
+    ]);
+    // Names are only accepted where the resolver can look them up
+    assert.throws(() => validateSearch({ network: ['friends'] }, { allowNames: true }), /network has an invalid value/);
+    assert.throws(() => compileSearch(search), /currentCompany has an invalid value "Google"/);
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Work on a copy so reload tests can rewrite the file
+const selectorsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'selectors-test-')), 'selectors.json');
+const original = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'selectors.json'), 'utf8'));
+fs.writeFileSync(selectorsFile, JSON.stringify(original));
+process.env.SELECTORS_FILE = selectorsFile;
+const {
+    NO_MATCH,
+    getSelectors,
+    getRegistryInfo,
+    reloadSelectors,
+    recordSelectorMatches,
+    getSelectorStats
+} = require('../selectorRegistry');
+
+test('every selector list in the shipped registry is a non-empty list of strings', () => {
+    const selectors = getSelectors();
+    assert.strictEqual(getRegistryInfo().version, original.version);
+    assert.ok(Object.keys(selectors).length > 0);
+    for (const list of Object.values(selectors)) {
+        assert.ok(list.length > 0 && list.every(selector => typeof selector === 'string'));
+    }
+});
+
+test('hit rates show when a fallback selector keeps winning', () => {
+    const [primary, fallback] = getSelectors()['profileCards.result'];
+    recordSelectorMatches({ 'profileCards.result': { [primary]: 4, [fallback]: 10 } });
+    recordSelectorMatches({ 'profileCards.result': { [fallback]: 5, [NO_MATCH]: 1 } });
+
+    const stats = getSelectorStats().keys['profileCards.result'];
+    assert.strictEqual(stats.lookups, 20);
+    assert.strictEqual(stats.misses, 1);
+    assert.strictEqual(stats.primaryRate, 0.2);
+    assert.strictEqual(stats.degraded, true);
+    assert.deepStrictEqual(stats.selectors[0], { selector: primary, fallback: false, hits: 4, rate: 0.2 });
+    assert.deepStrictEqual(stats.selectors[1], { selector: fallback, fallback: true, hits: 15, rate: 0.75 });
+});
+
+test('a key is not reported as degraded before enough lookups', () => {
+    const [, fallback] = getSelectors()['profileCards.name'];
+    recordSelectorMatches({ 'profileCards.name': { [fallback]: 3 } });
+    assert.strictEqual(getSelectorStats().keys['profileCards.name'].degraded, false);
+});
+
+test('reloading picks up a new version and starts the counts over', async () => {
+    const edited = JSON.parse(JSON.stringify(original));
+    edited.version = 'test-2';
+    edited.selectors['profileCards.result'].unshift('li.new-result-card');
+    fs.writeFileSync(selectorsFile, JSON.stringify(edited));
+
+    const info = await reloadSelectors();
+    assert.strictEqual(info.version, 'test-2');
+    assert.strictEqual(info.previousVersion, original.version);
+    assert.strictEqual(getSelectors()['profileCards.result'][0], 'li.new-result-card');
+    assert.deepStrictEqual(getSelectorStats().keys, {});
+});
+
+test('a reload that drops a key or breaks a list keeps the running registry', async () => {
+    const before = getRegistryInfo().version;
+
+    const dropped = JSON.parse(JSON.stringify(original));
+    delete dropped.selectors['session.loggedIn'];
+    fs.writeFileSync(selectorsFile, JSON.stringify(dropped));
+    await assert.rejects(reloadSelectors(), { statusCode: 400, message: /missing session\.loggedIn/ });
+
+    const empty = JSON.parse(JSON.stringify(original));
+    empty.selectors['profileCards.name'] = [];
+    fs.writeFileSync(selectorsFile, JSON.stringify(empty));
+    await assert.rejects(reloadSelectors(), { statusCode: 400, message: /profileCards\.name/ });
+
+    fs.writeFileSync(selectorsFile, '{ not json');
+    await assert.rejects(reloadSelectors(), { statusCode: 400 });
+
+    assert.strictEqual(getRegistryInfo().version, before);
+    assert.ok(getSelectors()['session.loggedIn']);
+});
+
+test('every selector key the extractors and the service look up is in the shipped registry', () => {
+    const sources = ['linkedinScraperService.js', 'profileExtractors.js', 'companyExtractors.js', 'jobExtractors.js', 'contentExtractors.js']
+        .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))
+        .join('\n');
+    const lookups = /(?:find(?:All)?\((?:\w+, )?|selectors\[|getSelectors\(\)\[|recordSelectorMatches\(\{ )'(\w+\.\w+)'/g;
+    const keys = new Set(Array.from(sources.matchAll(lookups), match => match[1]));
+
+    assert.ok(keys.size > 40);
+    for (const key of keys) {
+        assert.ok(original.selectors[key], `${key} is not in selectors.json`);
+    }
+});
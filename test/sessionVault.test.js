@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'session-vault-test-'));
+process.env.SESSION_VAULT_KEY = 'first vault key, long and random enough';
+
+const SESSIONS_FILE = path.join(process.env.DATA_DIR, 'sessions.json');
+const COOKIES = 'li_at=AQEDAR-secret-session; JSESSIONID="ajax:123"';
+
+// The vault derives its key once, so a changed key needs a fresh module
+function loadVault(key) {
+    if (key === undefined) delete process.env.SESSION_VAULT_KEY;
+    else process.env.SESSION_VAULT_KEY = key;
+    delete require.cache[require.resolve('../sessionVault')];
+    return require('../sessionVault');
+}
+
+const vault = loadVault(process.env.SESSION_VAULT_KEY);
+
+test('stored cookies round trip, and only their ciphertext is written to disk', async () => {
+    const session = await vault.storeSession({ name: 'work', cookies: COOKIES, ownerId: 'key-1' });
+
+    assert.deepStrictEqual(Object.keys(session).sort(), ['createdAt', 'id', 'name', 'updatedAt']);
+    assert.strictEqual(await vault.getSessionCookies(session.id, 'key-1'), COOKIES);
+
+    const stored = fs.readFileSync(SESSIONS_FILE, 'utf8');
+    assert.ok(!stored.includes('AQEDAR-secret-session'));
+    assert.ok(!JSON.stringify(await vault.listSessions('key-1')).includes('AQEDAR'));
+});
+
+test('sessions are only visible to the key that stored them', async () => {
+    const session = await vault.storeSession({ name: 'private', cookies: COOKIES, ownerId: 'key-1' });
+
+    assert.ok(!(await vault.listSessions('key-2')).some(entry => entry.id === session.id));
+    await assert.rejects(vault.getSessionCookies(session.id, 'key-2'), { statusCode: 404 });
+    assert.strictEqual(await vault.deleteSession(session.id, 'key-2'), false);
+    assert.strictEqual(await vault.deleteSession(session.id, 'key-1'), true);
+    await assert.rejects(vault.getSessionCookies(session.id, 'key-1'), { statusCode: 404 });
+});
+
+test('cookies without li_at are refused', async () => {
+    await assert.rejects(vault.storeSession({ name: 'bad', cookies: 'JSESSIONID=1', ownerId: 'key-1' }), { statusCode: 400 });
+    await assert.rejects(vault.storeSession({ cookies: COOKIES, ownerId: 'key-1' }), { statusCode: 400 });
+});
+
+test('tampered ciphertext is rejected rather than decrypted', async () => {
+    const session = await vault.storeSession({ name: 'tampered', cookies: COOKIES, ownerId: 'key-1' });
+
+    const sessions = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+    const ciphertext = Buffer.from(sessions[session.id].ciphertext, 'base64');
+    ciphertext[0] ^= 1;
+    sessions[session.id].ciphertext = ciphertext.toString('base64');
+    fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessions));
+
+    await assert.rejects(vault.getSessionCookies(session.id, 'key-1'), { statusCode: 500 });
+});
+
+test('a different or missing SESSION_VAULT_KEY cannot read stored sessions', async () => {
+    const session = await vault.storeSession({ name: 'rotated', cookies: COOKIES, ownerId: 'key-1' });
+
+    const otherVault = loadVault('second vault key, equally long and random');
+    await assert.rejects(otherVault.getSessionCookies(session.id, 'key-1'), { statusCode: 500 });
+
+    const unconfigured = loadVault(undefined);
+    await assert.rejects(unconfigured.getSessionCookies(session.id, 'key-1'), { statusCode: 503 });
+    await assert.rejects(unconfigured.storeSession({ name: 'new', cookies: COOKIES, ownerId: 'key-1' }), { statusCode: 503 });
+});
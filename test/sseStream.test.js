@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sse-stream-test-'));
+const { NO_PACING, loadFixture, installFakeBrowser, peopleSearchSite } = require('./fakeBrowser');
+
+installFakeBrowser(peopleSearchSite({ 1: loadFixture('search-results/people-normal.html') }));
+
+const jobManager = require('../jobManager');
+const { parseLastEventId, streamJobEvents } = require('../sseStream');
+
+function fakeRequest({ headers = {}, query = {} } = {}) {
+    const req = new EventEmitter();
+    return Object.assign(req, { query, get: name => headers[name], socket: { setTimeout: () => {} } });
+}
+
+// Collects the SSE frames written to it; ended resolves once the stream is closed
+function fakeResponse() {
+    let resolveEnded;
+    const res = {
+        statusCode: 200,
+        headers: {},
+        output: '',
+        writableEnded: false,
+        ended: new Promise((resolve) => {
+            resolveEnded = resolve;
+        }),
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        write(chunk) {
+            this.output += chunk;
+        },
+        end() {
+            this.writableEnded = true;
+            resolveEnded();
+        }
+    };
+    return res;
+}
+
+// The id and event name of every frame that carries an id
+function framesOf(output) {
+    return output.split('\n\n')
+        .filter(frame => frame.startsWith('id: '))
+        .map((frame) => {
+            const [idLine, eventLine] = frame.split('\n');
+            return { id: idLine.slice(4), event: eventLine.slice(7) };
+        });
+}
+
+function startJob() {
+    return jobManager.createJob({
+        searchUrl: 'https://www.linkedin.com/search/results/people/?keywords=test',
+        cookies: 'li_at=test-session',
+        maxPages: 1,
+        pacing: NO_PACING
+    });
+}
+
+let finishedJob;
+
+test('every subscriber of a running job gets all of its events, in order', async () => {
+    const job = startJob();
+    const streams = [fakeResponse(), fakeResponse()];
+    streams.forEach(res => streamJobEvents(fakeRequest(), res, job));
+
+    await Promise.all(streams.map(res => res.ended));
+    finishedJob = job;
+
+    const [first, second] = streams.map(res => framesOf(res.output));
+    assert.strictEqual(first.length, job.events.length);
+    assert.deepStrictEqual(first, job.events.map(entry => ({ id: entry.id, event: entry.event })));
+    assert.deepStrictEqual(second, first);
+    assert.strictEqual(first[first.length - 1].event, 'done');
+    assert.strictEqual(streams[0].headers['Content-Type'], 'text/event-stream');
+});
+
+test('a reconnecting client is sent only the events after its Last-Event-ID', async () => {
+    const job = finishedJob;
+    const lastSeen = job.events[2];
+    const { seq } = parseLastEventId(fakeRequest({ headers: { 'Last-Event-ID': lastSeen.id } }));
+
+    const res = fakeResponse();
+    streamJobEvents(fakeRequest(), res, job, seq);
+    await res.ended;
+
+    assert.deepStrictEqual(framesOf(res.output).map(frame => frame.id), job.events.slice(3).map(entry => entry.id));
+    assert.match(res.output, /"resumedAfter":3/);
+});
+
+test('a client that has seen every event of a finished job gets 204', async () => {
+    const job = finishedJob;
+    const res = fakeResponse();
+    streamJobEvents(fakeRequest(), res, job, job.lastEventSeq);
+    await res.ended;
+
+    assert.strictEqual(res.statusCode, 204);
+    assert.strictEqual(res.output, '');
+});
+
+test('Last-Event-ID is read from the header or the query string', () => {
+    assert.deepStrictEqual(parseLastEventId(fakeRequest({ headers: { 'Last-Event-ID': 'job-1:7' } })), { jobId: 'job-1', seq: 7 });
+    assert.deepStrictEqual(parseLastEventId(fakeRequest({ query: { lastEventId: '12' } })), { jobId: null, seq: 12 });
+    assert.strictEqual(parseLastEventId(fakeRequest({ headers: { 'Last-Event-ID': 'job-1:x' } })), null);
+    assert.strictEqual(parseLastEventId(fakeRequest()), null);
+});